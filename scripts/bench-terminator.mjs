@@ -0,0 +1,112 @@
+// Compares the work needed to redraw the day/night overlay: the per-pixel
+// canvas mask the map used before (reimplemented here without the DOM) against
+// building the twilight polygons from src/terminator.js. Run with
+//   npm run bench:terminator
+// Only the JavaScript work is timed. Leaflet's SVG/canvas rendering of the
+// polygons and the canvas putImageData call are not included.
+
+import { performance } from 'node:perf_hooks';
+import { SUN_ALTITUDES, getCosZenith, getSubsolarPoint, getTwilightPhase } from '../src/solar.js';
+import { getTwilightBands, shiftRing } from '../src/terminator.js';
+
+const ITERATIONS = 40;
+const WARMUP = 5;
+// The map element is full width × 420px; 1280 px is a typical desktop width
+const VIEWPORTS = [[800, 420], [1280, 420], [1920, 420]];
+const WORLD_COPIES = [-1, 0, 1];
+const DATES = ['2024-03-20T12:00:00Z', '2024-06-21T12:00:00Z', '2024-12-21T00:00:00Z'];
+
+// Old canvas renderer -------------------------------------------------------
+
+const OPACITY_STOPS = [[0, 0], [SUN_ALTITUDES.civil, 0.2], [SUN_ALTITUDES.nautical, 0.32], [SUN_ALTITUDES.astronomical, 0.42]];
+const COLORS = { civil: [30, 58, 138], nautical: [23, 37, 84], astronomical: [15, 23, 42], night: [2, 6, 23] };
+
+const interpolateOpacity = (stops, elevation) => {
+  if (elevation >= stops[0][0]) return stops[0][1];
+  for (let i = 1; i < stops.length; i++) {
+    const [upperElevation, upperOpacity] = stops[i - 1];
+    const [lowerElevation, lowerOpacity] = stops[i];
+    if (elevation >= lowerElevation) {
+      const t = (upperElevation - elevation) / (upperElevation - lowerElevation);
+      return upperOpacity + (lowerOpacity - upperOpacity) * t;
+    }
+  }
+  return stops[stops.length - 1][1];
+};
+
+// Web Mercator layer point -> lat/lng at zoom 2, centred on 0,0 like the map
+const makeUnproject = (width, height, zoom = 2) => {
+  const worldSize = 256 * 2 ** zoom;
+  return (x, y) => {
+    const px = x - width / 2 + worldSize / 2;
+    const py = y - height / 2 + worldSize / 2;
+    const lng = (px / worldSize) * 360 - 180;
+    const n = Math.PI - (2 * Math.PI * py) / worldSize;
+    const lat = (180 / Math.PI) * Math.atan(Math.sinh(n));
+    return { lat, lng };
+  };
+};
+
+const drawCanvasMask = (width, height, subsolar) => {
+  const data = new Uint8ClampedArray(width * height * 4);
+  const unproject = makeUnproject(width, height);
+  const step = 2;
+  for (let y = 0; y < height; y += step) {
+    for (let x = 0; x < width; x += step) {
+      const { lat, lng } = unproject(x, y);
+      const cosc = getCosZenith(lat, lng, subsolar);
+      const elevation = Math.asin(Math.max(-1, Math.min(1, cosc))) * 180 / Math.PI;
+      const phase = getTwilightPhase(elevation);
+      if (phase === 'day') continue;
+      const [r, g, b] = COLORS[phase];
+      const alpha = Math.round(interpolateOpacity(OPACITY_STOPS, elevation) * 255);
+      for (let yy = 0; yy < step && y + yy < height; yy++) {
+        for (let xx = 0; xx < step && x + xx < width; xx++) {
+          const idx = ((y + yy) * width + (x + xx)) * 4;
+          data[idx] = r;
+          data[idx + 1] = g;
+          data[idx + 2] = b;
+          data[idx + 3] = alpha;
+        }
+      }
+    }
+  }
+  return data;
+};
+
+// New polygon renderer -------------------------------------------------------
+
+const buildPolygons = (subsolar) => {
+  const rings = [];
+  getTwilightBands(subsolar).forEach(({ outer, inner }) => {
+    WORLD_COPIES.forEach(turns => {
+      rings.push(shiftRing(outer, turns), inner && shiftRing(inner, turns));
+    });
+  });
+  return rings;
+};
+
+// ---------------------------------------------------------------------------
+
+const measure = (fn) => {
+  for (let i = 0; i < WARMUP; i++) fn(i);
+  const times = [];
+  for (let i = 0; i < ITERATIONS; i++) {
+    const start = performance.now();
+    fn(i);
+    times.push(performance.now() - start);
+  }
+  times.sort((a, b) => a - b);
+  return { median: times[Math.floor(times.length / 2)], p95: times[Math.floor(times.length * 0.95)] };
+};
+
+const subsolarPoints = DATES.map(date => getSubsolarPoint(new Date(date)));
+const format = ({ median, p95 }) => `${median.toFixed(2).padStart(8)} ms (p95 ${p95.toFixed(2)} ms)`;
+
+console.log(`Node ${process.version}, ${ITERATIONS} runs each, dates cycled: ${DATES.join(', ')}\n`);
+VIEWPORTS.forEach(([width, height]) => {
+  const result = measure(i => drawCanvasMask(width, height, subsolarPoints[i % subsolarPoints.length]));
+  console.log(`canvas mask ${`${width}×${height}`.padEnd(9)} ${format(result)}  per redraw, repeated on every pan/zoom frame`);
+});
+const polygons = measure(i => buildPolygons(subsolarPoints[i % subsolarPoints.length]));
+console.log(`polygons (any size)   ${format(polygons)}  per redraw, once a minute; pan/zoom reuses them`);
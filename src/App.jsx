@@ -1,80 +1,94 @@
-import React, { useState, useEffect } from 'react';
-import { Plus, X, Clock, Settings, Crown, Sparkles } from 'lucide-react';
+import React, { useState, useEffect, useRef } from 'react';
+import {
+  Plus, X, Clock, Settings, Crown, Sparkles, Briefcase, Pencil,
+  GripVertical, ChevronDown, ChevronRight, FolderPlus, Link, Languages, Sun, Sunrise, Sunset, WifiOff
+} from 'lucide-react';
 import WorldMapWithSunlight from './WorldMapWithSunlight.jsx';
+import TimeTravelControl from './TimeTravelControl.jsx';
+import MeetingPlanner from './MeetingPlanner.jsx';
+import WorkingHoursEditor from './WorkingHoursEditor.jsx';
+import ClockDetailsEditor from './ClockDetailsEditor.jsx';
+import ImportExportPanel from './ImportExportPanel.jsx';
+import DaylightPanel from './DaylightPanel.jsx';
+import { useOnlineStatus } from './offline.js';
+import { clearQueuedAnalytics, getQueuedAnalyticsCount, queueingFetch } from './analyticsQueue.js';
+import { needsReloadForConsent, startConsentedPlugins, useResilientStatsigClient } from './statsigClient.js';
+import { deleteLocalIdentifiers, loadConsent, redactUser, saveConsent } from './consent.js';
+import { applyDebugUserOverrides, getIdentity, onIdentityChange } from './identity.js';
+import ConsentBanner from './ConsentBanner.jsx';
+import PrivacySettings from './PrivacySettings.jsx';
+import FlagOverridePanel from './FlagOverridePanel.jsx';
+import {
+  createFlagOverrideAdapter,
+  getFlagOverrides,
+  isFlagOverridesEnabled,
+  isFlagPanelRequested,
+  isFlagPanelShortcut
+} from './flagOverrides.js';
+import { getSunTimes } from './solar.js';
+import { getZoneCoordinates } from './cityCoordinates.js';
+import { loadDashboardState, saveDashboardState } from './dashboardStorage.js';
+import { buildShareUrl, readSharedDashboardFromUrl, clearSharedDashboardFromUrl } from './shareLink.js';
+import { copyText } from './clipboard.js';
+import {
+  CALENDARS,
+  SUPPORTED_LANGUAGES,
+  createTranslator,
+  formatClockDate,
+  formatClockTime,
+  getBrowserLocale,
+  getCalendarName,
+  getCalendarOptions,
+  getLanguageName,
+  getTextDirection,
+  resolveLocale
+} from './i18n.js';
+import { TIMEZONE_CATALOG, POPULAR_TIMEZONE_ENTRIES, getTimezoneEntry, searchTimezones } from './timezones.js';
+import {
+  describeDifference,
+  formatDuration,
+  formatOffset,
+  getNextDifferenceChange,
+  getNextOffsetTransition,
+  getLocalTimezone,
+  getOffsetDifferenceMinutes,
+  getRelativeTime,
+  getZonedParts
+} from './timeOffsets.js';
+import {
+  getDefaultSchedule,
+  getClockSchedule,
+  isWithinSchedule,
+  getScheduleStatus,
+  formatScheduleStatus
+} from './workingHours.js';
+import { getClockCoordinates, hasDuplicateClock, normalizeLabel, sanitizeCoordinates } from './clockDetails.js';
+import {
+  SORT_MODES,
+  sortClocks,
+  groupClocks,
+  moveClock,
+  moveClockBy,
+  normalizeGroupName
+} from './clockOrdering.js';
 
 // STATSIG - Import Statsig React SDK and plugins for feature flags and analytics - OBJECTIVE 1
-import { StatsigProvider, useClientAsyncInit, useStatsigClient } from "@statsig/react-bindings";
-import { StatsigAutoCapturePlugin } from "@statsig/web-analytics";
-import { StatsigSessionReplayPlugin } from "@statsig/session-replay";
-
-// Available time zones
-const TIME_ZONES = [
-  { label: 'New York', value: 'America/New_York' },
-  { label: 'London', value: 'Europe/London' },
-  { label: 'Tokyo', value: 'Asia/Tokyo' },
-  { label: 'Paris', value: 'Europe/Paris' },
-  { label: 'Sydney', value: 'Australia/Sydney' },
-  { label: 'Los Angeles', value: 'America/Los_Angeles' },
-  { label: 'Dubai', value: 'Asia/Dubai' },
-  { label: 'Mumbai', value: 'Asia/Kolkata' },
-  { label: 'Singapore', value: 'Asia/Singapore' },
-  { label: 'Berlin', value: 'Europe/Berlin' },
-  { label: 'São Paulo', value: 'America/Sao_Paulo' },
-  { label: 'Cairo', value: 'Africa/Cairo' },
-  { label: 'Moscow', value: 'Europe/Moscow' },
-  { label: 'Hong Kong', value: 'Asia/Hong_Kong' },
-  { label: 'Toronto', value: 'America/Toronto' }
-];
-
-const mergeStatsigUserOverrides = (baseUser, overrides) => {
-  if (!overrides || typeof overrides !== 'object') {
-    return baseUser;
-  }
-
-  const { customIDs, custom, ...rest } = overrides;
-  const merged = { ...baseUser, ...rest };
-
-  if (customIDs && typeof customIDs === 'object') {
-    merged.customIDs = {
-      ...baseUser.customIDs,
-      ...customIDs,
-    };
-  }
-
-  if (custom && typeof custom === 'object') {
-    merged.custom = {
-      ...baseUser.custom,
-      ...custom,
-    };
-  }
+import { StatsigProvider, useStatsigClient } from "@statsig/react-bindings";
+import { getOrCreateSessionId, useEventTracker } from './analyticsEvents.js';
 
-  return merged;
-};
+// Timezone dropdown options: popular cities first, then every zone grouped by region
+const TIMEZONE_GROUPS = TIMEZONE_CATALOG.reduce((groups, zone) => {
+  (groups[zone.region] = groups[zone.region] || []).push(zone);
+  return groups;
+}, {});
 
-// Helper functions for analytics metadata
-const getOrCreateSessionId = () => {
-  let sessionId = sessionStorage.getItem('statsig_session_id');
-  if (!sessionId) {
-    sessionId = `session_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
-    sessionStorage.setItem('statsig_session_id', sessionId);
-    sessionStorage.setItem('session_start_time', Date.now().toString());
-  }
-  return sessionId;
-};
+// Working-hours edits arrive on every keystroke; log once they have settled
+const SCHEDULE_LOG_DELAY_MS = 1500;
 
 // STATSIG - Generate user properties from browser
 const getUserProperties = () => {
-  const hardcodedUser = typeof window !== 'undefined' ? window.statsigUser : null;
-
-  // Get or create a persistent user ID
-  let userID = hardcodedUser?.userID || localStorage.getItem('world_clock_user_id');
-  if (!userID) {
-    userID = `user_${Date.now()}_${Math.random().toString(36).substr(2, 6)}`;
-  }
-  localStorage.setItem('world_clock_user_id', userID);
-
-  // Get or create user email (optional - could be set by user later)
-  const userEmail = localStorage.getItem('world_clock_user_email') || null;
+  // Anonymous per-browser ID, or the signed-in user's (see identity.js)
+  const { userID, email: userEmail, anonymousID, isSignedIn } = getIdentity();
 
   const baseUser = {
     userID: userID,
@@ -85,6 +99,7 @@ const getUserProperties = () => {
     country: Intl.DateTimeFormat().resolvedOptions().timeZone.split('/')[1] || 'Unknown',
     // Custom properties for analytics
     customIDs: {
+      anonymousID,
       sessionID: getOrCreateSessionId(),
       deviceType: window.innerWidth < 768 ? 'mobile' : 'desktop',
       browserName: getBrowserName(),
@@ -97,11 +112,13 @@ const getUserProperties = () => {
       platform: navigator.platform,
       cookiesEnabled: navigator.cookieEnabled,
       onlineStatus: navigator.onLine ? 'online' : 'offline',
-      firstVisit: localStorage.getItem('world_clock_first_visit')
+      firstVisit: localStorage.getItem('world_clock_first_visit'),
+      isLoggedIn: isSignedIn
     }
   };
 
-  return mergeStatsigUserOverrides(baseUser, hardcodedUser);
+  // Identifying fields are dropped unless the visitor consented (see PII_POLICY)
+  return redactUser(applyDebugUserOverrides(baseUser));
 };
 
 // Helper to detect browser name
@@ -134,20 +151,8 @@ const getContinent = (timezone) => {
   return continentMap[continent] || 'Unknown';
 };
 
-const getTimezoneOffset = (timezone) => {
-  const now = new Date();
-  const localOffset = now.getTimezoneOffset();
-  const targetTime = new Date(now.toLocaleString("en-US", {timeZone: timezone}));
-  const targetOffset = (now.getTime() - targetTime.getTime()) / (1000 * 60);
-  const hoursDiff = Math.round((targetOffset - localOffset) / 60);
-  return hoursDiff > 0 ? `+${hoursDiff}` : hoursDiff.toString();
-};
-
-const isBusinessHours = (timezone) => {
-  const time = new Date().toLocaleString("en-US", {timeZone: timezone});
-  const hour = new Date(time).getHours();
-  return hour >= 9 && hour <= 17;
-};
+const isBusinessHours = (timezone, schedule = getDefaultSchedule(timezone)) =>
+  isWithinSchedule(schedule, getZonedParts(new Date(), timezone));
 
 const getDeviceInfo = () => {
   return {
@@ -201,13 +206,20 @@ const useClockTracking = () => {
   };
 };
 
-const WorldClockDashboard = () => {
-  // Initial preset cities
-  const [clocks, setClocks] = useState([
-    { id: 1, label: 'New York', timezone: 'America/New_York' },
-    { id: 2, label: 'London', timezone: 'Europe/London' },
-    { id: 3, label: 'Tokyo', timezone: 'Asia/Tokyo' }
-  ]);
+// Reads gates, experiments and configs from the client of the enclosing
+// StatsigProvider, so it renders against any client passed there (e.g. one
+// initialised from fixed values). `analyticsSink` replaces the Statsig event
+// sink (see analyticsEvents.js).
+export const WorldClockDashboard = ({ analyticsSink } = {}) => {
+  // Restore clocks and settings from the last session (preset cities on first run)
+  const [persistedState] = useState(loadDashboardState);
+  // A shared link replaces the dashboard for this visit only; it isn't saved
+  // over the user's own dashboard unless they choose to keep it
+  const [sharedLink, setSharedLink] = useState(readSharedDashboardFromUrl);
+  const sharedDashboard = sharedLink && !sharedLink.invalid ? sharedLink : null;
+  const [isSharedView, setIsSharedView] = useState(Boolean(sharedDashboard));
+  const [clocks, setClocks] = useState(sharedDashboard ? sharedDashboard.clocks : persistedState.clocks);
+  const [groups, setGroups] = useState(sharedDashboard ? [] : persistedState.groups);
 
   const { client } = useStatsigClient();  // STATSIG - Get Statsig client instance - NOTE: next 2 lines of code are also Statsig
   /*
@@ -225,6 +237,17 @@ const WorldClockDashboard = () => {
   
   const prominentUpgradeExp = client.getExperiment("prominent_upgrade_icon"); // STATSIG - experiment
   const upgradeStyle = prominentUpgradeExp.get("style", "original"); // STATSIG - experiment
+  const track = useEventTracker(client, analyticsSink); // STATSIG - Events from the catalog in analyticsEvents.js
+
+  // STATSIG - Schedule edits waiting to be logged, by clock ID; sent early if the dashboard unmounts
+  const pendingScheduleLogs = useRef(new Map());
+  useEffect(() => {
+    const pending = pendingScheduleLogs.current;
+    return () => pending.forEach(({ send, timer }) => {
+      clearTimeout(timer);
+      send();
+    });
+  }, []);
 
   const { 
     trackClockAdded, 
@@ -235,10 +258,40 @@ const WorldClockDashboard = () => {
   } = useClockTracking();
   
   const [currentTime, setCurrentTime] = useState(new Date());
-  const [is24Hour, setIs24Hour] = useState(false);
-  const [showSeconds, setShowSeconds] = useState(true);
+  const [is24Hour, setIs24Hour] = useState((sharedDashboard || persistedState).settings.is24Hour);
+  const [showSeconds, setShowSeconds] = useState((sharedDashboard || persistedState).settings.showSeconds);
+  const [sortMode, setSortMode] = useState(persistedState.settings.sortMode);
+  // '' follows the browser language / the locale's own calendar
+  const [localePreference, setLocalePreference] = useState(persistedState.settings.locale);
+  const [calendar, setCalendar] = useState(persistedState.settings.calendar);
+  // '' uses the configured default map tiles
+  const [mapLayer, setMapLayer] = useState(persistedState.settings.mapLayer);
+  const [showTimezones, setShowTimezones] = useState(persistedState.settings.showTimezones);
+  const locale = resolveLocale(localePreference);
+  const textDirection = getTextDirection(locale);
+  const t = createTranslator(locale);
+  const isOnline = useOnlineStatus();
+  const [consent, setConsent] = useState(loadConsent);
+  // STATSIG - Developer panel for local gate/experiment overrides (flagOverrides.js)
+  const [showFlagPanel, setShowFlagPanel] = useState(isFlagPanelRequested);
+  const [, setFlagOverrides] = useState(getFlagOverrides);
   const [selectedTimezone, setSelectedTimezone] = useState('');
+  // Time travel: when set, every clock and the map render this instant instead of the live time
+  const [travelTime, setTravelTime] = useState(sharedDashboard ? sharedDashboard.travelTime : null);
+  const [travelReferenceTimezone, setTravelReferenceTimezone] = useState(null);
+  const displayTime = travelTime || currentTime;
   const [showAddClock, setShowAddClock] = useState(false);
+  const [newClockLabel, setNewClockLabel] = useState('');
+  // Inline panel open on a clock card: { id, panel: 'details' | 'schedule' | 'daylight' }
+  const [editingClock, setEditingClock] = useState(null);
+  // Drag-and-drop / keyboard reordering
+  const [draggingClockId, setDraggingClockId] = useState(null);
+  const [dropTarget, setDropTarget] = useState(null);
+  const [focusGripId, setFocusGripId] = useState(null);
+  const [reorderAnnouncement, setReorderAnnouncement] = useState('');
+  const [newGroupName, setNewGroupName] = useState('');
+  const [renamingGroupId, setRenamingGroupId] = useState(null);
+  const [linkCopyState, setLinkCopyState] = useState(null);
 
   // STATSIG - Check feature gates for A/B testing - OBJECTIVE 3
   const isDarkTheme = client.checkGate("dark_theme");
@@ -268,6 +321,42 @@ const WorldClockDashboard = () => {
     return () => clearInterval(interval);
   }, []);
 
+  // Persist clocks, groups and settings whenever they change
+  useEffect(() => {
+    if (isSharedView) return;
+    saveDashboardState({
+      clocks,
+      groups,
+      settings: { is24Hour, showSeconds, sortMode, locale: localePreference, calendar, mapLayer, showTimezones }
+    });
+  }, [clocks, groups, is24Hour, showSeconds, sortMode, localePreference, calendar, mapLayer, showTimezones, isSharedView]);
+
+  // Screen readers, fonts and native controls follow the document language and direction
+  useEffect(() => {
+    document.documentElement.lang = locale;
+    document.documentElement.dir = textDirection;
+  }, [locale, textDirection]);
+
+  // The shared state has been read; drop it from the address bar so a reload
+  // doesn't reopen the link over the user's own dashboard
+  useEffect(() => {
+    if (sharedLink) clearSharedDashboardFromUrl();
+  }, []);
+
+  useEffect(() => {
+    if (!linkCopyState) return;
+    const timeout = setTimeout(() => setLinkCopyState(null), 2000);
+    return () => clearTimeout(timeout);
+  }, [linkCopyState]);
+
+  // Keep keyboard focus on the grip of a clock moved with the arrow keys
+  useEffect(() => {
+    if (focusGripId === null) return;
+    const grip = document.querySelector(`[data-grip-id="${focusGripId}"]`);
+    if (grip) grip.focus();
+    setFocusGripId(null);
+  }, [focusGripId]);
+
   // Handle clicking outside the search dropdown
   useEffect(() => {
     const handleClickOutside = (event) => {
@@ -281,64 +370,14 @@ const WorldClockDashboard = () => {
   }, [showAddClock]);
 
   // Format time for a specific timezone
-  const formatTime = (timezone) => {
-    const options = {
-      timeZone: timezone,
-      hour12: !is24Hour,
-      hour: '2-digit',
-      minute: '2-digit',
-      ...(showSeconds && { second: '2-digit' })
-    };
+  const formatTime = (timezone) => formatClockTime(displayTime, timezone, { locale, is24Hour, showSeconds });
 
-    return new Intl.DateTimeFormat('en-US', options).format(currentTime);
-  };
-
-  // Get date for a specific timezone
-  const formatDate = (timezone) => {
-    const options = {
-      timeZone: timezone,
-      weekday: 'long',
-      year: 'numeric',
-      month: 'long',
-      day: 'numeric'
-    };
-
-    return new Intl.DateTimeFormat('en-US', options).format(currentTime);
-  };
-
-  // Get relative time info for enhanced display - FIXED
-  const getRelativeTime = (timezone) => {
-    const now = new Date();
-    
-    // Get current hour in local timezone
-    const localHour = now.getHours();
-    
-    // Get current hour in target timezone
-    const targetTime = new Date(now.toLocaleString("en-US", {timeZone: timezone}));
-    const targetHour = targetTime.getHours();
-    
-    // Calculate the raw difference
-    let diffInHours = targetHour - localHour;
-    
-    // Handle day boundary crossings
-    if (diffInHours > 12) {
-      diffInHours -= 24;
-    } else if (diffInHours < -12) {
-      diffInHours += 24;
-    }
-    
-    if (diffInHours === 0) return "Same time";
-    
-    if (diffInHours > 0) {
-      return `${diffInHours}h ahead`;
-    } else {
-      return `${Math.abs(diffInHours)}h behind`;
-    }
-  };
+  // Get date for a specific timezone, in the chosen calendar
+  const formatDate = (timezone) => formatClockDate(displayTime, timezone, { locale, calendar });
 
   // Get time components for analog clock
   const getTimeComponents = (timezone) => {
-    const date = new Date(currentTime.toLocaleString("en-US", {timeZone: timezone}));
+    const date = new Date(displayTime.toLocaleString("en-US", {timeZone: timezone}));
     const hours = date.getHours() % 12;
     const minutes = date.getMinutes();
     const seconds = date.getSeconds();
@@ -352,15 +391,13 @@ const WorldClockDashboard = () => {
 
   // STATSIG - Upgrade button click with event tracking - OBJECTIVE 2
   const handleUpgradeClick = () => {
-    client.logEvent("upgrade_button_clicked", {
+    track("upgrade_button_clicked", upgradeStyle, {
       button_location: "top_right_header",
-      current_clocks_count: clocks.length,
-      user_session_id: getOrCreateSessionId(),
-      timestamp: new Date().toISOString()
+      current_clocks_count: clocks.length
     });
 
     // Simulate upgrade flow
-    alert('Upgrade to Premium! 🚀');
+    alert(t('upgradeAlert'));
   };
 
   // Banner Component
@@ -384,9 +421,8 @@ const WorldClockDashboard = () => {
           <button
             onClick={() => {
               setShowBanner(false);
-              client.logEvent("banner_closed", "upsell_banner", {
-                user_session_id: getOrCreateSessionId(),
-                timestamp: new Date().toISOString()
+              track("banner_closed", null, { // STATSIG - Log banner dismissal
+                config_name: "upsell_banner"
               });
             }}
             style={{
@@ -439,7 +475,7 @@ const WorldClockDashboard = () => {
       }
     >
       <Crown className="w-5 h-5" />
-      <span>{isProminent ? "🔥 Upgrade Now – Pro Features!" : "Upgrade to Pro"}</span>
+      <span>{isProminent ? t('upgradeProminent') : t('upgrade')}</span>
       <Sparkles className="w-4 h-4 group-hover:animate-pulse" />
     </button>
   );
@@ -525,47 +561,169 @@ const WorldClockDashboard = () => {
     );
   };
 
+  // Working-hours badge ("Open · closes in 3h") from the clock's own schedule
+  const ScheduleBadge = ({ clock }) => {
+    const status = getScheduleStatus(getClockSchedule(clock), displayTime, clock.timezone);
+    const color = { open: '#22c55e', lunch: '#eab308', closed: '#9ca3af' }[status.state];
+
+    return (
+      <span
+        className="inline-flex items-center gap-2 text-xs font-medium px-2 py-1"
+        style={{
+          color,
+          backgroundColor: "rgba(255,255,255,0.08)",
+          borderRadius: "9999px"
+        }}
+      >
+        <span className="inline-block w-2 h-2 rounded-full" style={{ backgroundColor: color }} />
+        {formatScheduleStatus(status, displayTime, clock.timezone, locale)}
+      </span>
+    );
+  };
+
+  // Warn about DST changes this close to the displayed time
+  const DST_WARNING_DAYS = 14;
+  const DST_WARNING_MS = DST_WARNING_DAYS * 24 * 60 * 60 * 1000;
+
+  // "in 5 days", "tomorrow", "in 3 hours" in the UI locale
+  const formatTimeUntil = (date) => {
+    const minutes = Math.round((date.getTime() - displayTime.getTime()) / 60000);
+    const rtf = new Intl.RelativeTimeFormat(locale, { numeric: 'auto' });
+    if (minutes >= 24 * 60) return rtf.format(Math.round(minutes / (24 * 60)), 'day');
+    if (minutes >= 60) return rtf.format(Math.round(minutes / 60), 'hour');
+    return rtf.format(minutes, 'minute');
+  };
+
+  // Upcoming DST transition badge ("Clocks go back in 5 days")
+  const DstBadge = ({ clock }) => {
+    const transition = getNextOffsetTransition(clock.timezone, displayTime);
+    if (!transition || transition.at.getTime() - displayTime.getTime() > DST_WARNING_MS) return null;
+
+    const goesForward = transition.offsetAfter > transition.offsetBefore;
+    const when = new Intl.DateTimeFormat(locale, {
+      timeZone: clock.timezone,
+      dateStyle: 'full',
+      timeStyle: 'short',
+      hour12: !is24Hour,
+      ...getCalendarOptions(calendar)
+    }).format(transition.at);
+
+    return (
+      <span
+        className="inline-flex items-center gap-1 text-xs font-medium px-2 py-1"
+        style={{
+          color: "#fbbf24",
+          backgroundColor: "rgba(251,191,36,0.12)",
+          borderRadius: "9999px"
+        }}
+        title={`${when} · UTC${formatOffset(transition.offsetBefore)} → UTC${formatOffset(transition.offsetAfter)}`}
+      >
+        {goesForward ? '⏩' : '⏪'} {t(goesForward ? 'dstForward' : 'dstBack', { when: formatTimeUntil(transition.at) })}
+      </span>
+    );
+  };
+
+  // Relative offset once either this clock or the viewer's zone changes offset
+  const renderUpcomingDifference = (clock) => {
+    const change = getNextDifferenceChange(clock.timezone, displayTime);
+    if (!change || change.at.getTime() - displayTime.getTime() > DST_WARNING_MS) return null;
+    const date = new Intl.DateTimeFormat(locale, {
+      weekday: 'short',
+      month: 'short',
+      day: 'numeric',
+      ...getCalendarOptions(calendar)
+    }).format(change.at);
+    return (
+      <div className="font-light">
+        {t('differenceAfterChange', { date, difference: describeDifference(change.minutesAfter, locale) })}
+      </div>
+    );
+  };
+
+  // Sunrise/sunset time in the clock's zone; '—' when the sun doesn't cross that altitude
+  const formatSunEvent = (date, timezone) => (date
+    ? new Intl.DateTimeFormat(locale, {
+        timeZone: timezone,
+        hour: '2-digit',
+        minute: '2-digit',
+        hour12: !is24Hour
+      }).format(date)
+    : '—');
+
+  // Sun times for the displayed day at the clock's location, or null without coordinates
+  const getClockSunTimes = (clock) => {
+    const coordinates = getClockCoordinates(clock);
+    return coordinates ? getSunTimes(coordinates, displayTime, clock.timezone) : null;
+  };
+
+  // Today's sunrise, sunset and day length at the clock's location
+  const DaylightSummary = ({ clock }) => {
+    const sunTimes = getClockSunTimes(clock);
+    if (!sunTimes) return null;
+    if (sunTimes.polar) {
+      return (
+        <span className="text-xs" style={{ color: "#fbbf24" }}>
+          {sunTimes.polar === 'day' ? t('midnightSun') : t('polarNight')}
+        </span>
+      );
+    }
+    return (
+      <span className="inline-flex items-center gap-2 text-xs" style={{ color: "#9ca3af" }}>
+        <Sunrise className="w-4 h-4" aria-label={t('sunrise')} />
+        {formatSunEvent(sunTimes.sunrise, clock.timezone)}
+        <Sunset className="w-4 h-4" aria-label={t('sunset')} />
+        {formatSunEvent(sunTimes.sunset, clock.timezone)}
+        <span>· {formatDuration(sunTimes.dayLengthMinutes, locale)}</span>
+      </span>
+    );
+  };
+
   // CONSOLIDATED: Single addClock function for all UI paths
-  const addClock = (timezoneValue, addMethod = 'dropdown', searchQuery = '') => {
+  const addClock = (timezoneValue, addMethod = 'dropdown', searchQuery = '', label = null, coordinates = null) => {
     if (!timezoneValue) return;
 
-    const selectedTz = TIME_ZONES.find(tz => tz.value === timezoneValue);
+    const selectedTz = getTimezoneEntry(timezoneValue);
     if (!selectedTz) return;
 
-    if (clocks.some(clock => clock.timezone === timezoneValue)) {
-      alert('This clock already exists!');
+    // Same zone is fine (e.g. two teammates in Lisbon) as long as the labels differ
+    const clockLabel = normalizeLabel(newClockLabel) || label || selectedTz.label;
+    if (hasDuplicateClock(clocks, selectedTz.value, clockLabel)) {
+      alert(t('duplicateClock', { label: clockLabel }));
       return;
     }
 
     // 1. Execute business logic
+    // Clocks added from the map keep the clicked point; others use the zone's city
+    const clockCoordinates = sanitizeCoordinates(coordinates) || getZoneCoordinates(selectedTz.value);
     const newClock = {
       id: Date.now(),
-      label: selectedTz.label,
-      timezone: selectedTz.value
+      label: clockLabel,
+      timezone: selectedTz.value,
+      ...(clockCoordinates && { coordinates: clockCoordinates })
     };
 
     setClocks(prev => [...prev, newClock]);
     trackClockAdded(newClock.id);
     setSelectedTimezone('');
+    setNewClockLabel('');
     setShowAddClock(false);
 
     // 2. Track the successful action (keeping all your original rich metadata)
     const deviceInfo = getDeviceInfo();
     
-    client.logEvent("clock_added", selectedTz.value, { // STATSIG - Log clock addition event - OBJECTIVE 2
+    track("clock_added", selectedTz.value, { // STATSIG - Log clock addition event - OBJECTIVE 2
       timezone: selectedTz.value,
-      label: selectedTz.label,
+      label: newClock.label,
       total_clocks: clocks.length + 1,
       add_method: addMethod,
       search_query: searchQuery || null,
-      user_session_id: getOrCreateSessionId(),
+      has_custom_label: clockLabel !== selectedTz.label,
       continent: getContinent(selectedTz.value),
       is_business_hours: isBusinessHours(selectedTz.value),
-      time_offset_from_local: getTimezoneOffset(selectedTz.value),
+      time_offset_from_local: formatOffset(getOffsetDifferenceMinutes(selectedTz.value)),
       user_language: deviceInfo.language,
       user_timezone: deviceInfo.timezone,
-      screen_size: `${deviceInfo.screenWidth}x${deviceInfo.screenHeight}`,
-      timestamp: new Date().toISOString()
+      screen_size: `${deviceInfo.screenWidth}x${deviceInfo.screenHeight}`
     });
   };
 
@@ -577,7 +735,7 @@ const WorldClockDashboard = () => {
     setClocks(prev => prev.filter(clock => clock.id !== id));
 
     // Log removal event with collected metadata
-    client.logEvent("clock_removed", clockToRemove?.timezone || "unknown", { // STATSIG - Log clock removal event - OBJECTIVE 2
+    track("clock_removed", clockToRemove?.timezone || "unknown", { // STATSIG - Log clock removal event - OBJECTIVE 2
       clock_id: id,
       timezone: clockToRemove?.timezone,
       label: clockToRemove?.label,
@@ -585,12 +743,172 @@ const WorldClockDashboard = () => {
       time_on_dashboard_ms: duration,
       time_on_dashboard_minutes: Math.round(duration / 60000),
       removal_method: "button_click",
-      user_session_id: getOrCreateSessionId(),
-      was_recently_added: wasRecentlyAdded(id),
-      timestamp: new Date().toISOString()
+      was_recently_added: wasRecentlyAdded(id)
     });
   };
 
+  // Update fields of a single clock (e.g. its working-hours schedule)
+  const updateClock = (id, changes) => {
+    setClocks(prev => prev.map(clock => (clock.id === id ? { ...clock, ...changes } : clock)));
+  };
+
+  // Open or close one of the inline editors on a clock card
+  const toggleClockEditor = (id, panel) => {
+    setEditingClock(current =>
+      current && current.id === id && current.panel === panel ? null : { id, panel }
+    );
+  };
+
+  // Replace a clock's label, notes, avatar and group (cleared fields are dropped)
+  const saveClockDetails = (id, details) => {
+    const clock = clocks.find(c => c.id === id);
+    setClocks(prev => prev.map(c => {
+      if (c.id !== id) return c;
+      const { notes, avatar, groupId, ...rest } = c;
+      return { ...rest, ...details };
+    }));
+    setEditingClock(null);
+
+    track("clock_details_updated", clock?.timezone || "unknown", { // STATSIG - Log label/notes/avatar edits
+      clock_id: id,
+      timezone: clock?.timezone,
+      label_changed: clock?.label !== details.label,
+      has_notes: Boolean(details.notes),
+      has_avatar: Boolean(details.avatar)
+    });
+  };
+
+  // Log a manual reorder (drag-and-drop or keyboard)
+  const logClockReordered = (clock, method) => {
+    track("clock_reordered", clock?.timezone || "unknown", { // STATSIG - Log reordering
+      clock_id: clock?.id,
+      reorder_method: method,
+      total_clocks_visible: clocks.length,
+      total_groups: groups.length
+    });
+  };
+
+  const handleDragStart = (e, clockId) => {
+    setDraggingClockId(clockId);
+    e.dataTransfer.effectAllowed = 'move';
+    e.dataTransfer.setData('text/plain', String(clockId));
+  };
+
+  // Cards and group sections are both drop targets; the innermost one wins
+  const handleDragOver = (e, target) => {
+    if (draggingClockId === null) return;
+    e.preventDefault();
+    e.stopPropagation();
+    e.dataTransfer.dropEffect = 'move';
+    if (dropTarget?.targetId !== target.targetId || dropTarget?.groupId !== target.groupId) {
+      setDropTarget(target);
+    }
+  };
+
+  const handleDrop = (e, target) => {
+    e.preventDefault();
+    e.stopPropagation();
+    if (draggingClockId === null) return;
+    const clock = clocks.find(c => c.id === draggingClockId);
+    setClocks(prev => moveClock(prev, draggingClockId, target));
+    logClockReordered(clock, 'drag_and_drop');
+    setDraggingClockId(null);
+    setDropTarget(null);
+  };
+
+  const handleDragEnd = () => {
+    setDraggingClockId(null);
+    setDropTarget(null);
+  };
+
+  // Arrow keys on a card's grip move it within its section
+  const handleGripKeyDown = (e, clock) => {
+    // Left/right follow the reading direction, so in RTL "left" moves forwards
+    const inline = textDirection === 'rtl' ? -1 : 1;
+    const delta = { ArrowUp: -1, ArrowLeft: -inline, ArrowDown: 1, ArrowRight: inline }[e.key];
+    if (!delta || sortMode !== 'manual') return;
+    e.preventDefault();
+
+    const reordered = moveClockBy(clocks, clock.id, delta, groups);
+    if (reordered === clocks) return;
+    setClocks(reordered);
+    setFocusGripId(clock.id);
+
+    const section = groupClocks(reordered, groups).find(({ clocks: sectionClocks }) =>
+      sectionClocks.some(c => c.id === clock.id)
+    );
+    const position = section.clocks.findIndex(c => c.id === clock.id) + 1;
+    setReorderAnnouncement(t('reorderAnnouncement', { label: clock.label, position, total: section.clocks.length }));
+    logClockReordered(clock, 'keyboard');
+  };
+
+  const handleSortModeChange = (mode) => {
+    track("clock_sort_changed", mode, { // STATSIG - Log sort mode change
+      new_sort_mode: mode,
+      previous_sort_mode: sortMode,
+      total_clocks_visible: clocks.length
+    });
+    setSortMode(mode);
+  };
+
+  const addGroup = (e) => {
+    e.preventDefault();
+    const name = normalizeGroupName(newGroupName);
+    if (!name) return;
+    if (groups.some(group => group.name.toLowerCase() === name.toLowerCase())) {
+      alert(t('duplicateGroup', { name }));
+      return;
+    }
+    setGroups(prev => [...prev, { id: Date.now(), name, collapsed: false }]);
+    setNewGroupName('');
+
+    track("clock_group_created", name, { // STATSIG - Log group creation
+      total_groups: groups.length + 1
+    });
+  };
+
+  const updateGroup = (id, changes) => {
+    setGroups(prev => prev.map(group => (group.id === id ? { ...group, ...changes } : group)));
+  };
+
+  const renameGroup = (id, name) => {
+    const cleanName = normalizeGroupName(name);
+    if (cleanName) updateGroup(id, { name: cleanName });
+    setRenamingGroupId(null);
+  };
+
+  // Deleting a group keeps its clocks; they become ungrouped
+  const deleteGroup = (id) => {
+    setGroups(prev => prev.filter(group => group.id !== id));
+    setClocks(prev => prev.map(clock => {
+      if (clock.groupId !== id) return clock;
+      const { groupId, ...rest } = clock;
+      return rest;
+    }));
+  };
+
+  // Save a clock's working-hours schedule; null restores the timezone default.
+  // Edits are logged once per clock after a pause, a reset straight away.
+  const updateClockSchedule = (id, schedule) => {
+    const clock = clocks.find(c => c.id === id);
+    updateClock(id, { schedule });
+
+    const pending = pendingScheduleLogs.current;
+    clearTimeout(pending.get(id)?.timer);
+    const send = () => {
+      pending.delete(id);
+      track("working_hours_updated", clock?.timezone || "unknown", { // STATSIG - Log schedule change
+        clock_id: id,
+        timezone: clock?.timezone,
+        is_default: schedule === null,
+        workdays_count: schedule ? schedule.workdays.length : null,
+        has_lunch_break: Boolean(schedule?.lunch)
+      });
+    };
+    if (schedule === null) send();
+    else pending.set(id, { send, timer: setTimeout(send, SCHEDULE_LOG_DELAY_MS) });
+  };
+
   // Toggle 24-hour format
   const toggle24Hour = () => {
     const newFormat = !is24Hour;
@@ -599,15 +917,91 @@ const WorldClockDashboard = () => {
     
     const deviceInfo = getDeviceInfo();
     
-    client.logEvent("time_format_toggled", newFormat ? "24h" : "12h", { // STATSIG - Log time format toggle event - OBJECTIVE 2
+    track("time_format_toggled", newFormat ? "24h" : "12h", { // STATSIG - Log time format toggle event - OBJECTIVE 2
       new_format: newFormat ? "24h" : "12h", 
       previous_format: newFormat ? "12h" : "24h",
       total_clocks_visible: clocks.length,
-      user_session_id: getOrCreateSessionId(),
       device_locale: deviceInfo.language,
       user_timezone: deviceInfo.timezone,
-      toggle_count_in_session: toggleCounts.timeFormat + 1,
-      timestamp: new Date().toISOString()
+      toggle_count_in_session: toggleCounts.timeFormat + 1
+    });
+  };
+
+  // Language choice; null follows the browser
+  const handleLocaleChange = (preference) => {
+    setLocalePreference(preference);
+    track("locale_changed", preference || "auto", { // STATSIG - Log language choice
+      resolved_locale: resolveLocale(preference),
+      previous_locale: locale,
+      browser_locale: getBrowserLocale()
+    });
+  };
+
+  const handleCalendarChange = (nextCalendar) => {
+    setCalendar(nextCalendar);
+    track("calendar_changed", nextCalendar || "default", { // STATSIG - Log calendar choice
+      locale
+    });
+  };
+
+  // STATSIG - Auto-capture and session replay start only once consented to
+  useEffect(() => {
+    startConsentedPlugins(client, consent);
+  }, [client, consent]);
+
+  // STATSIG - Alt+Shift+F toggles the flag override panel where overrides are enabled
+  useEffect(() => {
+    if (!isFlagOverridesEnabled()) return undefined;
+    const handleKeyDown = (event) => {
+      if (!isFlagPanelShortcut(event)) return;
+      event.preventDefault();
+      setShowFlagPanel(open => !open);
+    };
+    window.addEventListener('keydown', handleKeyDown);
+    return () => window.removeEventListener('keydown', handleKeyDown);
+  }, []);
+
+  // STATSIG - Re-evaluate gates and experiments when a host page signs a user in or out
+  useEffect(() => onIdentityChange(() => {
+    client.updateUserAsync(getUserProperties());
+  }), [client]);
+
+  const handleConsentSave = (choice) => {
+    const next = saveConsent(choice);
+    // A running plugin can't be stopped in place
+    if (needsReloadForConsent(next)) {
+      window.location.reload();
+      return;
+    }
+    setConsent(next);
+    if (!next.analytics) clearQueuedAnalytics();
+    // Re-send the user with the fields the new choice allows
+    client.updateUserAsync(getUserProperties());
+    track("consent_updated", next.analytics ? "analytics" : "necessary_only", { // STATSIG - Only uploaded with analytics consent
+      auto_capture: String(next.autoCapture),
+      session_replay: String(next.replay)
+    });
+  };
+
+  // Start over with fresh anonymous identifiers
+  const handleDeleteIdentifiers = () => {
+    deleteLocalIdentifiers();
+    clearQueuedAnalytics();
+    window.location.reload();
+  };
+
+  const handleMapLayerChange = (nextLayer) => {
+    setMapLayer(nextLayer);
+    track("map_layer_changed", nextLayer, { // STATSIG - Log map base layer choice
+      previous_layer: mapLayer || "default",
+      online: navigator.onLine
+    });
+  };
+
+  const handleShowTimezonesChange = (visible) => {
+    setShowTimezones(visible);
+    track("timezone_layer_toggled", visible ? "shown" : "hidden", { // STATSIG - Log timezone overlay usage
+      clock_count: clocks.length
     });
   };
 
@@ -617,20 +1011,351 @@ const WorldClockDashboard = () => {
     setShowSeconds(newState);
     incrementToggleCount('seconds');
     
-    client.logEvent("seconds_display_toggled", newState ? "enabled" : "disabled", { // STATSIG - Log seconds display toggle event - OBJECTIVE 2
+    track("seconds_display_toggled", newState ? "enabled" : "disabled", { // STATSIG - Log seconds display toggle event - OBJECTIVE 2
       new_state: newState ? "enabled" : "disabled",
       previous_state: newState ? "disabled" : "enabled",
       total_clocks_visible: clocks.length,
-      user_session_id: getOrCreateSessionId(),
       current_time_format: is24Hour ? "24h" : "12h",
-      toggle_count_in_session: toggleCounts.seconds + 1,
-      timestamp: new Date().toISOString()
+      toggle_count_in_session: toggleCounts.seconds + 1
+    });
+  };
+
+  // Copy a link that reproduces this dashboard
+  const copyShareLink = async () => {
+    const url = buildShareUrl({
+      clocks,
+      settings: { is24Hour, showSeconds },
+      travelTime
+    });
+    try {
+      await copyText(url);
+      setLinkCopyState('copied');
+    } catch (error) {
+      console.warn('Could not copy dashboard link:', error);
+      setLinkCopyState('failed');
+      return;
+    }
+
+    track("dashboard_link_copied", travelTime ? "pinned" : "live", { // STATSIG - Log share link usage
+      total_clocks_shared: clocks.length,
+      has_pinned_time: Boolean(travelTime),
+      url_length: url.length
     });
   };
 
+  const keepSharedDashboard = () => {
+    setIsSharedView(false);
+    setSharedLink(null);
+    track("shared_dashboard_kept", String(clocks.length), { // STATSIG - Log shared link adoption
+      total_clocks_visible: clocks.length
+    });
+  };
+
+  const leaveSharedDashboard = () => {
+    setClocks(persistedState.clocks);
+    setGroups(persistedState.groups);
+    setIs24Hour(persistedState.settings.is24Hour);
+    setShowSeconds(persistedState.settings.showSeconds);
+    setTravelTime(null);
+    setEditingClock(null);
+    setIsSharedView(false);
+    setSharedLink(null);
+  };
+
+  const handleImport = (next, { mode, format, errorCount }) => {
+    setClocks(next.clocks);
+    setGroups(next.groups);
+    setIs24Hour(next.settings.is24Hour);
+    setShowSeconds(next.settings.showSeconds);
+    setSortMode(next.settings.sortMode);
+    setLocalePreference(next.settings.locale);
+    setCalendar(next.settings.calendar);
+    setMapLayer(next.settings.mapLayer);
+    setShowTimezones(next.settings.showTimezones);
+    setEditingClock(null);
+
+    track("clocks_imported", format, { // STATSIG - Log import usage
+      import_mode: mode,
+      error_rows: errorCount,
+      total_clocks_visible: next.clocks.length
+    });
+  };
+
+  const handleExport = (format) => {
+    track("clocks_exported", format, { // STATSIG - Log export usage
+      total_clocks_visible: clocks.length,
+      total_groups: groups.length
+    });
+  };
+
+  // Meeting planner slot copied to clipboard
+  const handleMeetingSlotCopied = (slot, isBestOverlap) => {
+    track("meeting_slot_copied", slot.time.toISOString(), { // STATSIG - Log meeting planner usage
+      slot_time: slot.time.toISOString(),
+      is_best_overlap: isBestOverlap,
+      business_hours_clocks: slot.cells.filter(cell => cell.category === 'business').length,
+      total_clocks_visible: clocks.length
+    });
+  };
+
+  // Display order: sort mode first, then split into groups
+  const canReorder = sortMode === 'manual';
+  const clockSections = groupClocks(sortClocks(clocks, sortMode, displayTime), groups);
+
+  // Clock card, shared by the grid and compact layouts. A render function rather
+  // than a component so open editors keep their state across the 1s re-render.
+  const renderClockCard = (clock) => (
+    <div
+      key={clock.id}
+      draggable={canReorder && editingClock?.id !== clock.id}
+      onDragStart={(e) => handleDragStart(e, clock.id)}
+      onDragOver={(e) => handleDragOver(e, { targetId: clock.id })}
+      onDrop={(e) => handleDrop(e, { targetId: clock.id })}
+      onDragEnd={handleDragEnd}
+      className={`backdrop-blur-lg border border-white/20 hover:bg-white/15 group ${
+        isCompactLayout ? 'flex flex-wrap items-center justify-between' : ''
+      }`}
+      style={{
+        backgroundColor: "rgba(255,255,255,0.1)",
+        borderRadius: "16px",
+        padding: "24px",
+        transition: `all ${hasSmoothAnimations ? 500 : 300}ms ease-in-out`,
+        transform: hasSmoothAnimations ? 'scale(1)' : 'none',
+        opacity: draggingClockId === clock.id ? 0.5 : 1,
+        boxShadow: dropTarget?.targetId === clock.id && draggingClockId !== clock.id
+          ? "-4px 0 0 0 #a855f7"
+          : "none"
+      }}
+      onMouseEnter={hasSmoothAnimations ? (e) => e.target.style.transform = 'scale(1.02)' : undefined}
+      onMouseLeave={hasSmoothAnimations ? (e) => e.target.style.transform = 'scale(1)' : undefined}
+    >
+      <div className={`flex ${isCompactLayout ? 'items-center gap-6 flex-1' : 'justify-between items-start mb-4'}`}>
+        <button
+          data-grip-id={clock.id}
+          onKeyDown={(e) => handleGripKeyDown(e, clock)}
+          disabled={!canReorder}
+          className="text-gray-400 hover:text-white disabled:opacity-30 cursor-grab flex-shrink-0"
+          style={{ transition: `all ${hasSmoothAnimations ? 500 : 300}ms ease-in-out` }}
+          aria-label={t('reorderAria', { label: clock.label })}
+          title={canReorder ? t('reorderTitle') : t('reorderDisabledTitle')}
+        >
+          <GripVertical className="w-5 h-5" />
+        </button>
+        <div className={`text-start ${isCompactLayout ? 'min-w-[120px]' : 'flex-1 ms-2'}`} title={clock.notes || undefined}>
+          <h3 
+            className="text-xl font-semibold tracking-wide"
+            style={{ color: "#ffffff" }}
+          >
+            {clock.avatar && <span className="me-2" aria-hidden="true">{clock.avatar}</span>}
+            {clock.label}
+          </h3>
+          {clock.notes && !isCompactLayout && (
+            <p className="text-xs font-light mt-1 whitespace-pre-line" style={{ color: "#9ca3af" }}>
+              {clock.notes}
+            </p>
+          )}
+        </div>
+        {!isCompactLayout && (
+          <div className="flex items-center gap-2">
+            <button
+              onClick={() => toggleClockEditor(clock.id, 'details')}
+              className={`text-gray-400 hover:text-white ${editingClock?.id === clock.id ? '' : 'opacity-0 group-hover:opacity-100'}`}
+              style={{
+                transition: `all ${hasSmoothAnimations ? 500 : 300}ms ease-in-out`
+              }}
+              aria-label={t('editDetails')}
+            >
+              <Pencil className="w-5 h-5" />
+            </button>
+            <button
+              onClick={() => toggleClockEditor(clock.id, 'schedule')}
+              className={`text-gray-400 hover:text-white ${editingClock?.id === clock.id ? '' : 'opacity-0 group-hover:opacity-100'}`}
+              style={{
+                transition: `all ${hasSmoothAnimations ? 500 : 300}ms ease-in-out`
+              }}
+              aria-label={t('editWorkingHours')}
+            >
+              <Briefcase className="w-5 h-5" />
+            </button>
+            {getClockCoordinates(clock) && (
+              <button
+                onClick={() => toggleClockEditor(clock.id, 'daylight')}
+                className={`text-gray-400 hover:text-white ${editingClock?.id === clock.id ? '' : 'opacity-0 group-hover:opacity-100'}`}
+                style={{
+                  transition: `all ${hasSmoothAnimations ? 500 : 300}ms ease-in-out`
+                }}
+                aria-label={t('daylightDetails')}
+              >
+                <Sun className="w-5 h-5" />
+              </button>
+            )}
+            {clocks.length > 1 && (
+              <button
+                onClick={() => removeClock(clock.id)}
+                className="text-red-400 hover:text-red-300 opacity-0 group-hover:opacity-100"
+                aria-label={t('removeClock', { label: clock.label })}
+                style={{
+                  transition: `all ${hasSmoothAnimations ? 500 : 300}ms ease-in-out`
+                }}
+              >
+                <X className="w-5 h-5" />
+              </button>
+            )}
+          </div>
+        )}
+      </div>
+
+      <div className={`${isCompactLayout ? 'flex items-center gap-6' : 'text-center'}`}>
+        <div className={`flex ${isCompactLayout ? 'items-center gap-6' : 'items-center justify-between gap-6'}`}>
+          <div className={isCompactLayout ? 'text-start' : 'flex-1'}>
+            <div 
+              className={`font-jetbrains ${isCompactLayout ? 'mb-0' : 'mb-2'} tracking-wider`}
+              style={{ 
+                fontSize: `${hasEnhancedTimeDisplay ? 48 : 36}px`,
+                fontWeight: 600,
+                color: "#ffffff"
+              }}
+            >
+              {formatTime(clock.timezone)}
+            </div>
+            {!isCompactLayout && (
+              <>
+                <div 
+                  className="text-sm font-light"
+                  style={{ color: "#9ca3af" }}
+                >
+                  {formatDate(clock.timezone)}
+                </div>
+                {hasEnhancedTimeDisplay && (
+                  <div 
+                    className="text-xs font-medium mt-1"
+                    style={{ color: "#9ca3af" }}
+                  >
+                    {getRelativeTime(clock.timezone, displayTime, getLocalTimezone(), locale)}
+                    {renderUpcomingDifference(clock)}
+                  </div>
+                )}
+                <div className="mt-1">
+                  <DaylightSummary clock={clock} />
+                </div>
+                <div className="mt-2 flex flex-wrap items-center justify-center gap-2">
+                  <ScheduleBadge clock={clock} />
+                  <DstBadge clock={clock} />
+                </div>
+              </>
+            )}
+          </div>
+
+          {isCompactLayout && <ScheduleBadge clock={clock} />}
+          {isCompactLayout && <DstBadge clock={clock} />}
+
+          {!isCompactLayout && (
+            <div className="flex-shrink-0 flex items-center justify-center h-full">
+              <AnalogClock timezone={clock.timezone} />
+            </div>
+          )}
+        </div>
+
+        {isCompactLayout && (
+          <>
+            <button
+              onClick={() => toggleClockEditor(clock.id, 'details')}
+              className="text-gray-400 hover:text-white"
+              style={{
+                transition: `all ${hasSmoothAnimations ? 500 : 300}ms ease-in-out`
+              }}
+              aria-label={t('editDetails')}
+            >
+              <Pencil className="w-5 h-5" />
+            </button>
+            <button
+              onClick={() => toggleClockEditor(clock.id, 'schedule')}
+              className="text-gray-400 hover:text-white"
+              style={{
+                transition: `all ${hasSmoothAnimations ? 500 : 300}ms ease-in-out`
+              }}
+              aria-label={t('editWorkingHours')}
+            >
+              <Briefcase className="w-5 h-5" />
+            </button>
+            {getClockCoordinates(clock) && (
+              <button
+                onClick={() => toggleClockEditor(clock.id, 'daylight')}
+                className="text-gray-400 hover:text-white"
+                style={{
+                  transition: `all ${hasSmoothAnimations ? 500 : 300}ms ease-in-out`
+                }}
+                aria-label={t('daylightDetails')}
+              >
+                <Sun className="w-5 h-5" />
+              </button>
+            )}
+          </>
+        )}
+
+        {clocks.length > 1 && isCompactLayout && (
+          <button
+            onClick={() => removeClock(clock.id)}
+            className="text-red-400 hover:text-red-300"
+            aria-label={t('removeClock', { label: clock.label })}
+            style={{
+              transition: `all ${hasSmoothAnimations ? 500 : 300}ms ease-in-out`
+            }}
+          >
+            <X className="w-5 h-5" />
+          </button>
+        )}
+      </div>
+
+      {editingClock?.id === clock.id && editingClock.panel === 'details' && (
+        <div className="w-full">
+          <ClockDetailsEditor
+            clock={clock}
+            validateLabel={(label) =>
+              hasDuplicateClock(clocks, clock.timezone, label, clock.id)
+                ? t('duplicateLabel')
+                : null
+            }
+            onSave={(details) => saveClockDetails(clock.id, details)}
+            onCancel={() => setEditingClock(null)}
+            t={t}
+            transition={`all ${hasSmoothAnimations ? 500 : 300}ms ease-in-out`}
+          />
+        </div>
+      )}
+
+      {editingClock?.id === clock.id && editingClock.panel === 'schedule' && (
+        <div className="w-full">
+          <WorkingHoursEditor
+            schedule={getClockSchedule(clock)}
+            onChange={(schedule) => updateClockSchedule(clock.id, schedule)}
+            onReset={() => updateClockSchedule(clock.id, null)}
+            locale={locale}
+            t={t}
+            transition={`all ${hasSmoothAnimations ? 500 : 300}ms ease-in-out`}
+          />
+        </div>
+      )}
+
+      {editingClock?.id === clock.id && editingClock.panel === 'daylight' && getClockSunTimes(clock) && (
+        <div className="w-full">
+          <DaylightPanel
+            sunTimes={getClockSunTimes(clock)}
+            formatEventTime={(date) => formatSunEvent(date, clock.timezone)}
+            locale={locale}
+            t={t}
+          />
+        </div>
+      )}
+    </div>
+  );
+
   return (
     <div 
       className="min-h-screen font-inter"
+      data-theme={isDarkTheme ? 'dark' : 'default'}
+      dir={textDirection}
+      lang={locale}
       style={{
         background: isDarkTheme 
           ? `linear-gradient(to bottom right, #000000, #1a1a1a, #000000)` 
@@ -644,12 +1369,84 @@ const WorldClockDashboard = () => {
       
       <div className="p-4">
         <div className="max-w-6xl mx-auto">
+          {/* Shared link notice */}
+          {sharedLink && (
+            <div
+              className="mb-6 border border-white/20 px-4 py-3 text-sm flex flex-wrap items-center gap-3 justify-between"
+              style={{
+                backgroundColor: "rgba(168,85,247,0.2)",
+                color: "#ffffff",
+                borderRadius: "16px"
+              }}
+              role="status"
+            >
+              {sharedLink.invalid ? (
+                <p>{t('sharedInvalid')}</p>
+              ) : (
+                <div>
+                  <p>
+                    {isSharedView ? t('sharedViewing') : t('sharedKept')}
+                  </p>
+                  {sharedLink.unknownZones.length > 0 && (
+                    <p className="text-xs mt-1" style={{ color: "#d1d5db" }}>
+                      {t('sharedSkippedZones', { zones: sharedLink.unknownZones.join(', ') })}
+                    </p>
+                  )}
+                </div>
+              )}
+              <div className="flex gap-2">
+                {isSharedView && (
+                  <>
+                    <button
+                      onClick={keepSharedDashboard}
+                      className="bg-purple-600 hover:bg-purple-700 text-white px-3 py-1 font-medium"
+                      style={{ borderRadius: "12px" }}
+                      title={t('sharedKeepTitle')}
+                    >
+                      {t('sharedKeep')}
+                    </button>
+                    <button
+                      onClick={leaveSharedDashboard}
+                      className="px-3 py-1 border border-white/20"
+                      style={{ borderRadius: "12px" }}
+                    >
+                      {t('sharedLeave')}
+                    </button>
+                  </>
+                )}
+                {!isSharedView && (
+                  <button
+                    onClick={() => setSharedLink(null)}
+                    className="p-1 hover:bg-white/10"
+                    style={{ borderRadius: "8px" }}
+                    aria-label={t('dismiss')}
+                  >
+                    <X className="w-4 h-4" />
+                  </button>
+                )}
+              </div>
+            </div>
+          )}
+
           {/* Header with Upgrade Button */}
           <div className="text-center mb-8 relative">
             {/* Upgrade Button - Top Right */}
-            <div className="absolute top-0 right-0">
+            <div className="absolute top-0 end-0">
               <UpgradeButton />
             </div>
+
+            {/* Offline indicator - Top Left */}
+            {!isOnline && (
+              <div
+                className="absolute top-0 start-0 flex items-center gap-2 px-3 py-1 text-sm border border-amber-400/40"
+                style={{ borderRadius: "12px", backgroundColor: "rgba(251,191,36,0.15)", color: "#fbbf24" }}
+                role="status"
+                title={t('offlineHint', { count: getQueuedAnalyticsCount() })}
+              >
+                <WifiOff className="w-4 h-4" />
+                {t('offline')}
+              </div>
+            )}
             
             <div className="flex items-center justify-center gap-3 mb-4">
               <Clock 
@@ -701,7 +1498,7 @@ const WorldClockDashboard = () => {
                   className="font-medium"
                   style={{ color: "#ffffff" }}
                 >
-                  Settings
+                  {t('settings')}
                 </span>
               </div>
               
@@ -717,7 +1514,7 @@ const WorldClockDashboard = () => {
                       onChange={toggle24Hour}
                       className="rounded"
                     />
-                    24-hour format
+                    {t('format24Hour')}
                   </label>
                   
                   <label 
@@ -730,10 +1527,68 @@ const WorldClockDashboard = () => {
                       onChange={toggleSeconds}
                       className="rounded"
                     />
-                    Show seconds
+                    {t('showSeconds')}
                   </label>
                 </div>
 
+                <div className="flex flex-wrap items-center gap-3 text-sm" style={{ color: "#ffffff" }}>
+                  <Languages className="w-4 h-4" style={{ color: "#9ca3af" }} aria-hidden="true" />
+                  <select
+                    value={localePreference}
+                    onChange={(e) => handleLocaleChange(e.target.value)}
+                    className="border border-white/20 px-2 py-1"
+                    style={{
+                      backgroundColor: "rgba(255,255,255,0.1)",
+                      color: "#ffffff",
+                      borderRadius: "12px",
+                      transition: `all ${hasSmoothAnimations ? 500 : 300}ms ease-in-out`
+                    }}
+                    aria-label={t('language')}
+                  >
+                    <option value="" className="bg-slate-800 text-white">
+                      {t('languageAuto', { locale: getBrowserLocale() })}
+                    </option>
+                    {SUPPORTED_LANGUAGES.map(language => (
+                      <option key={language} value={language} lang={language} className="bg-slate-800 text-white">
+                        {getLanguageName(language)}
+                      </option>
+                    ))}
+                  </select>
+                  <select
+                    value={calendar}
+                    onChange={(e) => handleCalendarChange(e.target.value)}
+                    className="border border-white/20 px-2 py-1"
+                    style={{
+                      backgroundColor: "rgba(255,255,255,0.1)",
+                      color: "#ffffff",
+                      borderRadius: "12px",
+                      transition: `all ${hasSmoothAnimations ? 500 : 300}ms ease-in-out`
+                    }}
+                    aria-label={t('calendar')}
+                  >
+                    <option value="" className="bg-slate-800 text-white">{t('calendarDefault')}</option>
+                    {CALENDARS.map(id => (
+                      <option key={id} value={id} className="bg-slate-800 text-white">
+                        {getCalendarName(id, locale)}
+                      </option>
+                    ))}
+                  </select>
+                </div>
+
+                <button
+                  onClick={copyShareLink}
+                  disabled={clocks.length === 0}
+                  className="flex items-center gap-2 text-white px-4 py-2 font-medium border border-white/20 disabled:opacity-50"
+                  style={{
+                    borderRadius: "16px",
+                    transition: `all ${hasSmoothAnimations ? 500 : 300}ms ease-in-out`
+                  }}
+                  title={travelTime ? t('copyLinkPinnedTitle') : t('copyLinkTitle')}
+                >
+                  <Link className="w-4 h-4" />
+                  {linkCopyState === 'copied' ? t('linkCopied') : linkCopyState === 'failed' ? t('copyFailed') : t('copyLink')}
+                </button>
+
                 <button
                   onClick={() => setShowAddClock(!showAddClock)}
                   className="flex items-center gap-2 text-white px-4 py-2 rounded-lg font-medium"
@@ -747,7 +1602,7 @@ const WorldClockDashboard = () => {
                   onMouseLeave={hasSmoothAnimations ? (e) => e.target.style.transform = 'scale(1)' : undefined}
                 >
                   <Plus className="w-4 h-4" />
-                  Add Clock
+                  {t('addClock')}
                 </button>
               </div>
             </div>
@@ -761,7 +1616,7 @@ const WorldClockDashboard = () => {
                       className="block text-sm font-medium mb-2"
                       style={{ color: "#ffffff" }}
                     >
-                      Search & Add Timezone
+                      {t('searchAddTimezone')}
                     </label>
                     <div className="relative">
                       <input
@@ -769,7 +1624,7 @@ const WorldClockDashboard = () => {
                         value={selectedTimezone}
                         onChange={(e) => setSelectedTimezone(e.target.value)}
                         onFocus={() => setShowAddClock(true)}
-                        placeholder="Type to search timezones..."
+                        placeholder={t('searchPlaceholder')}
                         className="w-full border border-white/20 px-3 py-2 placeholder-gray-400 focus:ring-2 focus:border-transparent"
                         style={{
                           backgroundColor: "rgba(255,255,255,0.1)",
@@ -786,26 +1641,24 @@ const WorldClockDashboard = () => {
                             borderRadius: "16px"
                           }}
                         >
-                          {TIME_ZONES
-                            .filter(zone => 
-                              zone.label.toLowerCase().includes(selectedTimezone.toLowerCase()) ||
-                              zone.value.toLowerCase().includes(selectedTimezone.toLowerCase())
-                            )
-                            .slice(0, 8)
-                            .map(zone => (
-                              <button
-                                key={zone.value}
-                                onClick={() => addClock(zone.value, 'search', selectedTimezone)} // Uses single addClock function
-                                className="w-full text-left px-3 py-2 hover:bg-white/20 border-b border-white/10 last:border-b-0"
-                                style={{
-                                  color: "#ffffff",
-                                  transition: `all ${hasSmoothAnimations ? 500 : 300}ms ease-in-out`
-                                }}
-                              >
-                                <div className="font-medium">{zone.label}</div>
-                                <div className="text-sm text-gray-400">{zone.value}</div>
-                              </button>
-                            ))}
+                          {searchTimezones(selectedTimezone, 8).map(zone => (
+                            <button
+                              key={zone.value}
+                              onClick={() => addClock(zone.value, 'search', selectedTimezone, zone.displayLabel)} // Uses single addClock function
+                              className="w-full text-start px-3 py-2 hover:bg-white/20 border-b border-white/10 last:border-b-0"
+                              style={{
+                                color: "#ffffff",
+                                transition: `all ${hasSmoothAnimations ? 500 : 300}ms ease-in-out`
+                              }}
+                            >
+                              <div className="font-medium">{zone.displayLabel}</div>
+                              <div className="text-sm text-gray-400">
+                                {zone.matchedAlias && zone.matchedAlias !== zone.displayLabel
+                                  ? `${zone.matchedAlias} · ${zone.value}`
+                                  : zone.value}
+                              </div>
+                            </button>
+                          ))}
                         </div>
                       )}
                     </div>
@@ -818,7 +1671,7 @@ const WorldClockDashboard = () => {
                       className="block text-sm font-medium mb-2"
                       style={{ color: "#ffffff" }}
                     >
-                      Select Timezone
+                      {t('selectTimezone')}
                     </label>
                     <select
                       value={selectedTimezone}
@@ -831,11 +1684,22 @@ const WorldClockDashboard = () => {
                         transition: `all ${hasSmoothAnimations ? 500 : 300}ms ease-in-out`
                       }}
                     >
-                      <option value="" className="bg-slate-800 text-white">Choose a city...</option>
-                      {TIME_ZONES.map(zone => (
-                        <option key={zone.value} value={zone.value} className="bg-slate-800 text-white">
-                          {zone.label}
-                        </option>
+                      <option value="" className="bg-slate-800 text-white">{t('chooseCity')}</option>
+                      <optgroup label={t('popular')} className="bg-slate-800 text-white">
+                        {POPULAR_TIMEZONE_ENTRIES.map(zone => (
+                          <option key={zone.value} value={zone.value} className="bg-slate-800 text-white">
+                            {zone.label}
+                          </option>
+                        ))}
+                      </optgroup>
+                      {Object.entries(TIMEZONE_GROUPS).map(([region, zones]) => (
+                        <optgroup key={region} label={region} className="bg-slate-800 text-white">
+                          {zones.map(zone => (
+                            <option key={zone.value} value={zone.value} className="bg-slate-800 text-white">
+                              {zone.label} ({zone.value})
+                            </option>
+                          ))}
+                        </optgroup>
                       ))}
                     </select>
                   </div>
@@ -848,130 +1712,262 @@ const WorldClockDashboard = () => {
                       transition: `all ${hasSmoothAnimations ? 500 : 300}ms ease-in-out`
                     }}
                   >
-                    Add
+                    {t('add')}
                   </button>
                 </div>
               )}
+              <div className="mt-3 max-w-sm">
+                <input
+                  type="text"
+                  value={newClockLabel}
+                  onChange={(e) => setNewClockLabel(e.target.value)}
+                  placeholder={t('customLabelPlaceholder')}
+                  className="w-full border border-white/20 px-3 py-2 placeholder-gray-400 focus:ring-2 focus:border-transparent"
+                  style={{
+                    backgroundColor: "rgba(255,255,255,0.1)",
+                    color: "#ffffff",
+                    borderRadius: "16px",
+                    transition: `all ${hasSmoothAnimations ? 500 : 300}ms ease-in-out`
+                  }}
+                  aria-label={t('customLabelAria')}
+                />
+              </div>
             </div>
+
+            {/* Time Travel - preview every clock at a chosen instant */}
+            <TimeTravelControl
+              liveTime={currentTime}
+              travelTime={travelTime}
+              onTravel={setTravelTime}
+              onReturnToLive={() => setTravelTime(null)}
+              referenceTimezone={travelReferenceTimezone}
+              onReferenceTimezoneChange={setTravelReferenceTimezone}
+              clocks={clocks}
+              locale={locale}
+              t={t}
+              transition={`all ${hasSmoothAnimations ? 500 : 300}ms ease-in-out`}
+            />
+
+            {/* Import / export of clocks as JSON or CSV */}
+            <ImportExportPanel
+              clocks={clocks}
+              groups={groups}
+              settings={{ is24Hour, showSeconds, sortMode, locale: localePreference, calendar, mapLayer, showTimezones }}
+              onImport={handleImport}
+              onExport={handleExport}
+              t={t}
+              transition={`all ${hasSmoothAnimations ? 500 : 300}ms ease-in-out`}
+            />
+
+            {/* Analytics consent and local identifiers */}
+            <PrivacySettings
+              consent={consent}
+              onSave={handleConsentSave}
+              onDeleteIdentifiers={handleDeleteIdentifiers}
+              t={t}
+              transition={`all ${hasSmoothAnimations ? 500 : 300}ms ease-in-out`}
+            />
           </div>
 
           {/* Clock Grid - layout controlled by compact_layout feature gate */}
-          <div 
-            className={isCompactLayout ? "space-y-3" : "grid gap-6"}
-            style={{
-              gridTemplateColumns: isCompactLayout ? 'none' : `repeat(${Math.min(3, clocks.length)}, 1fr)`
-            }}
-          >
-            {clocks.map((clock) => (
-              <div
-                key={clock.id}
-                className={`backdrop-blur-lg border border-white/20 hover:bg-white/15 group ${
-                  isCompactLayout ? 'flex items-center justify-between' : ''
-                }`}
+          <div className="flex flex-wrap items-center justify-between gap-3 mb-4">
+            <label className="flex items-center gap-2 text-sm" style={{ color: "#ffffff" }}>
+              {t('sortBy')}
+              <select
+                value={sortMode}
+                onChange={(e) => handleSortModeChange(e.target.value)}
+                className="border border-white/20 px-3 py-1"
                 style={{
                   backgroundColor: "rgba(255,255,255,0.1)",
-                  borderRadius: "16px",
-                  padding: "24px",
-                  transition: `all ${hasSmoothAnimations ? 500 : 300}ms ease-in-out`,
-                  transform: hasSmoothAnimations ? 'scale(1)' : 'none'
+                  color: "#ffffff",
+                  borderRadius: "12px",
+                  transition: `all ${hasSmoothAnimations ? 500 : 300}ms ease-in-out`
                 }}
-                onMouseEnter={hasSmoothAnimations ? (e) => e.target.style.transform = 'scale(1.02)' : undefined}
-                onMouseLeave={hasSmoothAnimations ? (e) => e.target.style.transform = 'scale(1)' : undefined}
               >
-                <div className={`flex ${isCompactLayout ? 'items-center gap-6 flex-1' : 'justify-between items-start mb-4'}`}>
-                  <h3 
-                    className={`text-xl font-semibold tracking-wide ${isCompactLayout ? 'min-w-[120px]' : ''}`}
-                    style={{ color: "#ffffff" }}
-                  >
-                    {clock.label}
-                  </h3>
-                  {clocks.length > 1 && !isCompactLayout && (
-                    <button
-                      onClick={() => removeClock(clock.id)}
-                      className="text-red-400 hover:text-red-300 opacity-0 group-hover:opacity-100"
-                      style={{
-                        transition: `all ${hasSmoothAnimations ? 500 : 300}ms ease-in-out`
-                      }}
-                    >
-                      <X className="w-5 h-5" />
-                    </button>
-                  )}
-                </div>
-                
-                <div className={`${isCompactLayout ? 'flex items-center gap-6' : 'text-center'}`}>
-                  <div className={`flex ${isCompactLayout ? 'items-center gap-6' : 'items-center justify-between gap-6'}`}>
-                    <div className={isCompactLayout ? 'text-left' : 'flex-1'}>
-                      <div 
-                        className={`font-jetbrains ${isCompactLayout ? 'mb-0' : 'mb-2'} tracking-wider`}
-                        style={{ 
-                          fontSize: `${hasEnhancedTimeDisplay ? 48 : 36}px`,
-                          fontWeight: 600,
-                          color: "#ffffff"
-                        }}
-                      >
-                        {formatTime(clock.timezone)}
-                      </div>
-                      {!isCompactLayout && (
+                {SORT_MODES.map(mode => (
+                  <option key={mode} value={mode} className="bg-slate-800 text-white">{t(`sortMode.${mode}`)}</option>
+                ))}
+              </select>
+            </label>
+            <form onSubmit={addGroup} className="flex items-center gap-2">
+              <input
+                type="text"
+                value={newGroupName}
+                onChange={(e) => setNewGroupName(e.target.value)}
+                placeholder={t('newGroupPlaceholder')}
+                className="border border-white/20 px-3 py-1 text-sm placeholder-gray-400"
+                style={{
+                  backgroundColor: "rgba(255,255,255,0.1)",
+                  color: "#ffffff",
+                  borderRadius: "12px",
+                  transition: `all ${hasSmoothAnimations ? 500 : 300}ms ease-in-out`
+                }}
+                aria-label={t('newGroupAria')}
+              />
+              <button
+                type="submit"
+                disabled={!normalizeGroupName(newGroupName)}
+                className="flex items-center gap-1 text-sm text-white px-3 py-1 disabled:opacity-50"
+                style={{
+                  backgroundColor: "#6b7280",
+                  borderRadius: "12px",
+                  transition: `all ${hasSmoothAnimations ? 500 : 300}ms ease-in-out`
+                }}
+              >
+                <FolderPlus className="w-4 h-4" />
+                {t('addGroup')}
+              </button>
+            </form>
+          </div>
+
+          {/* Screen-reader announcement for keyboard reordering */}
+          <div className="sr-only" aria-live="polite">{reorderAnnouncement}</div>
+
+          <div className="space-y-6">
+            {clockSections.map(({ group, clocks: sectionClocks }) => {
+              // Without any groups the grid renders exactly as a single ungrouped list
+              if (!group && groups.length > 0 && sectionClocks.length === 0 && draggingClockId === null) return null;
+              const isCollapsed = Boolean(group?.collapsed);
+              const sectionTarget = { groupId: group ? group.id : null };
+
+              return (
+                <section
+                  key={group ? group.id : 'ungrouped'}
+                  onDragOver={(e) => handleDragOver(e, sectionTarget)}
+                  onDrop={(e) => handleDrop(e, sectionTarget)}
+                >
+                  {groups.length > 0 && (
+                    <div className="flex items-center gap-2 mb-3" style={{ color: "#ffffff" }}>
+                      {group ? (
                         <>
-                          <div 
-                            className="text-sm font-light"
-                            style={{ color: "#9ca3af" }}
+                          <button
+                            onClick={() => updateGroup(group.id, { collapsed: !isCollapsed })}
+                            className="flex items-center gap-2 font-semibold"
+                            aria-expanded={!isCollapsed}
                           >
-                            {formatDate(clock.timezone)}
-                          </div>
-                          {hasEnhancedTimeDisplay && (
-                            <div 
-                              className="text-xs font-medium mt-1"
-                              style={{ color: "#9ca3af" }}
-                            >
-                              {getRelativeTime(clock.timezone)}
-                            </div>
+                            {isCollapsed ? <ChevronRight className="w-5 h-5" /> : <ChevronDown className="w-5 h-5" />}
+                            {renamingGroupId !== group.id && group.name}
+                          </button>
+                          {renamingGroupId === group.id && (
+                            <input
+                              type="text"
+                              defaultValue={group.name}
+                              onBlur={(e) => renameGroup(group.id, e.target.value)}
+                              onKeyDown={(e) => {
+                                if (e.key === 'Enter') renameGroup(group.id, e.target.value);
+                                if (e.key === 'Escape') setRenamingGroupId(null);
+                              }}
+                              className="border border-white/20 px-2 py-1 text-sm"
+                              style={{ backgroundColor: "rgba(255,255,255,0.1)", color: "#ffffff", borderRadius: "8px" }}
+                              aria-label={t('groupName')}
+                              autoFocus
+                            />
                           )}
+                          <span className="text-sm" style={{ color: "#9ca3af" }}>({sectionClocks.length})</span>
+                          <button
+                            onClick={() => setRenamingGroupId(group.id)}
+                            className="text-gray-400 hover:text-white"
+                            aria-label={t('renameGroup', { name: group.name })}
+                          >
+                            <Pencil className="w-4 h-4" />
+                          </button>
+                          <button
+                            onClick={() => deleteGroup(group.id)}
+                            className="text-red-400 hover:text-red-300"
+                            aria-label={t('deleteGroup', { name: group.name })}
+                            title={t('deleteGroupTitle')}
+                          >
+                            <X className="w-4 h-4" />
+                          </button>
                         </>
+                      ) : (
+                        <span className="font-semibold" style={{ color: "#9ca3af" }}>{t('ungrouped')}</span>
                       )}
                     </div>
-                    
-                    {!isCompactLayout && (
-                      <div className="flex-shrink-0 flex items-center justify-center h-full">
-                        <AnalogClock timezone={clock.timezone} />
-                      </div>
-                    )}
-                  </div>
-                  
-                  {clocks.length > 1 && isCompactLayout && (
-                    <button
-                      onClick={() => removeClock(clock.id)}
-                      className="text-red-400 hover:text-red-300"
+                  )}
+
+                  {!isCollapsed && (sectionClocks.length > 0 ? (
+                    <div 
+                      className={isCompactLayout ? "space-y-3" : "grid gap-6"}
                       style={{
-                        transition: `all ${hasSmoothAnimations ? 500 : 300}ms ease-in-out`
+                        gridTemplateColumns: isCompactLayout ? 'none' : `repeat(${Math.min(3, sectionClocks.length)}, 1fr)`
                       }}
                     >
-                      <X className="w-5 h-5" />
-                    </button>
-                  )}
-                </div>
-              </div>
-            ))}
+                      {sectionClocks.map(renderClockCard)}
+                    </div>
+                  ) : (
+                    <div
+                      className="border border-dashed border-white/20 text-sm text-center"
+                      style={{ color: "#9ca3af", borderRadius: "16px", padding: "24px" }}
+                    >
+                      {t('dragClocksHere')}
+                    </div>
+                  ))}
+                </section>
+              );
+            })}
           </div>
 
+          {/* Meeting Planner - overlapping working hours across all clocks */}
+          <MeetingPlanner
+            clocks={clocks}
+            time={displayTime}
+            is24Hour={is24Hour}
+            locale={locale}
+            t={t}
+            transition={`all ${hasSmoothAnimations ? 500 : 300}ms ease-in-out`}
+            onSlotCopied={handleMeetingSlotCopied}
+          />
+
           {/* STATSIG - Render World Map with Sunlight overlay only when gate passes */}
           {hasSunlightOverlay && (
             <div className="mt-8">
-              <WorldMapWithSunlight />
+              <WorldMapWithSunlight
+                time={travelTime}
+                clocks={clocks}
+                onAddClock={(timezone, coordinates) => addClock(timezone, 'map', '', null, coordinates)}
+                locale={locale}
+                t={t}
+                is24Hour={is24Hour}
+                baseLayer={mapLayer}
+                onBaseLayerChange={handleMapLayerChange}
+                showTimezones={showTimezones}
+                onShowTimezonesChange={handleShowTimezonesChange}
+              />
             </div>
           )}
 
+          {/* Local Statsig overrides for QA; the new overrides re-render the dashboard */}
+          {showFlagPanel && (
+            <FlagOverridePanel
+              client={client}
+              onChange={setFlagOverrides}
+              onClose={() => setShowFlagPanel(false)}
+            />
+          )}
+
+          {/* First-visit consent prompt */}
+          {!consent.decided && (
+            <ConsentBanner
+              onSave={handleConsentSave}
+              t={t}
+              transition={`all ${hasSmoothAnimations ? 500 : 300}ms ease-in-out`}
+            />
+          )}
+
           {/* Footer */}
           <div 
             className="text-center mt-12 text-sm font-light"
             style={{ color: "#9ca3af" }}
           >
-            <p>Times update automatically every second</p>
+            <p>
+              {travelTime ? t('footerTravel', { backToLive: t('backToLive') }) : t('footerLive')}
+            </p>
           </div>
         </div>
       </div>
 
-      <style jsx>{`
+      <style>{`
         .font-inter {
           font-family: 'Inter', -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif;
         }
@@ -985,15 +1981,27 @@ const WorldClockDashboard = () => {
 
 // STATSIG - App component using user properties - OBJECTIVE 1
 function App() {
-  const { client } = useClientAsyncInit(
+  // STATSIG - Boots from cached/bootstrapped values and refreshes in the background,
+  // waiting at most a moment on a first visit
+  const { client, isBooting } = useResilientStatsigClient(
     "client-1jKRKqgQNUDG6QY5wHhX2pFDELaEnSUFWw8vB879CBN",
     getUserProperties(), // STATSIG - Using your user properties function
-    { plugins: [ new StatsigAutoCapturePlugin(), new StatsigSessionReplayPlugin() ] },
+    {
+      // Auto-capture and session replay are added after consent (startConsentedPlugins)
+      networkConfig: {
+        // Event uploads made while offline are queued and sent on reconnect
+        networkOverrideFunc: queueingFetch,
+        // Point at a local mock server for development, e.g. http://localhost:8787/v1
+        ...(import.meta.env.VITE_STATSIG_API ? { api: import.meta.env.VITE_STATSIG_API } : {})
+      },
+      // Session-local QA overrides (FlagOverridePanel), development builds by default
+      ...(isFlagOverridesEnabled() ? { overrideAdapter: createFlagOverrideAdapter() } : {})
+    },
   );
 
   return (
-    <StatsigProvider client={client} loadingComponent={<div>Loading...</div>}>
-      <WorldClockDashboard />
+    <StatsigProvider client={client}>
+      {isBooting ? <div>Loading...</div> : <WorldClockDashboard />}
     </StatsigProvider>
   );
 }
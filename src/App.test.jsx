@@ -0,0 +1,148 @@
+import React from 'react';
+import { describe, expect, it, vi } from 'vitest';
+import { fireEvent, render, screen } from '@testing-library/react';
+import { WorldClockDashboard } from './App.jsx';
+import { createStubStatsigClient, StatsigTestProvider } from './test/statsigStub.jsx';
+import { useFakeClock } from './test/fakeClock.js';
+import { DEFAULT_CLOCKS, DEFAULT_SETTINGS, saveDashboardState } from './dashboardStorage.js';
+import en from './locales/en.js';
+import de from './locales/de.js';
+
+// Leaflet needs a real layout engine; the map's own behaviour isn't under test here
+vi.mock('./WorldMapWithSunlight.jsx', () => ({
+  default: () => <div data-testid="world-map" />
+}));
+
+const GATES = ['dark_theme', 'compact_layout', 'smooth_animations', 'enhanced_time_display', 'search_bar', 'sunlight_overlay'];
+const UPGRADE_STYLES = ['original', 'prominent'];
+
+// Every on/off combination of the gates, with each upgrade icon variant
+const VARIANTS = Array.from({ length: 2 ** GATES.length }, (_, mask) =>
+  Object.fromEntries(GATES.map((gate, index) => [gate, Boolean(mask & (1 << index))]))
+).flatMap(gates => UPGRADE_STYLES.map(style => ({ gates, style })));
+
+const describeVariant = ({ gates, style }) =>
+  `${GATES.filter(gate => gates[gate]).join(', ') || 'no gates'} / ${style}`;
+
+const renderDashboard = (values, props) => {
+  const client = createStubStatsigClient(values);
+  const view = render(
+    <StatsigTestProvider client={client}>
+      <WorldClockDashboard {...props} />
+    </StatsigTestProvider>
+  );
+  return { client, root: view.container.firstChild };
+};
+
+describe('WorldClockDashboard', () => {
+  useFakeClock('2024-01-15T14:30:00Z');
+
+  it.each(VARIANTS.map(variant => [describeVariant(variant), variant]))('renders %s', (_, { gates, style }) => {
+    const { root } = renderDashboard({
+      gates,
+      experiments: { prominent_upgrade_icon: { style } }
+    });
+
+    expect(root.dataset.theme).toBe(gates.dark_theme ? 'dark' : 'default');
+    expect(root.style.transition).toContain(gates.smooth_animations ? '500ms' : '300ms');
+
+    const clockTimes = root.querySelectorAll('.font-jetbrains');
+    expect(clockTimes.length).toBe(3);
+    clockTimes.forEach(time => {
+      expect(time.style.fontSize).toBe(gates.enhanced_time_display ? '48px' : '36px');
+    });
+
+    // The compact layout drops the date line from each card
+    expect(screen.queryAllByText('Monday, January 15, 2024')).toHaveLength(gates.compact_layout ? 0 : 3);
+    expect(Boolean(screen.queryByPlaceholderText(en.searchPlaceholder))).toBe(gates.search_bar);
+    expect(Boolean(screen.queryByTestId('world-map'))).toBe(gates.sunlight_overlay);
+    expect(screen.getByText(style === 'prominent' ? en.upgradeProminent : en.upgrade)).toBeTruthy();
+  });
+
+  it('shows the preset clocks at the fake time', () => {
+    renderDashboard({});
+    // Seconds are on by default; ICU puts a narrow no-break space before AM/PM
+    expect(screen.getByText(/^09:30:00\sAM$/)).toBeTruthy(); // New York
+    expect(screen.getByText(/^02:30:00\sPM$/)).toBeTruthy(); // London
+    expect(screen.getByText(/^11:30:00\sPM$/)).toBeTruthy(); // Tokyo
+  });
+
+  it('uses the dynamic config and parameter store values', () => {
+    renderDashboard({
+      configs: { upsell_banner: { text: 'Try Pro free' } },
+      paramStores: { dashboard_settings: { title: 'Team Clocks' } },
+      layers: { homepage_layer: { tagline: 'Our offices' } }
+    });
+    expect(screen.getByText('Try Pro free')).toBeTruthy();
+    expect(screen.getByText('Team Clocks')).toBeTruthy();
+    expect(screen.getByText('Our offices')).toBeTruthy();
+  });
+
+  it('sends catalog events to the injected sink', () => {
+    const sink = vi.fn();
+    renderDashboard({ configs: { upsell_banner: { text: 'Try Pro free' } } }, { analyticsSink: sink });
+
+    fireEvent.click(screen.getByText('×'));
+    vi.advanceTimersByTime(5000);
+
+    expect(sink).toHaveBeenCalledTimes(1);
+    const [[batch]] = sink.mock.calls;
+    expect(batch).toEqual([expect.objectContaining({
+      name: 'banner_closed',
+      value: null,
+      metadata: expect.objectContaining({ config_name: 'upsell_banner', timestamp: '2024-01-15T14:30:00.000Z' })
+    })]);
+  });
+
+  it('keeps batching when the sink changes between renders', () => {
+    const calls = [];
+    const client = createStubStatsigClient({ configs: { upsell_banner: { text: 'Try Pro free' } } });
+    const renderWithSink = () => (
+      <StatsigTestProvider client={client}>
+        <WorldClockDashboard analyticsSink={(events) => calls.push(events)} />
+      </StatsigTestProvider>
+    );
+    const { rerender } = render(renderWithSink());
+
+    fireEvent.click(screen.getByText('×'));
+    rerender(renderWithSink());
+    expect(calls).toHaveLength(0);
+
+    vi.advanceTimersByTime(5000);
+    expect(calls).toHaveLength(1);
+  });
+
+  it('translates the panels into the chosen language', () => {
+    saveDashboardState({ clocks: DEFAULT_CLOCKS, groups: [], settings: { ...DEFAULT_SETTINGS, locale: 'de' } });
+    renderDashboard({});
+
+    expect(screen.getByText(de.timeTravel)).toBeTruthy();
+    expect(screen.getByText(de.importExport)).toBeTruthy();
+    expect(screen.getByText(de.meetingPlanner)).toBeTruthy();
+
+    fireEvent.click(screen.getAllByLabelText(de.editWorkingHours)[0]);
+    expect(screen.getByLabelText(de.workStart)).toBeTruthy();
+    expect(screen.getByText(de['schedulePreset.standard'])).toBeTruthy();
+  });
+
+  it('logs a working-hours edit once it has settled', () => {
+    const sink = vi.fn();
+    renderDashboard({}, { analyticsSink: sink });
+    const scheduleEvents = () => sink.mock.calls
+      .flatMap(([batch]) => batch)
+      .filter(event => event.name === 'working_hours_updated');
+
+    fireEvent.click(screen.getAllByLabelText(en.editWorkingHours)[0]);
+    const start = screen.getByLabelText(en.workStart);
+    ['08:00', '08:30', '07:45'].forEach(value => {
+      fireEvent.change(start, { target: { value } });
+      vi.advanceTimersByTime(500);
+    });
+    vi.advanceTimersByTime(5000);
+    expect(scheduleEvents()).toHaveLength(1);
+
+    fireEvent.click(screen.getByText(en.resetSchedule));
+    vi.advanceTimersByTime(2000);
+    expect(scheduleEvents().map(event => event.metadata.is_default)).toEqual([false, true]);
+  });
+});
@@ -0,0 +1,125 @@
+import React, { useState } from 'react';
+import {
+  MAX_LABEL_LENGTH,
+  MAX_NOTES_LENGTH,
+  MAX_AVATAR_LENGTH,
+  normalizeLabel,
+  sanitizeClockDetails
+} from './clockDetails.js';
+
+// Inline editor for a clock's label, avatar/emoji, notes and group. Edits are kept
+// as a draft until saved so an invalid label never reaches the dashboard.
+
+const inputStyle = {
+  backgroundColor: "rgba(255,255,255,0.1)",
+  color: "#ffffff",
+  borderRadius: "12px"
+};
+
+export default function ClockDetailsEditor({ clock, groups = [], validateLabel, onSave, onCancel, t, transition }) {
+  const [label, setLabel] = useState(clock.label);
+  const [avatar, setAvatar] = useState(clock.avatar || '');
+  const [notes, setNotes] = useState(clock.notes || '');
+  const [groupId, setGroupId] = useState(
+    groups.some(group => group.id === clock.groupId) ? String(clock.groupId) : ''
+  );
+  const [error, setError] = useState(null);
+
+  const handleSubmit = (e) => {
+    e.preventDefault();
+    const cleanLabel = normalizeLabel(label);
+    if (!cleanLabel) {
+      setError(t('labelRequired'));
+      return;
+    }
+    const labelError = validateLabel(cleanLabel);
+    if (labelError) {
+      setError(labelError);
+      return;
+    }
+    onSave({
+      label: cleanLabel,
+      ...sanitizeClockDetails({ notes, avatar }),
+      ...(groupId !== '' && { groupId: Number(groupId) })
+    });
+  };
+
+  return (
+    <form
+      onSubmit={handleSubmit}
+      className="mt-4 pt-4 border-t border-white/20 space-y-3 text-sm text-left"
+      style={{ color: "#ffffff" }}
+    >
+      <div className="flex flex-wrap gap-2">
+        <input
+          type="text"
+          value={avatar}
+          onChange={(e) => setAvatar(e.target.value)}
+          maxLength={MAX_AVATAR_LENGTH * 2}
+          placeholder="🙂"
+          className="w-14 border border-white/20 px-2 py-1 text-center"
+          style={{ ...inputStyle, transition }}
+          aria-label={t('avatarAria')}
+        />
+        <input
+          type="text"
+          value={label}
+          onChange={(e) => {
+            setLabel(e.target.value);
+            setError(null);
+          }}
+          maxLength={MAX_LABEL_LENGTH}
+          placeholder={t('labelPlaceholder')}
+          className="flex-1 min-w-[160px] border border-white/20 px-3 py-1"
+          style={{ ...inputStyle, transition }}
+          aria-label={t('labelAria')}
+          autoFocus
+        />
+      </div>
+      <textarea
+        value={notes}
+        onChange={(e) => setNotes(e.target.value)}
+        maxLength={MAX_NOTES_LENGTH}
+        rows={2}
+        placeholder={t('notesPlaceholder')}
+        className="w-full border border-white/20 px-3 py-2 placeholder-gray-400"
+        style={{ ...inputStyle, transition }}
+        aria-label={t('notesAria')}
+      />
+      {groups.length > 0 && (
+        <label className="flex items-center gap-2">
+          {t('groupLabel')}
+          <select
+            value={groupId}
+            onChange={(e) => setGroupId(e.target.value)}
+            className="border border-white/20 px-2 py-1"
+            style={{ ...inputStyle, transition }}
+          >
+            <option value="" className="bg-slate-800 text-white">{t('noGroup')}</option>
+            {groups.map(group => (
+              <option key={group.id} value={group.id} className="bg-slate-800 text-white">{group.name}</option>
+            ))}
+          </select>
+        </label>
+      )}
+      {error && <p className="text-red-400 text-xs">{error}</p>}
+      <div className="flex gap-2">
+        <button
+          type="submit"
+          className="bg-green-600 hover:bg-green-700 text-white px-3 py-1 font-medium"
+          style={{ borderRadius: "12px", transition }}
+        >
+          {t('save')}
+        </button>
+        <button
+          type="button"
+          onClick={onCancel}
+          className="px-3 py-1"
+          style={{ color: "#9ca3af", transition }}
+        >
+          {t('cancel')}
+        </button>
+      </div>
+    </form>
+  );
+}
@@ -0,0 +1,60 @@
+import React, { useState } from 'react';
+import { ConsentToggles } from './PrivacySettings.jsx';
+
+// First-visit consent prompt, pinned to the bottom of the screen until the
+// visitor chooses. Nothing is uploaded before then.
+
+export default function ConsentBanner({ onSave, t, transition }) {
+  const [customizing, setCustomizing] = useState(false);
+  const [draft, setDraft] = useState({ analytics: false, autoCapture: false, replay: false });
+
+  return (
+    <div
+      className="fixed bottom-0 inset-x-0 z-50 p-4 backdrop-blur-lg border-t border-white/20 text-sm text-start"
+      style={{ backgroundColor: "rgba(15,23,42,0.92)", color: "#ffffff" }}
+      role="dialog"
+      aria-label={t('consentTitle')}
+    >
+      <div className="max-w-4xl mx-auto space-y-3">
+        <p className="font-medium">{t('consentTitle')}</p>
+        <p style={{ color: "#d1d5db" }}>{t('consentBody')}</p>
+
+        {customizing && <ConsentToggles draft={draft} onChange={setDraft} t={t} />}
+
+        <div className="flex flex-wrap gap-2">
+          <button
+            onClick={() => onSave({ analytics: true, autoCapture: true, replay: true })}
+            className="bg-green-600 hover:bg-green-700 text-white px-3 py-1 font-medium"
+            style={{ borderRadius: "12px", transition }}
+          >
+            {t('consentAcceptAll')}
+          </button>
+          <button
+            onClick={() => onSave({ analytics: false, autoCapture: false, replay: false })}
+            className="px-3 py-1 border border-white/20"
+            style={{ borderRadius: "12px", transition }}
+          >
+            {t('consentNecessaryOnly')}
+          </button>
+          {customizing ? (
+            <button
+              onClick={() => onSave(draft)}
+              className="px-3 py-1 border border-white/20"
+              style={{ borderRadius: "12px", transition }}
+            >
+              {t('consentSave')}
+            </button>
+          ) : (
+            <button
+              onClick={() => setCustomizing(true)}
+              className="px-3 py-1 border border-white/20"
+              style={{ borderRadius: "12px", transition }}
+            >
+              {t('consentCustomize')}
+            </button>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+}
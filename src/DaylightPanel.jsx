@@ -0,0 +1,42 @@
+import React from 'react';
+import { formatDuration } from './timeOffsets.js';
+
+// Sun times for one clock's location: solar noon, day length and the three
+// twilight bands. `sunTimes` comes from getSunTimes; `formatEventTime` formats
+// an instant in the clock's zone (null renders as a dash).
+
+const TWILIGHT_KINDS = ['civil', 'nautical', 'astronomical'];
+
+export default function DaylightPanel({ sunTimes, formatEventTime, locale, t }) {
+  const rows = [
+    [t('sunrise'), formatEventTime(sunTimes.sunrise)],
+    [t('solarNoon'), formatEventTime(sunTimes.solarNoon)],
+    [t('sunset'), formatEventTime(sunTimes.sunset)],
+    [t('dayLength'), formatDuration(sunTimes.dayLengthMinutes, locale)],
+    ...TWILIGHT_KINDS.map(kind => [
+      t(`${kind}Twilight`),
+      `${formatEventTime(sunTimes.twilight[kind].dawn)} – ${formatEventTime(sunTimes.twilight[kind].dusk)}`
+    ])
+  ];
+
+  return (
+    <div
+      className="mt-4 pt-4 border-t border-white/20 text-sm text-start"
+      style={{ color: "#ffffff" }}
+    >
+      {sunTimes.polar && (
+        <p className="mb-2 font-medium" style={{ color: "#fbbf24" }}>
+          {sunTimes.polar === 'day' ? t('midnightSun') : t('polarNight')}
+        </p>
+      )}
+      <dl className="grid gap-x-4 gap-y-1" style={{ gridTemplateColumns: "auto 1fr" }}>
+        {rows.map(([label, value]) => (
+          <React.Fragment key={label}>
+            <dt style={{ color: "#9ca3af" }}>{label}</dt>
+            <dd className="font-jetbrains">{value}</dd>
+          </React.Fragment>
+        ))}
+      </dl>
+    </div>
+  );
+}
@@ -0,0 +1,176 @@
+import React from 'react';
+import { RotateCcw, SlidersHorizontal, X } from 'lucide-react';
+import {
+  FLAG_CATALOG,
+  OVERRIDE_KINDS,
+  clearFlagOverrides,
+  isOverridden,
+  setFlagOverride
+} from './flagOverrides.js';
+
+// Developer panel listing every Statsig value the dashboard reads, with the
+// value currently in effect and a local override for each. A QA tool, so it
+// is not translated. Reads here skip exposure logging.
+
+const KIND_TITLES = {
+  gates: 'Feature gates',
+  experiments: 'Experiments',
+  layers: 'Layers',
+  paramStores: 'Parameter stores',
+  configs: 'Dynamic configs'
+};
+
+const READERS = {
+  experiments: 'getExperiment',
+  layers: 'getLayer',
+  paramStores: 'getParameterStore',
+  configs: 'getDynamicConfig'
+};
+
+const NO_EXPOSURE = { disableExposureLog: true };
+
+const inputStyle = {
+  backgroundColor: "rgba(255,255,255,0.1)",
+  color: "#ffffff",
+  borderRadius: "8px"
+};
+
+const ResetButton = ({ onClick, label }) => (
+  <button onClick={onClick} className="text-gray-400 hover:text-white" aria-label={label} title={label}>
+    <RotateCcw className="w-3 h-3" />
+  </button>
+);
+
+function ParamInput({ spec, value, onChange, label }) {
+  const type = spec.type || typeof spec.default;
+  const className = "w-full px-2 py-1 border border-white/20 text-xs";
+
+  if (type === 'boolean' || spec.options) {
+    const options = spec.options || [true, false];
+    return (
+      <select
+        value={String(value)}
+        onChange={(e) => onChange(type === 'boolean' ? e.target.value === 'true' : e.target.value)}
+        className={className}
+        style={inputStyle}
+        aria-label={label}
+      >
+        {options.map(option => (
+          <option key={String(option)} value={String(option)} style={{ color: "#000000" }}>{String(option)}</option>
+        ))}
+      </select>
+    );
+  }
+
+  return (
+    <input
+      type={type === 'number' ? 'number' : 'text'}
+      value={value ?? ''}
+      placeholder={value == null ? 'null' : undefined}
+      onChange={(e) => {
+        if (type !== 'number') onChange(e.target.value);
+        else if (e.target.value !== '' && Number.isFinite(Number(e.target.value))) onChange(Number(e.target.value));
+      }}
+      className={className}
+      style={inputStyle}
+      aria-label={label}
+    />
+  );
+}
+
+export default function FlagOverridePanel({ client, onChange, onClose }) {
+  const update = (kind, name, param, value) => onChange(setFlagOverride(kind, name, param, value));
+
+  const renderGate = (name) => {
+    const overridden = isOverridden('gates', name);
+    const value = client.checkGate(name, NO_EXPOSURE);
+    return (
+      <div key={name} className="flex items-center justify-between gap-2 py-1">
+        <span className={`font-mono text-xs truncate ${overridden ? 'text-amber-300' : ''}`}>{name}</span>
+        <select
+          value={overridden ? String(value) : ''}
+          onChange={(e) => update('gates', name, null, e.target.value === '' ? undefined : e.target.value === 'true')}
+          className="px-2 py-1 border border-white/20 text-xs"
+          style={inputStyle}
+          aria-label={name}
+        >
+          <option value="" style={{ color: "#000000" }}>Statsig ({value ? 'on' : 'off'})</option>
+          <option value="true" style={{ color: "#000000" }}>on</option>
+          <option value="false" style={{ color: "#000000" }}>off</option>
+        </select>
+      </div>
+    );
+  };
+
+  const renderEntry = (kind, name, params) => {
+    const evaluated = client[READERS[kind]](name, NO_EXPOSURE);
+    return (
+      <div key={name} className="py-1">
+        <div className="flex items-center justify-between gap-2">
+          <span className={`font-mono text-xs ${isOverridden(kind, name) ? 'text-amber-300' : ''}`}>{name}</span>
+          {isOverridden(kind, name) && (
+            <ResetButton
+              label={`Reset ${name}`}
+              onClick={() => Object.keys(params).forEach(param => update(kind, name, param, undefined))}
+            />
+          )}
+        </div>
+        {Object.entries(params).map(([param, spec]) => (
+          <div key={param} className="flex items-center gap-2 mt-1 ps-3">
+            <span className="text-xs w-28 shrink-0 truncate" style={{ color: "#9ca3af" }} title={param}>{param}</span>
+            <ParamInput
+              spec={spec}
+              value={evaluated.get(param, spec.default)}
+              onChange={(value) => update(kind, name, param, value)}
+              label={`${name}.${param}`}
+            />
+            {isOverridden(kind, name, param) && (
+              <ResetButton label={`Reset ${name}.${param}`} onClick={() => update(kind, name, param, undefined)} />
+            )}
+          </div>
+        ))}
+      </div>
+    );
+  };
+
+  return (
+    <aside
+      className="fixed top-0 end-0 z-50 h-full w-80 max-w-full overflow-y-auto p-4 backdrop-blur-lg border-s border-white/20 text-sm text-start"
+      style={{ backgroundColor: "rgba(15,23,42,0.95)", color: "#ffffff" }}
+      aria-label="Feature flag overrides"
+    >
+      <div className="flex items-center justify-between gap-2 mb-1">
+        <div className="flex items-center gap-2">
+          <SlidersHorizontal className="w-4 h-4" style={{ color: "#9ca3af" }} aria-hidden="true" />
+          <span className="font-medium">Feature flag overrides</span>
+        </div>
+        <button onClick={onClose} className="text-gray-400 hover:text-white" aria-label="Close">
+          <X className="w-5 h-5" />
+        </button>
+      </div>
+      <p className="text-xs mb-3" style={{ color: "#9ca3af" }}>
+        Local to this tab until it is closed. Alt+Shift+F toggles this panel.
+      </p>
+
+      {OVERRIDE_KINDS.map(kind => (
+        <section key={kind} className="mt-3 pt-3 border-t border-white/20">
+          <h2 className="text-xs font-medium uppercase tracking-wide mb-1" style={{ color: "#9ca3af" }}>
+            {KIND_TITLES[kind]}
+          </h2>
+          {kind === 'gates'
+            ? FLAG_CATALOG.gates.map(renderGate)
+            : Object.entries(FLAG_CATALOG[kind]).map(([name, params]) => renderEntry(kind, name, params))}
+        </section>
+      ))}
+
+      <button
+        onClick={() => onChange(clearFlagOverrides())}
+        className="mt-4 w-full flex items-center justify-center gap-1 px-3 py-1 border border-white/20"
+        style={{ backgroundColor: "rgba(255,255,255,0.1)", borderRadius: "12px" }}
+      >
+        <RotateCcw className="w-4 h-4" />
+        Reset all overrides
+      </button>
+    </aside>
+  );
+}
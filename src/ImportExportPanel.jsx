@@ -0,0 +1,151 @@
+import React, { useRef, useState } from 'react';
+import { Download, Upload } from 'lucide-react';
+import {
+  applyImport,
+  downloadFile,
+  exportDashboardCsv,
+  exportDashboardJson,
+  parseImportFile
+} from './dashboardTransfer.js';
+
+// Export the dashboard as JSON/CSV, or import a file with a per-row error
+// report before choosing to merge with or replace the current clocks.
+
+const buttonStyle = {
+  backgroundColor: "rgba(255,255,255,0.1)",
+  color: "#ffffff",
+  borderRadius: "12px"
+};
+
+export default function ImportExportPanel({ clocks, groups, settings, onImport, onExport, t, transition }) {
+  const fileInputRef = useRef(null);
+  const [pendingImport, setPendingImport] = useState(null);
+  const [result, setResult] = useState(null);
+
+  const exportAs = (format) => {
+    const date = new Date().toISOString().slice(0, 10);
+    if (format === 'json') {
+      downloadFile(exportDashboardJson({ clocks, groups, settings }), `world-clocks-${date}.json`, 'application/json');
+    } else {
+      downloadFile(exportDashboardCsv({ clocks, groups }), `world-clocks-${date}.csv`, 'text/csv');
+    }
+    if (onExport) onExport(format);
+  };
+
+  const handleFileChange = async (e) => {
+    const file = e.target.files[0];
+    e.target.value = '';
+    if (!file) return;
+    setResult(null);
+    try {
+      setPendingImport({ fileName: file.name, ...parseImportFile(await file.text(), file.name) });
+    } catch (error) {
+      console.warn('Could not read import file:', error);
+      setPendingImport({
+        fileName: file.name,
+        clocks: [],
+        settings: null,
+        errors: [{ row: null, code: 'unreadable' }]
+      });
+    }
+  };
+
+  const confirmImport = (mode) => {
+    const next = applyImport({ clocks, groups, settings }, pendingImport, mode);
+    onImport(next, { mode, format: pendingImport.format, errorCount: pendingImport.errors.length });
+    setResult({ added: pendingImport.clocks.length - next.skipped, skipped: next.skipped, mode });
+    setPendingImport(null);
+  };
+
+  return (
+    <div className="mt-4 pt-4 border-t border-white/20 text-sm" style={{ color: "#ffffff" }}>
+      <div className="flex flex-wrap items-center gap-2">
+        <span className="font-medium me-2">{t('importExport')}</span>
+        <button
+          onClick={() => exportAs('json')}
+          className="flex items-center gap-1 px-3 py-1 border border-white/20"
+          style={{ ...buttonStyle, transition }}
+        >
+          <Download className="w-4 h-4" />
+          JSON
+        </button>
+        <button
+          onClick={() => exportAs('csv')}
+          className="flex items-center gap-1 px-3 py-1 border border-white/20"
+          style={{ ...buttonStyle, transition }}
+        >
+          <Download className="w-4 h-4" />
+          CSV
+        </button>
+        <button
+          onClick={() => fileInputRef.current?.click()}
+          className="flex items-center gap-1 px-3 py-1 border border-white/20"
+          style={{ ...buttonStyle, transition }}
+        >
+          <Upload className="w-4 h-4" />
+          {t('importFile')}
+        </button>
+        <input
+          ref={fileInputRef}
+          type="file"
+          accept=".json,.csv,application/json,text/csv"
+          onChange={handleFileChange}
+          className="hidden"
+        />
+      </div>
+
+      {result && (
+        <p className="mt-3" style={{ color: "#86efac" }} role="status">
+          {t(result.mode === 'replace' ? 'importReplaced' : 'importAdded', { count: result.added })}
+          {result.skipped > 0 && ` ${t('importAlreadyPresent', { count: result.skipped })}`}
+        </p>
+      )}
+
+      {pendingImport && (
+        <div className="mt-3 space-y-2">
+          <p>
+            <span className="font-medium">{pendingImport.fileName}</span>:{' '}
+            {t('importReady', { count: pendingImport.clocks.length })}
+            {pendingImport.errors.length > 0 && t('importSkippedRows', { count: pendingImport.errors.length })}
+          </p>
+          {pendingImport.errors.length > 0 && (
+            <ul className="max-h-32 overflow-y-auto text-xs space-y-1" style={{ color: "#fca5a5" }}>
+              {pendingImport.errors.map((error, index) => (
+                <li key={index}>
+                  {error.row !== null && t(pendingImport.format === 'csv' ? 'importErrorRow' : 'importErrorClock', { row: error.row })}
+                  {t(`importError.${error.code}`, error.params)}
+                </li>
+              ))}
+            </ul>
+          )}
+          <div className="flex flex-wrap gap-2">
+            <button
+              onClick={() => confirmImport('merge')}
+              disabled={pendingImport.clocks.length === 0}
+              className="bg-green-600 hover:bg-green-700 text-white px-3 py-1 font-medium disabled:opacity-50"
+              style={{ borderRadius: "12px", transition }}
+            >
+              {t('importMerge')}
+            </button>
+            <button
+              onClick={() => confirmImport('replace')}
+              disabled={pendingImport.clocks.length === 0}
+              className="bg-red-600 hover:bg-red-700 text-white px-3 py-1 font-medium disabled:opacity-50"
+              style={{ borderRadius: "12px", transition }}
+              title={t(pendingImport.settings ? 'importReplaceWithSettingsTitle' : 'importReplaceTitle')}
+            >
+              {t('importReplace')}
+            </button>
+            <button
+              onClick={() => setPendingImport(null)}
+              className="px-3 py-1"
+              style={{ color: "#9ca3af", transition }}
+            >
+              {t('cancel')}
+            </button>
+          </div>
+        </div>
+      )}
+    </div>
+  );
+}
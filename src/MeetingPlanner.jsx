@@ -0,0 +1,228 @@
+import React, { useState, useEffect } from 'react';
+import { Users, ChevronLeft, ChevronRight } from 'lucide-react';
+import { formatOffset, getLocalTimezone, getNextOffsetTransition } from './timeOffsets.js';
+import { copyText } from './clipboard.js';
+import {
+  addDays,
+  buildPlannerSlots,
+  findBestSlots,
+  groupWindows,
+  formatSlotSummary,
+  getDayStart
+} from './meetingPlanner.js';
+
+// Overlap grid for every clock on the dashboard. Columns are the hours of one
+// day in the viewer's zone; click a column to copy it as text.
+
+const HOUR_MS = 60 * 60 * 1000;
+
+const CATEGORY_COLORS = {
+  business: 'rgba(34, 197, 94, 0.55)',
+  off: 'rgba(234, 179, 8, 0.35)',
+  night: 'rgba(15, 23, 42, 0.75)'
+};
+
+const LEGEND = ['business', 'off', 'night'];
+
+// Compact column label: "9", "9:30" or "9a", "9:30p"
+const formatHour = (parts, is24Hour, t) => {
+  const minutes = parts.minute ? `:${String(parts.minute).padStart(2, '0')}` : '';
+  if (is24Hour) return `${parts.hour}${minutes}`;
+  const hour = `${parts.hour % 12 || 12}${minutes}`;
+  return t(parts.hour < 12 ? 'plannerHourAm' : 'plannerHourPm', { hour });
+};
+
+export default function MeetingPlanner({ clocks, time, is24Hour, locale, t, transition, onSlotCopied }) {
+  const [dayOffset, setDayOffset] = useState(0);
+  const [copiedIndex, setCopiedIndex] = useState(null);
+
+  useEffect(() => {
+    if (copiedIndex === null) return;
+    const timeout = setTimeout(() => setCopiedIndex(null), 2000);
+    return () => clearTimeout(timeout);
+  }, [copiedIndex]);
+
+  const localTimezone = getLocalTimezone();
+  const dayStart = addDays(getDayStart(time, localTimezone), dayOffset, localTimezone);
+  const slots = buildPlannerSlots(clocks, dayStart, localTimezone);
+  const bestSlots = findBestSlots(slots);
+  const bestWindows = groupWindows(bestSlots);
+  const currentIndex = slots.findIndex(slot =>
+    time >= slot.time && time.getTime() < slot.time.getTime() + HOUR_MS
+  );
+  // Offset changes (DST) during this day, per clock: { slotIndex, offsetBefore, offsetAfter }.
+  // The cells already use the post-transition offset; this just marks where it happens.
+  const dayEnd = addDays(dayStart, 1, localTimezone).getTime();
+  const transitions = clocks.map(clock => {
+    const transition = getNextOffsetTransition(clock.timezone, dayStart);
+    if (!transition || transition.at.getTime() >= dayEnd) return null;
+    const slotIndex = slots.findIndex(slot => transition.at.getTime() < slot.time.getTime() + HOUR_MS);
+    return { ...transition, slotIndex };
+  });
+
+  const formatLocalHour = (date) =>
+    formatHour({ hour: date.getHours(), minute: date.getMinutes() }, is24Hour, t);
+
+  const handleSlotClick = async (slot) => {
+    const summary = formatSlotSummary(slot, is24Hour, locale);
+    try {
+      await copyText(summary);
+      setCopiedIndex(slot.index);
+    } catch (error) {
+      console.warn('Could not copy meeting summary:', error);
+      alert(summary);
+    }
+    if (onSlotCopied) onSlotCopied(slot, bestSlots.has(slot.index));
+  };
+
+  const dayLabel = new Intl.DateTimeFormat(locale, {
+    weekday: 'long',
+    month: 'long',
+    day: 'numeric'
+  }).format(dayStart);
+
+  const columns = `minmax(120px, 160px) repeat(${slots.length}, minmax(34px, 1fr))`;
+
+  return (
+    <div
+      className="backdrop-blur-lg border border-white/20 mt-8"
+      style={{
+        backgroundColor: "rgba(255,255,255,0.1)",
+        borderRadius: "16px",
+        padding: "24px",
+        transition
+      }}
+    >
+      <div className="flex flex-wrap items-center justify-between gap-3 mb-4">
+        <div className="flex items-center gap-2">
+          <Users className="w-5 h-5" style={{ color: "#9ca3af" }} />
+          <h2 className="text-lg font-semibold" style={{ color: "#ffffff" }}>{t('meetingPlanner')}</h2>
+        </div>
+        <div className="flex items-center gap-2" style={{ color: "#ffffff" }}>
+          <button
+            onClick={() => setDayOffset(offset => offset - 1)}
+            className="p-1 hover:bg-white/20"
+            style={{ borderRadius: "8px", transition }}
+            aria-label={t('previousDay')}
+          >
+            <ChevronLeft className="w-5 h-5" />
+          </button>
+          <span className="font-medium min-w-[180px] text-center">{dayLabel}</span>
+          <button
+            onClick={() => setDayOffset(offset => offset + 1)}
+            className="p-1 hover:bg-white/20"
+            style={{ borderRadius: "8px", transition }}
+            aria-label={t('nextDay')}
+          >
+            <ChevronRight className="w-5 h-5" />
+          </button>
+        </div>
+      </div>
+
+      <div className="overflow-x-auto">
+        <div className="grid gap-px" style={{ gridTemplateColumns: columns, minWidth: "960px" }}>
+          <div className="text-xs font-medium px-2 py-1" style={{ color: "#9ca3af" }}>
+            {t('yourTime')}
+          </div>
+          {slots.map(slot => (
+            <button
+              key={slot.index}
+              onClick={() => handleSlotClick(slot)}
+              className="text-xs font-medium py-1 text-center"
+              style={{
+                color: slot.index === currentIndex ? "#ffffff" : "#9ca3af",
+                borderBottom: bestSlots.has(slot.index) ? "2px solid #a855f7" : "2px solid transparent",
+                transition
+              }}
+            >
+              {formatLocalHour(slot.time)}
+            </button>
+          ))}
+
+          {clocks.map((clock, row) => (
+            <React.Fragment key={clock.id}>
+              <div
+                className="text-sm font-medium px-2 py-2 truncate"
+                style={{ color: "#ffffff" }}
+                title={clock.timezone}
+              >
+                {clock.avatar && <span className="me-1" aria-hidden="true">{clock.avatar}</span>}
+                {clock.label}
+                {transitions[row] && (
+                  <span
+                    className="ms-1"
+                    style={{ color: "#fbbf24" }}
+                    title={t('plannerClocksChangeDay', {
+                      change: `UTC${formatOffset(transitions[row].offsetBefore)} → UTC${formatOffset(transitions[row].offsetAfter)}`
+                    })}
+                  >
+                    {transitions[row].offsetAfter > transitions[row].offsetBefore ? '⏩' : '⏪'}
+                  </span>
+                )}
+              </div>
+              {slots.map(slot => {
+                const cell = slot.cells[row];
+                const isBest = bestSlots.has(slot.index);
+                const isTransition = transitions[row]?.slotIndex === slot.index;
+                return (
+                  <button
+                    key={slot.index}
+                    onClick={() => handleSlotClick(slot)}
+                    title={`${clock.label}: ${formatHour(cell.parts, is24Hour, t)} (${t(`slotCategory.${cell.category}`)})${isTransition ? ` · ${t('plannerClocksChangeHour')}` : ''}`}
+                    className="text-xs py-2 text-center hover:brightness-125"
+                    style={{
+                      backgroundColor: CATEGORY_COLORS[cell.category],
+                      color: "#ffffff",
+                      outline: slot.index === currentIndex ? "1px solid rgba(255,255,255,0.6)" : "none",
+                      boxShadow: [
+                        isBest && "inset 0 0 0 2px #a855f7",
+                        isTransition && "inset 3px 0 0 0 #fbbf24"
+                      ].filter(Boolean).join(', ') || "none",
+                      transition
+                    }}
+                  >
+                    {formatHour(cell.parts, is24Hour, t)}
+                  </button>
+                );
+              })}
+            </React.Fragment>
+          ))}
+        </div>
+      </div>
+
+      <div className="flex flex-wrap items-center justify-between gap-3 mt-4 text-sm" style={{ color: "#9ca3af" }}>
+        <div className="flex flex-wrap items-center gap-4">
+          {LEGEND.map(category => (
+            <span key={category} className="flex items-center gap-2">
+              <span
+                className="inline-block w-3 h-3"
+                style={{ backgroundColor: CATEGORY_COLORS[category], borderRadius: "4px" }}
+              />
+              {t(`plannerLegend.${category}`)}
+            </span>
+          ))}
+          <span className="flex items-center gap-2">
+            <span
+              className="inline-block w-3 h-3"
+              style={{ boxShadow: "inset 0 0 0 2px #a855f7", borderRadius: "4px" }}
+            />
+            {t('bestOverlap')}
+          </span>
+        </div>
+        <div>
+          {copiedIndex !== null
+            ? t('meetingTimeCopied')
+            : bestWindows.length > 0
+              ? t('bestOverlapWindows', {
+                  windows: bestWindows
+                    .map(({ start, end }) =>
+                      `${formatLocalHour(slots[start].time)}–${formatLocalHour(new Date(Math.min(slots[end - 1].time.getTime() + HOUR_MS, dayEnd)))}`
+                    )
+                    .join(', ')
+                })
+              : t('noOverlap')}
+        </div>
+      </div>
+    </div>
+  );
+}
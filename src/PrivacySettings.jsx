@@ -0,0 +1,90 @@
+import React, { useEffect, useState } from 'react';
+import { ShieldCheck, Trash2 } from 'lucide-react';
+import { CONSENT_CATEGORIES } from './consent.js';
+
+// Analytics consent toggles and the "delete my local identifiers" action.
+// Auto-capture and replay only apply while analytics is on, so they are
+// disabled without it. Changes are applied with Save.
+
+const buttonStyle = {
+  backgroundColor: "rgba(255,255,255,0.1)",
+  color: "#ffffff",
+  borderRadius: "12px"
+};
+
+export function ConsentToggles({ draft, onChange, t }) {
+  return (
+    <div className="space-y-2">
+      {CONSENT_CATEGORIES.map(category => {
+        const disabled = category !== 'analytics' && !draft.analytics;
+        return (
+          <label key={category} className={`flex items-start gap-2 ${disabled ? 'opacity-50' : ''}`}>
+            <input
+              type="checkbox"
+              checked={draft[category] && !disabled}
+              disabled={disabled}
+              onChange={(e) => onChange({ ...draft, [category]: e.target.checked })}
+              className="rounded mt-1"
+            />
+            <span>
+              <span className="font-medium">{t(`consent.${category}`)}</span>
+              <span className="block text-xs" style={{ color: "#9ca3af" }}>{t(`consent.${category}Hint`)}</span>
+            </span>
+          </label>
+        );
+      })}
+    </div>
+  );
+}
+
+export default function PrivacySettings({ consent, onSave, onDeleteIdentifiers, t, transition }) {
+  const [draft, setDraft] = useState(consent);
+  const [status, setStatus] = useState(null);
+
+  // Follow choices made in the banner
+  useEffect(() => setDraft(consent), [consent]);
+
+  const isDirty = CONSENT_CATEGORIES.some(category => draft[category] !== consent[category]);
+
+  const deleteIdentifiers = () => {
+    if (!window.confirm(t('deleteIdentifiersConfirm'))) return;
+    onDeleteIdentifiers();
+  };
+
+  return (
+    <div className="mt-4 pt-4 border-t border-white/20 text-sm text-start" style={{ color: "#ffffff" }}>
+      <div className="flex items-center gap-2 mb-3">
+        <ShieldCheck className="w-4 h-4" style={{ color: "#9ca3af" }} aria-hidden="true" />
+        <span className="font-medium">{t('privacy')}</span>
+      </div>
+
+      <ConsentToggles draft={draft} onChange={setDraft} t={t} />
+
+      <div className="flex flex-wrap gap-2 mt-3">
+        <button
+          onClick={() => {
+            onSave(draft);
+            setStatus(t('consentSaved'));
+          }}
+          disabled={!isDirty && consent.decided}
+          className="bg-green-600 hover:bg-green-700 text-white px-3 py-1 font-medium disabled:opacity-50"
+          style={{ borderRadius: "12px", transition }}
+        >
+          {t('consentSave')}
+        </button>
+        <button
+          onClick={deleteIdentifiers}
+          className="flex items-center gap-1 px-3 py-1 border border-white/20"
+          style={{ ...buttonStyle, transition }}
+        >
+          <Trash2 className="w-4 h-4" />
+          {t('deleteIdentifiers')}
+        </button>
+      </div>
+
+      {status && (
+        <p className="mt-2" style={{ color: "#86efac" }} role="status">{status}</p>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,142 @@
+import React from 'react';
+import { History, RotateCcw } from 'lucide-react';
+import { formatDuration, getZonedParts, getLocalTimezone, zonedTimeToDate } from './timeOffsets.js';
+
+// Scrubber + date/time picker that lets every clock preview a chosen instant.
+// `travelTime` is null while the dashboard is live.
+
+const HOUR_MS = 60 * 60 * 1000;
+const SLIDER_RANGE_HOURS = 72;
+const SLIDER_STEP_HOURS = 0.25;
+
+const pad = (value) => String(value).padStart(2, '0');
+
+// Value for <input type="datetime-local"> showing `date` as wall time in `timezone`
+const toDateTimeInputValue = (date, timezone) => {
+  const { year, month, day, hour, minute } = getZonedParts(date, timezone);
+  return `${year}-${pad(month)}-${pad(day)}T${pad(hour)}:${pad(minute)}`;
+};
+
+// Slider positions are measured from the live time snapped to the step, so
+// dragging previews "now ± N hours" on a stable grid.
+const getSliderOrigin = (liveTime) => {
+  const stepMs = SLIDER_STEP_HOURS * HOUR_MS;
+  return Math.floor(liveTime.getTime() / stepMs) * stepMs;
+};
+
+export default function TimeTravelControl({
+  liveTime,
+  travelTime,
+  onTravel,
+  onReturnToLive,
+  referenceTimezone,
+  onReferenceTimezoneChange,
+  clocks,
+  locale,
+  t,
+  transition
+}) {
+  const isLive = travelTime === null;
+  const shownTime = travelTime || liveTime;
+  const zone = referenceTimezone || getLocalTimezone();
+  const origin = getSliderOrigin(liveTime);
+  const sliderValue = isLive ? 0 : (travelTime.getTime() - origin) / HOUR_MS;
+
+  const handleSliderChange = (e) => {
+    onTravel(new Date(origin + Number(e.target.value) * HOUR_MS));
+  };
+
+  const handleDateTimeChange = (e) => {
+    const match = e.target.value.match(/^(\d{4})-(\d{2})-(\d{2})T(\d{2}):(\d{2})/);
+    if (!match) return;
+    const [, year, month, day, hour, minute] = match.map(Number);
+    onTravel(zonedTimeToDate({ year, month, day, hour, minute }, zone));
+  };
+
+  // Reference zones: the viewer's own zone plus every other zone on the dashboard
+  const localTimezone = getLocalTimezone();
+  const referenceZones = [
+    { value: localTimezone, label: t('localTime') },
+    ...clocks
+      .filter((clock, index) => clock.timezone !== localTimezone
+        && clocks.findIndex(other => other.timezone === clock.timezone) === index)
+      .map(clock => ({ value: clock.timezone, label: clock.label }))
+  ];
+
+  return (
+    <div className="mt-4 pt-4 border-t border-white/20">
+      <div className="flex flex-wrap items-center gap-3 justify-between mb-3">
+        <div className="flex items-center gap-2">
+          <History className="w-5 h-5" style={{ color: "#9ca3af" }} />
+          <span className="font-medium" style={{ color: "#ffffff" }}>{t('timeTravel')}</span>
+          {!isLive && (
+            <span
+              className="text-xs font-medium px-2 py-1"
+              style={{ backgroundColor: "#a855f7", color: "#ffffff", borderRadius: "9999px" }}
+            >
+              {t('previewing')}
+            </span>
+          )}
+        </div>
+        <button
+          onClick={onReturnToLive}
+          disabled={isLive}
+          className="flex items-center gap-2 bg-green-600 hover:bg-green-700 disabled:bg-gray-600 text-white px-4 py-2 font-medium"
+          style={{ borderRadius: "16px", transition }}
+        >
+          <RotateCcw className="w-4 h-4" />
+          {t('backToLive')}
+        </button>
+      </div>
+
+      <div className="flex flex-wrap items-center gap-3">
+        <input
+          type="datetime-local"
+          value={toDateTimeInputValue(shownTime, zone)}
+          onChange={handleDateTimeChange}
+          className="border border-white/20 px-3 py-2"
+          style={{
+            backgroundColor: "rgba(255,255,255,0.1)",
+            color: "#ffffff",
+            borderRadius: "16px",
+            colorScheme: "dark",
+            transition
+          }}
+        />
+        <span className="text-sm" style={{ color: "#9ca3af" }}>{t('timeTravelIn')}</span>
+        <select
+          value={zone}
+          onChange={(e) => onReferenceTimezoneChange(e.target.value)}
+          className="border border-white/20 px-3 py-2"
+          style={{
+            backgroundColor: "rgba(255,255,255,0.1)",
+            color: "#ffffff",
+            borderRadius: "16px",
+            transition
+          }}
+        >
+          {referenceZones.map(option => (
+            <option key={option.value} value={option.value} className="bg-slate-800 text-white">
+              {option.label}
+            </option>
+          ))}
+        </select>
+      </div>
+
+      <div className="flex items-center gap-3 mt-3">
+        <span className="text-xs" style={{ color: "#9ca3af" }}>-{formatDuration(SLIDER_RANGE_HOURS * 60, locale)}</span>
+        <input
+          type="range"
+          min={-SLIDER_RANGE_HOURS}
+          max={SLIDER_RANGE_HOURS}
+          step={SLIDER_STEP_HOURS}
+          value={Math.max(-SLIDER_RANGE_HOURS, Math.min(SLIDER_RANGE_HOURS, sliderValue))}
+          onChange={handleSliderChange}
+          aria-label={t('hoursFromNow')}
+          className="flex-1"
+        />
+        <span className="text-xs" style={{ color: "#9ca3af" }}>+{formatDuration(SLIDER_RANGE_HOURS * 60, locale)}</span>
+      </div>
+    </div>
+  );
+}
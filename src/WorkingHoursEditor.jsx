@@ -0,0 +1,167 @@
+import React from 'react';
+import {
+  SCHEDULE_PRESETS,
+  applySchedulePreset,
+  getSchedulePreset,
+  minutesToTimeString,
+  timeStringToMinutes
+} from './workingHours.js';
+
+// Inline editor for one clock's working hours, workdays and lunch break.
+
+const inputStyle = {
+  backgroundColor: "rgba(255,255,255,0.1)",
+  color: "#ffffff",
+  borderRadius: "12px",
+  colorScheme: "dark"
+};
+
+// Monday-first order for the workday toggles
+const WEEKDAY_ORDER = [1, 2, 3, 4, 5, 6, 0];
+
+// Short weekday name in `locale`; 7 January 2024 was a Sunday (day 0)
+const formatWeekday = (day, locale) =>
+  new Intl.DateTimeFormat(locale, { weekday: 'short', timeZone: 'UTC' }).format(Date.UTC(2024, 0, 7 + day));
+
+export default function WorkingHoursEditor({ schedule, onChange, onReset, locale, t, transition }) {
+  const preset = getSchedulePreset(schedule);
+
+  const handlePresetChange = (e) => {
+    if (e.target.value !== 'custom') onChange(applySchedulePreset(e.target.value));
+  };
+
+  const handleTimeChange = (field) => (e) => {
+    const minutes = timeStringToMinutes(e.target.value);
+    if (minutes === null) return;
+    // A shift that ends at midnight is stored as 24:00
+    const value = field === 'end' && minutes === 0 ? 24 * 60 : minutes;
+    if (field === 'end' && value === schedule.start) return;
+    onChange({ ...schedule, [field]: value });
+  };
+
+  const toggleWorkday = (day) => {
+    const workdays = schedule.workdays.includes(day)
+      ? schedule.workdays.filter(d => d !== day)
+      : [...schedule.workdays, day].sort();
+    onChange({ ...schedule, workdays });
+  };
+
+  const toggleLunch = () => {
+    onChange({ ...schedule, lunch: schedule.lunch ? null : { start: 720, end: 780 } });
+  };
+
+  const handleLunchChange = (field) => (e) => {
+    const minutes = timeStringToMinutes(e.target.value);
+    if (minutes === null) return;
+    const lunch = { ...schedule.lunch, [field]: minutes };
+    if (lunch.start < lunch.end) onChange({ ...schedule, lunch });
+  };
+
+  return (
+    <div
+      className="mt-4 pt-4 border-t border-white/20 space-y-3 text-sm text-left"
+      style={{ color: "#ffffff" }}
+    >
+      <div className="flex flex-wrap items-center gap-2">
+        <span className="font-medium">{t('workingHours')}</span>
+        <select
+          value={preset}
+          onChange={handlePresetChange}
+          className="border border-white/20 px-2 py-1"
+          style={{ ...inputStyle, transition }}
+        >
+          {Object.keys(SCHEDULE_PRESETS).map(name => (
+            <option key={name} value={name} className="bg-slate-800 text-white">{t(`schedulePreset.${name}`)}</option>
+          ))}
+          <option value="custom" className="bg-slate-800 text-white">{t('schedulePreset.custom')}</option>
+        </select>
+      </div>
+
+      <div className="flex flex-wrap items-center gap-2">
+        <input
+          type="time"
+          value={minutesToTimeString(schedule.start)}
+          onChange={handleTimeChange('start')}
+          className="border border-white/20 px-2 py-1"
+          style={{ ...inputStyle, transition }}
+          aria-label={t('workStart')}
+        />
+        <span style={{ color: "#9ca3af" }}>{t('timeRangeTo')}</span>
+        <input
+          type="time"
+          value={minutesToTimeString(schedule.end % (24 * 60))}
+          onChange={handleTimeChange('end')}
+          className="border border-white/20 px-2 py-1"
+          style={{ ...inputStyle, transition }}
+          aria-label={t('workEnd')}
+        />
+        {schedule.end <= schedule.start && (
+          <span className="text-xs" style={{ color: "#9ca3af" }}>{t('nextDayShift')}</span>
+        )}
+      </div>
+
+      <div className="flex flex-wrap gap-1">
+        {WEEKDAY_ORDER.map(day => {
+          const isWorkday = schedule.workdays.includes(day);
+          return (
+            <button
+              key={day}
+              onClick={() => toggleWorkday(day)}
+              aria-pressed={isWorkday}
+              className="px-2 py-1 text-xs font-medium border border-white/20"
+              style={{
+                backgroundColor: isWorkday ? "#a855f7" : "transparent",
+                color: "#ffffff",
+                borderRadius: "8px",
+                transition
+              }}
+            >
+              {formatWeekday(day, locale)}
+            </button>
+          );
+        })}
+      </div>
+
+      <div className="flex flex-wrap items-center gap-2">
+        <label className="flex items-center gap-2">
+          <input
+            type="checkbox"
+            checked={Boolean(schedule.lunch)}
+            onChange={toggleLunch}
+            className="rounded"
+          />
+          {t('lunchBreak')}
+        </label>
+        {schedule.lunch && (
+          <>
+            <input
+              type="time"
+              value={minutesToTimeString(schedule.lunch.start)}
+              onChange={handleLunchChange('start')}
+              className="border border-white/20 px-2 py-1"
+              style={{ ...inputStyle, transition }}
+              aria-label={t('lunchStart')}
+            />
+            <span style={{ color: "#9ca3af" }}>{t('timeRangeTo')}</span>
+            <input
+              type="time"
+              value={minutesToTimeString(schedule.lunch.end)}
+              onChange={handleLunchChange('end')}
+              className="border border-white/20 px-2 py-1"
+              style={{ ...inputStyle, transition }}
+              aria-label={t('lunchEnd')}
+            />
+          </>
+        )}
+      </div>
+
+      <button
+        onClick={onReset}
+        className="text-xs underline"
+        style={{ color: "#9ca3af" }}
+      >
+        {t('resetSchedule')}
+      </button>
+    </div>
+  );
+}
@@ -1,104 +1,248 @@
 import React, { useEffect, useRef } from 'react';
 import L from 'leaflet';
+import { SUN_ALTITUDES, getSubsolarPoint, getTwilightPhase, isDaylight } from './solar.js';
+import { getAntisolarPoint, getTwilightBands, shiftRing } from './terminator.js';
+import { getClockCoordinates } from './clockDetails.js';
+import { getTimezoneAt, getTimezoneRegions } from './timezoneLookup.js';
+import { getTimezoneEntry, normalizeTimezoneId } from './timezones.js';
+import { formatOffset, getOffsetMinutes } from './timeOffsets.js';
+import { TILE_SOURCES, getTileSource } from './mapTiles.js';
+
+// Lightweight interactive world map with a real-time sunlight overlay shading
+// civil, nautical and astronomical twilight (override via `twilightStyle`).
+// The overlay updates once a minute to reflect Earth's rotation, or shows the
+// fixed `time` prop when the dashboard is previewing another instant.
+// Every dashboard clock gets a marker; clicking elsewhere offers to add a clock
+// for the timezone at that point. The base layer is one of TILE_SOURCES, chosen
+// with the layer switcher (`baseLayer` / `onBaseLayerChange`), which also
+// toggles the timezone overlay (`showTimezones` / `onShowTimezonesChange`).
+// Text comes from `t`, the dashboard's translator for `locale`.
+
+// Pane for the offline basemap, level with where tiles would be
+const BASEMAP_PANE = 'basemap';
+const BASEMAP_STYLE = {
+  ocean: { stroke: false, fillColor: '#0f172a', fillOpacity: 1 },
+  land: { stroke: false, fillColor: '#334155', fillOpacity: 1 },
+  borders: { color: '#64748b', weight: 1, fill: false }
+};
+
+// World copies that vector layers are drawn on: the main one and one either
+// side, which is all worldCopyJump ever shows
+const WORLD_COPIES = [-1, 0, 1];
+
+// Pane for the twilight polygons: above the tiles, below clock markers and popups
+const TWILIGHT_PANE = 'twilight';
+
+const MARKER_STYLE = {
+  radius: 7,
+  color: '#ffffff',
+  weight: 2,
+  fillOpacity: 0.9,
+  // Marker clicks open the clock popup instead of the map's add-clock popup
+  bubblingMouseEvents: false
+};
+const DAY_FILL = '#fbbf24';
+const NIGHT_FILL = '#6366f1';
+
+// Popup body for a clock marker, built from DOM nodes so labels are never parsed as HTML
+function buildClockPopup(clock, coordinates, date, { locale, is24Hour, t }) {
+  const container = document.createElement('div');
+  const title = document.createElement('strong');
+  title.textContent = clock.avatar ? `${clock.avatar} ${clock.label}` : clock.label;
+  const time = document.createElement('div');
+  time.textContent = new Intl.DateTimeFormat(locale, {
+    timeZone: clock.timezone,
+    weekday: 'short',
+    hour: '2-digit',
+    minute: '2-digit',
+    second: '2-digit',
+    hour12: !is24Hour
+  }).format(date);
+  const daylight = document.createElement('div');
+  daylight.textContent = isDaylight(coordinates, date) ? `☀️ ${t('mapDaytime')}` : `🌙 ${t('mapNight')}`;
+  container.append(title, time, daylight);
+  return container;
+}
 
-// Lightweight interactive world map with a real-time sunlight (day/night) overlay.
-// The overlay updates once a minute to reflect Earth's rotation.
-
-const TILE_URL = 'https://{s}.tile.openstreetmap.org/{z}/{x}/{y}.png';
-const TILE_ATTRIB = '© OpenStreetMap contributors';
-
-// Compute subsolar point (lat, lon) given a Date.
-// Uses simplified solar position approximations adequate for a day/night terminator.
-function getSubsolarPoint(date) {
-  // Algorithm adapted from NOAA/USNO approximations; simplified for overlay purposes
-  const rad = Math.PI / 180;
-  const dayMs = 1000 * 60 * 60 * 24;
-  const J2000 = Date.UTC(2000, 0, 1, 12, 0, 0); // J2000 epoch
-  const d = (date.getTime() - J2000) / dayMs; // days since J2000
-
-  // Mean longitude and anomaly (degrees)
-  const L = (280.460 + 0.9856474 * d) % 360; // mean longitude
-  const g = (357.528 + 0.9856003 * d) % 360; // mean anomaly
-
-  // Ecliptic longitude (degrees)
-  const lambda = L + 1.915 * Math.sin(g * rad) + 0.020 * Math.sin(2 * g * rad);
-
-  // Obliquity of the ecliptic (degrees)
-  const epsilon = 23.439 - 0.0000004 * d;
-
-  // Declination (degrees)
-  const sinDec = Math.sin(epsilon * rad) * Math.sin(lambda * rad);
-  const dec = Math.asin(sinDec) / rad;
-
-  // Right ascension (degrees)
-  const y = Math.cos(epsilon * rad) * Math.sin(lambda * rad);
-  const x = Math.cos(lambda * rad);
-  let ra = Math.atan2(y, x) / rad; // degrees
-  if (ra < 0) ra += 360;
-
-  // Greenwich Mean Sidereal Time (degrees)
-  const GMST = (280.46061837 + 360.98564736629 * d) % 360;
+// Popup for a click on the map: the zone found there and a button to add it
+function buildAddClockPopup(zone, onAdd, t) {
+  const container = document.createElement('div');
+  if (!zone) {
+    container.textContent = t('mapNoTimezone');
+    return container;
+  }
+  const title = document.createElement('strong');
+  title.textContent = zone.label;
+  const id = document.createElement('div');
+  id.textContent = zone.value;
+  const button = document.createElement('button');
+  button.type = 'button';
+  button.textContent = t('mapAddClock');
+  button.style.cssText = 'margin-top:6px;padding:2px 10px;border-radius:8px;background:#16a34a;color:#fff;';
+  button.addEventListener('click', onAdd);
+  container.append(title, id, button);
+  return container;
+}
 
-  // Subsolar longitude (degrees East)
-  let lon = (ra - GMST) % 360;
-  if (lon > 180) lon -= 360;
-  if (lon < -180) lon += 360;
+// Default look of the twilight overlay. Opacity (0–1) follows `opacityStops`,
+// [sun elevation in degrees, opacity] pairs interpolated linearly, so the edge
+// fades smoothly; each twilight band gets its own tint.
+export const DEFAULT_TWILIGHT_STYLE = {
+  opacityStops: [[0, 0], [SUN_ALTITUDES.civil, 0.2], [SUN_ALTITUDES.nautical, 0.32], [SUN_ALTITUDES.astronomical, 0.42]],
+  colors: {
+    civil: '#1e3a8a',
+    nautical: '#172554',
+    astronomical: '#0f172a',
+    night: '#020617'
+  },
+  showSolarPoints: true
+};
+
+// Opacity at `elevation` from stops sorted from highest to lowest elevation;
+// clamps to the first/last stop outside their range
+const interpolateOpacity = (stops, elevation) => {
+  if (elevation >= stops[0][0]) return stops[0][1];
+  for (let i = 1; i < stops.length; i++) {
+    const [upperElevation, upperOpacity] = stops[i - 1];
+    const [lowerElevation, lowerOpacity] = stops[i];
+    if (elevation >= lowerElevation) {
+      const t = (upperElevation - elevation) / (upperElevation - lowerElevation);
+      return upperOpacity + (lowerOpacity - upperOpacity) * t;
+    }
+  }
+  return stops[stops.length - 1][1];
+};
+
+// Replace the overlay's polygons with the twilight bands for the subsolar point.
+// Each band is one polygon (ring minus the next darker ring as a hole) repeated
+// on every world copy; Leaflet projects them itself, so pan and zoom need no
+// redraw and stay aligned.
+function drawTwilightBands(layer, subsolar, style) {
+  const stops = [...style.opacityStops].sort((a, b) => b[0] - a[0]);
+  layer.clearLayers();
+
+  getTwilightBands(subsolar).forEach(({ upper, lower, outer, inner }) => {
+    // Shade each 1° band by its middle elevation; night takes the darkest stop
+    const elevation = lower === -90 ? upper : (upper + lower) / 2;
+    const phase = lower === -90 ? 'night' : getTwilightPhase(elevation);
+    const opacity = interpolateOpacity(stops, elevation);
+    if (opacity <= 0) return;
+
+    const polygons = WORLD_COPIES.map(turns => (
+      inner ? [shiftRing(outer, turns), shiftRing(inner, turns)] : [shiftRing(outer, turns)]
+    ));
+    layer.addLayer(L.polygon(polygons, {
+      pane: TWILIGHT_PANE,
+      stroke: false,
+      fillColor: style.colors[phase],
+      fillOpacity: opacity,
+      interactive: false
+    }));
+  });
+}
 
-  // Subsolar latitude is declination
-  const lat = dec;
-  return { lat, lon };
+// Timezone overlay: fills tinted by UTC offset, stronger for zones already on
+// the dashboard and on hover
+const TIMEZONE_OPACITY = { normal: 0.12, hover: 0.3, dashboard: 0.4, dashboardHover: 0.55 };
+
+const getOffsetColor = (offsetMinutes) => `hsl(${Math.round(((offsetMinutes / 60 + 12) * 30) % 360)}, 70%, 55%)`;
+
+// Etc/GMT±N zones are the ocean offset bands; name them by offset instead
+const getRegionLabel = (timezone, date) => (timezone.startsWith('Etc/')
+  ? `UTC${timezone === 'Etc/UTC' || timezone === 'Etc/GMT' ? '' : formatOffset(getOffsetMinutes(timezone, date))}`
+  : getTimezoneEntry(timezone)?.label || timezone);
+
+// Tooltip body for a timezone region: name, zone id and its current local time
+function buildTimezoneTooltip(timezone, date, { locale, is24Hour }) {
+  const container = document.createElement('div');
+  const title = document.createElement('strong');
+  title.textContent = getRegionLabel(timezone, date);
+  const id = document.createElement('div');
+  id.textContent = timezone;
+  const time = document.createElement('div');
+  time.textContent = new Intl.DateTimeFormat(locale, {
+    timeZone: timezone,
+    weekday: 'short',
+    hour: '2-digit',
+    minute: '2-digit',
+    hour12: !is24Hour
+  }).format(date);
+  container.append(title, id, time);
+  return container;
 }
 
-// Draw night mask on a canvas overlay given subsolar point.
-function drawSunlightMask(canvas, map, subsolar) {
-  const ctx = canvas.getContext('2d');
-  const width = canvas.width = canvas.clientWidth;
-  const height = canvas.height = canvas.clientHeight;
-
-  ctx.clearRect(0, 0, width, height);
-
-  // For each pixel, determine if it's in daylight (cosine of solar zenith > 0)
-  // We'll draw a semi-transparent night mask (darkens the night side).
-  const imageData = ctx.createImageData(width, height);
-  const data = imageData.data;
-
-  const rad = Math.PI / 180;
-  const subLat = subsolar.lat * rad;
-  const subLon = subsolar.lon * rad;
-
-  // Sample every n pixels for performance; simple nearest fill.
-  const step = 2; // tradeoff detail/perf
-  for (let y = 0; y < height; y += step) {
-    for (let x = 0; x < width; x += step) {
-      const latlng = map.layerPointToLatLng(L.point(x, y));
-      const lat = latlng.lat * rad;
-      const lon = latlng.lng * rad;
-
-      // Cosine of angular distance between point and subsolar point
-      const cosc = Math.sin(lat) * Math.sin(subLat) + Math.cos(lat) * Math.cos(subLat) * Math.cos(lon - subLon);
-      const isDay = cosc > 0; // day if sun above horizon
-
-      const alpha = isDay ? 0 : 90; // 0-255 alpha, 90 ~ 35% opacity night
-
-      for (let yy = 0; yy < step && y + yy < height; yy++) {
-        for (let xx = 0; xx < step && x + xx < width; xx++) {
-          const idx = ((y + yy) * width + (x + xx)) * 4;
-          data[idx] = 0;     // R
-          data[idx + 1] = 0; // G
-          data[idx + 2] = 0; // B
-          data[idx + 3] = alpha; // A
-        }
-      }
-    }
+// Leaflet layer for a tile source. The offline basemap is loaded on first use
+// so its ~100 KB of outlines stay out of the main bundle.
+function createBaseLayer(source) {
+  if (source.url) {
+    return L.tileLayer(source.url, { attribution: source.attribution, maxZoom: source.maxZoom, crossOrigin: source.crossOrigin });
   }
 
-  ctx.putImageData(imageData, 0, 0);
+  const layer = L.layerGroup([
+    L.rectangle([[-90, -540], [90, 540]], { ...BASEMAP_STYLE.ocean, pane: BASEMAP_PANE, interactive: false })
+  ]);
+  layer.getAttribution = () => source.attribution;
+  layer.once('add', () => {
+    import('./worldBasemap.js').then(({ WORLD_LAND, WORLD_BORDERS }) => {
+      WORLD_COPIES.forEach(turns => {
+        const options = {
+          pane: BASEMAP_PANE,
+          interactive: false,
+          coordsToLatLng: ([lon, lat]) => L.latLng(lat, lon + turns * 360)
+        };
+        layer.addLayer(L.geoJSON(WORLD_LAND, { ...options, style: BASEMAP_STYLE.land }));
+        layer.addLayer(L.geoJSON(WORLD_BORDERS, { ...options, style: BASEMAP_STYLE.borders }));
+      });
+    });
+  });
+  return layer;
 }
 
-export default function WorldMapWithSunlight() {
+// Sun and "anti-sun" (the point directly opposite, at the middle of the night)
+const SOLAR_ICON_STYLE = 'font-size:22px;line-height:24px;text-align:center;filter:drop-shadow(0 0 3px rgba(0,0,0,0.6));';
+const createSolarIcon = (glyph) => L.divIcon({
+  html: `<div style="${SOLAR_ICON_STYLE}">${glyph}</div>`,
+  className: '',
+  iconSize: [24, 24],
+  iconAnchor: [12, 12]
+});
+
+export default function WorldMapWithSunlight({
+  time = null,
+  clocks = [],
+  onAddClock,
+  locale,
+  t,
+  is24Hour = false,
+  twilightStyle = null,
+  baseLayer = '',
+  onBaseLayerChange,
+  showTimezones = false,
+  onShowTimezonesChange
+}) {
   const mapRef = useRef(null);
   const mapInstanceRef = useRef(null);
-  const overlayRef = useRef(null);
+  const timeRef = useRef(time);
+  const renderRef = useRef(null);
+  const markersLayerRef = useRef(null);
+  const refreshMarkersRef = useRef(null);
+  const baseLayersRef = useRef(null);
+  const timezoneLayerRef = useRef(null);
+  const styleTimezonesRef = useRef(null);
+  const clocksRef = useRef(clocks);
+  // Latest props for Leaflet callbacks created once at mount
+  const propsRef = useRef({});
+  propsRef.current = {
+    onAddClock,
+    baseLayer,
+    onBaseLayerChange,
+    showTimezones,
+    onShowTimezonesChange,
+    locale,
+    t,
+    is24Hour,
+    twilightStyle: { ...DEFAULT_TWILIGHT_STYLE, ...twilightStyle }
+  };
 
   useEffect(() => {
     if (!mapRef.current) return;
@@ -111,47 +255,219 @@ export default function WorldMapWithSunlight() {
       zoomControl: true,
     }).setView([20, 0], 2);
 
-    L.tileLayer(TILE_URL, { attribution: TILE_ATTRIB }).addTo(map);
+    map.createPane(BASEMAP_PANE);
+    map.getPane(BASEMAP_PANE).style.zIndex = 200;
+
+    const baseLayers = Object.fromEntries(TILE_SOURCES.map(source => [source.id, createBaseLayer(source)]));
+    baseLayers[getTileSource(baseLayer).id].addTo(map);
+    // Timezone regions, built the first time the overlay is shown and kept
+    // under the clock markers
+    const timezoneLayer = L.featureGroup();
+    function styleRegion(region, date = timeRef.current || new Date()) {
+      const onDashboard = clocksRef.current.some(clock =>
+        normalizeTimezoneId(clock.timezone) === normalizeTimezoneId(region.timezone)
+      );
+      const opacity = onDashboard
+        ? (region.hovered ? TIMEZONE_OPACITY.dashboardHover : TIMEZONE_OPACITY.dashboard)
+        : (region.hovered ? TIMEZONE_OPACITY.hover : TIMEZONE_OPACITY.normal);
+      region.setStyle({ fillColor: getOffsetColor(getOffsetMinutes(region.timezone, date)), fillOpacity: opacity });
+    }
+    function styleTimezones() {
+      const date = timeRef.current || new Date();
+      timezoneLayer.eachLayer(region => styleRegion(region, date));
+    }
+    timezoneLayer.on('add', () => {
+      if (timezoneLayer.getLayers().length === 0) {
+        getTimezoneRegions().forEach(({ timezone, cells }) => {
+          const rings = WORLD_COPIES.flatMap(turns => cells.map(([south, west, north, east]) => [
+            [south, west + turns * 360], [north, west + turns * 360], [north, east + turns * 360], [south, east + turns * 360]
+          ]));
+          const region = L.polygon(rings, { stroke: false });
+          region.timezone = timezone;
+          region.bindTooltip(() => buildTimezoneTooltip(timezone, timeRef.current || new Date(), propsRef.current), { sticky: true });
+          region.on('mouseover mouseout', (e) => {
+            region.hovered = e.type === 'mouseover';
+            styleRegion(region);
+          });
+          timezoneLayer.addLayer(region);
+        });
+      }
+      styleTimezones();
+      timezoneLayer.bringToBack();
+    });
+    if (showTimezones) timezoneLayer.addTo(map);
+
+    const handleBaseLayerChange = (e) => {
+      const id = Object.keys(baseLayers).find(key => baseLayers[key] === e.layer);
+      // Also fired when the effect below syncs the layer to the prop
+      if (id === getTileSource(propsRef.current.baseLayer).id) return;
+      propsRef.current.onBaseLayerChange?.(id);
+    };
+    map.on('baselayerchange', handleBaseLayerChange);
+
+    const handleOverlayChange = (e) => {
+      if (e.layer !== timezoneLayer) return;
+      const visible = e.type === 'overlayadd';
+      if (visible === propsRef.current.showTimezones) return;
+      propsRef.current.onShowTimezonesChange?.(visible);
+    };
+    map.on('overlayadd overlayremove', handleOverlayChange);
 
-    // Create a canvas overlay sitting on top of the map pane
-    const overlay = document.createElement('canvas');
-    overlay.style.position = 'absolute';
-    overlay.style.top = '0';
-    overlay.style.left = '0';
-    overlay.style.width = '100%';
-    overlay.style.height = '100%';
-    overlay.style.pointerEvents = 'none';
+    map.createPane(TWILIGHT_PANE);
+    map.getPane(TWILIGHT_PANE).style.zIndex = 350;
+    map.getPane(TWILIGHT_PANE).style.pointerEvents = 'none';
+    const twilightLayer = L.layerGroup().addTo(map);
 
-    const overlayPane = map.getPanes().overlayPane;
-    overlayPane.appendChild(overlay);
+    // Non-interactive so clicks on them still reach the map
+    const subsolarMarker = L.marker([0, 0], { icon: createSolarIcon('☀️'), interactive: false, keyboard: false });
+    const antisolarMarker = L.marker([0, 0], { icon: createSolarIcon('🌑'), interactive: false, keyboard: false });
 
     function render() {
-      const subsolar = getSubsolarPoint(new Date());
-      drawSunlightMask(overlay, map, subsolar);
+      const { twilightStyle: style } = propsRef.current;
+      const subsolar = getSubsolarPoint(timeRef.current || new Date());
+      drawTwilightBands(twilightLayer, subsolar, style);
+      // Offsets shift with DST, so the timezone tints follow the same clock
+      if (map.hasLayer(timezoneLayer)) styleTimezones();
+
+      if (style.showSolarPoints) {
+        const antisolar = getAntisolarPoint(subsolar);
+        subsolarMarker.setLatLng([subsolar.lat, subsolar.lon]).addTo(map);
+        antisolarMarker.setLatLng([antisolar.lat, antisolar.lon]).addTo(map);
+      } else {
+        subsolarMarker.remove();
+        antisolarMarker.remove();
+      }
     }
 
-    // Re-render on map move/resize to keep mask aligned
-    const rerender = () => render();
-    map.on('move zoom resize', rerender);
-
     // Initial draw and interval update every minute
     render();
     const interval = setInterval(render, 60 * 1000);
 
+    const markersLayer = L.layerGroup().addTo(map);
+
+    // Recolour markers for day/night and keep any open popup's clock ticking
+    function refreshMarkers() {
+      const date = timeRef.current || new Date();
+      markersLayer.eachLayer(marker => {
+        marker.setStyle({ fillColor: isDaylight(marker.coordinates, date) ? DAY_FILL : NIGHT_FILL });
+        if (marker.isPopupOpen()) marker.getPopup().update();
+      });
+    }
+    const markerInterval = setInterval(refreshMarkers, 1000);
+
+    const handleMapClick = (e) => {
+      const { lat, lng } = e.latlng;
+      const zone = getTimezoneAt(lat, lng);
+      const popup = L.popup();
+      popup
+        .setLatLng(e.latlng)
+        .setContent(buildAddClockPopup(zone, () => {
+          propsRef.current.onAddClock?.(zone.value, { lat, lon: lng });
+          map.closePopup(popup);
+        }, propsRef.current.t))
+        .openOn(map);
+    };
+    map.on('click', handleMapClick);
+
     mapInstanceRef.current = map;
-    overlayRef.current = overlay;
+    renderRef.current = render;
+    markersLayerRef.current = markersLayer;
+    refreshMarkersRef.current = refreshMarkers;
+    baseLayersRef.current = baseLayers;
+    timezoneLayerRef.current = timezoneLayer;
+    styleTimezonesRef.current = styleTimezones;
 
     return () => {
+      mapInstanceRef.current = null;
+      renderRef.current = null;
+      markersLayerRef.current = null;
+      refreshMarkersRef.current = null;
+      baseLayersRef.current = null;
+      timezoneLayerRef.current = null;
+      styleTimezonesRef.current = null;
       clearInterval(interval);
-      map.off('move zoom resize', rerender);
-      if (overlay && overlay.parentNode) overlay.parentNode.removeChild(overlay);
+      clearInterval(markerInterval);
+      map.off('click', handleMapClick);
+      map.off('baselayerchange', handleBaseLayerChange);
+      map.off('overlayadd overlayremove', handleOverlayChange);
       map.remove();
     };
   }, []);
 
+  // Rebuild markers whenever clocks are added, removed or moved
+  useEffect(() => {
+    clocksRef.current = clocks;
+    if (styleTimezonesRef.current) styleTimezonesRef.current();
+    const markersLayer = markersLayerRef.current;
+    if (!markersLayer) return;
+    markersLayer.clearLayers();
+
+    clocks.forEach(clock => {
+      const coordinates = getClockCoordinates(clock);
+      if (!coordinates) return;
+      const marker = L.circleMarker([coordinates.lat, coordinates.lon], MARKER_STYLE);
+      marker.coordinates = coordinates;
+      marker.bindTooltip(clock.label);
+      // Content is a function so Popup.update() re-renders it with the current time
+      marker.bindPopup(() => buildClockPopup(clock, coordinates, timeRef.current || new Date(), propsRef.current));
+      markersLayer.addLayer(marker);
+    });
+    refreshMarkersRef.current();
+  }, [clocks]);
+
+  // Layer switcher, rebuilt when the language changes so its labels follow
+  useEffect(() => {
+    const map = mapInstanceRef.current;
+    const baseLayers = baseLayersRef.current;
+    if (!map || !baseLayers) return undefined;
+    const control = L.control.layers(
+      Object.fromEntries(TILE_SOURCES.map(source => [source.name, baseLayers[source.id]])),
+      { [t('mapTimezoneLayer')]: timezoneLayerRef.current }
+    ).addTo(map);
+    return () => {
+      if (mapInstanceRef.current) control.remove();
+    };
+  }, [locale]);
+
+  // Follow base layer changes made outside the switcher (e.g. an import)
+  useEffect(() => {
+    const map = mapInstanceRef.current;
+    const baseLayers = baseLayersRef.current;
+    if (!map || !baseLayers) return;
+    const next = baseLayers[getTileSource(baseLayer).id];
+    if (map.hasLayer(next)) return;
+    Object.values(baseLayers).forEach(layer => layer.remove());
+    next.addTo(map);
+  }, [baseLayer]);
+
+  useEffect(() => {
+    const map = mapInstanceRef.current;
+    const timezoneLayer = timezoneLayerRef.current;
+    if (!map || !timezoneLayer || map.hasLayer(timezoneLayer) === showTimezones) return;
+    if (showTimezones) timezoneLayer.addTo(map);
+    else timezoneLayer.remove();
+  }, [showTimezones]);
+
+  // Restyle the overlay when the caller changes it (pass a stable object, not a new literal per render)
+  useEffect(() => {
+    if (renderRef.current) renderRef.current();
+  }, [twilightStyle]);
+
+  // Redraw immediately when switching between live and a previewed instant
+  useEffect(() => {
+    timeRef.current = time;
+    if (renderRef.current) renderRef.current();
+    if (refreshMarkersRef.current) refreshMarkersRef.current();
+  }, [time]);
+
   return (
     <div className="backdrop-blur-lg border border-white/20" style={{ backgroundColor: 'rgba(255,255,255,0.1)', borderRadius: '16px', padding: '16px' }}>
-      <h2 className="text-lg font-semibold" style={{ color: '#ffffff', marginBottom: '8px' }}>World Map with Sunlight</h2>
+      <div className="flex flex-wrap items-baseline justify-between gap-2" style={{ marginBottom: '8px' }}>
+        <h2 className="text-lg font-semibold" style={{ color: '#ffffff' }}>{t('mapTitle')}</h2>
+        {onAddClock && (
+          <span className="text-xs" style={{ color: '#9ca3af' }}>{t('mapClickHint')}</span>
+        )}
+      </div>
       <div ref={mapRef} style={{ width: '100%', height: '420px', borderRadius: '12px', overflow: 'hidden' }} />
     </div>
   );
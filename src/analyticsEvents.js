@@ -0,0 +1,282 @@
+import { useEffect, useMemo, useRef } from 'react';
+
+// Every analytics event the dashboard logs, in one place. Call sites pass an
+// event name, its value and the event-specific fields; the tracker adds the
+// common context, checks the payload against the catalog in development and
+// hands events to a sink in small batches.
+//
+// Schemas map each metadata field to 'string', 'number' or 'boolean'; a
+// trailing '?' means the field may be null or left out. `value` is the type of
+// the event value, or null for events without one.
+//
+// The sink is Statsig in production. Builds with VITE_ANALYTICS_SINK=console
+// log batches to the console instead, for local runs and tests.
+
+export const EVENT_CATALOG = {
+  upgrade_button_clicked: {
+    value: 'string', // prominent_upgrade_icon style
+    metadata: { button_location: 'string', current_clocks_count: 'number' }
+  },
+  banner_closed: {
+    value: null,
+    metadata: { config_name: 'string' }
+  },
+  clock_added: {
+    value: 'string', // timezone
+    metadata: {
+      timezone: 'string',
+      label: 'string',
+      total_clocks: 'number',
+      add_method: 'string',
+      search_query: 'string?',
+      has_custom_label: 'boolean',
+      continent: 'string',
+      is_business_hours: 'boolean',
+      time_offset_from_local: 'string',
+      user_language: 'string',
+      user_timezone: 'string',
+      screen_size: 'string'
+    }
+  },
+  clock_removed: {
+    value: 'string', // timezone, or "unknown"
+    metadata: {
+      clock_id: 'number',
+      timezone: 'string?',
+      label: 'string?',
+      remaining_clocks: 'number',
+      time_on_dashboard_ms: 'number',
+      time_on_dashboard_minutes: 'number',
+      removal_method: 'string',
+      was_recently_added: 'boolean'
+    }
+  },
+  clock_details_updated: {
+    value: 'string',
+    metadata: {
+      clock_id: 'number',
+      timezone: 'string?',
+      label_changed: 'boolean',
+      has_notes: 'boolean',
+      has_avatar: 'boolean'
+    }
+  },
+  clock_reordered: {
+    value: 'string',
+    metadata: {
+      clock_id: 'number?',
+      reorder_method: 'string',
+      total_clocks_visible: 'number',
+      total_groups: 'number'
+    }
+  },
+  clock_sort_changed: {
+    value: 'string',
+    metadata: { new_sort_mode: 'string', previous_sort_mode: 'string', total_clocks_visible: 'number' }
+  },
+  clock_group_created: {
+    value: 'string', // group name
+    metadata: { total_groups: 'number' }
+  },
+  working_hours_updated: {
+    value: 'string',
+    metadata: {
+      clock_id: 'number',
+      timezone: 'string?',
+      is_default: 'boolean',
+      workdays_count: 'number?',
+      has_lunch_break: 'boolean'
+    }
+  },
+  time_format_toggled: {
+    value: 'string', // "24h" | "12h"
+    metadata: {
+      new_format: 'string',
+      previous_format: 'string',
+      total_clocks_visible: 'number',
+      device_locale: 'string',
+      user_timezone: 'string',
+      toggle_count_in_session: 'number'
+    }
+  },
+  seconds_display_toggled: {
+    value: 'string', // "enabled" | "disabled"
+    metadata: {
+      new_state: 'string',
+      previous_state: 'string',
+      total_clocks_visible: 'number',
+      current_time_format: 'string',
+      toggle_count_in_session: 'number'
+    }
+  },
+  locale_changed: {
+    value: 'string',
+    metadata: { resolved_locale: 'string', previous_locale: 'string', browser_locale: 'string' }
+  },
+  calendar_changed: {
+    value: 'string',
+    metadata: { locale: 'string' }
+  },
+  consent_updated: {
+    value: 'string',
+    metadata: { auto_capture: 'string', session_replay: 'string' }
+  },
+  map_layer_changed: {
+    value: 'string',
+    metadata: { previous_layer: 'string', online: 'boolean' }
+  },
+  timezone_layer_toggled: {
+    value: 'string',
+    metadata: { clock_count: 'number' }
+  },
+  dashboard_link_copied: {
+    value: 'string',
+    metadata: { total_clocks_shared: 'number', has_pinned_time: 'boolean', url_length: 'number' }
+  },
+  shared_dashboard_kept: {
+    value: 'string',
+    metadata: { total_clocks_visible: 'number' }
+  },
+  clocks_imported: {
+    value: 'string', // format
+    metadata: { import_mode: 'string', error_rows: 'number', total_clocks_visible: 'number' }
+  },
+  clocks_exported: {
+    value: 'string',
+    metadata: { total_clocks_visible: 'number', total_groups: 'number' }
+  },
+  meeting_slot_copied: {
+    value: 'string',
+    metadata: {
+      slot_time: 'string',
+      is_best_overlap: 'boolean',
+      business_hours_clocks: 'number',
+      total_clocks_visible: 'number'
+    }
+  }
+};
+
+// Fields added to every event by the tracker
+const COMMON_FIELDS = ['user_session_id', 'timestamp'];
+
+const BATCH_SIZE = 20;
+const FLUSH_INTERVAL_MS = 2000;
+
+// Per-tab session ID, also sent as the Statsig user's sessionID custom ID
+export const getOrCreateSessionId = () => {
+  let sessionId = sessionStorage.getItem('statsig_session_id');
+  if (!sessionId) {
+    sessionId = `session_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
+    sessionStorage.setItem('statsig_session_id', sessionId);
+    sessionStorage.setItem('session_start_time', Date.now().toString());
+  }
+  return sessionId;
+};
+
+const getCommonContext = () => ({
+  user_session_id: getOrCreateSessionId(),
+  timestamp: new Date().toISOString()
+});
+
+const matchesType = (value, type) => {
+  const optional = type.endsWith('?');
+  if (value == null) return optional;
+  return typeof value === type.replace('?', '');
+};
+
+// Problems with an event against its schema; empty when it is valid
+export const validateEvent = (name, value, metadata = {}) => {
+  const schema = EVENT_CATALOG[name];
+  if (!schema) return [`unknown event "${name}"`];
+
+  const problems = [];
+  if (schema.value === null ? value != null : !matchesType(value, schema.value)) {
+    problems.push(`value should be ${schema.value === null ? 'empty' : `a ${schema.value}`}, got ${JSON.stringify(value)}`);
+  }
+  Object.entries(schema.metadata).forEach(([field, type]) => {
+    if (!matchesType(metadata[field], type)) {
+      problems.push(`${field} should be a ${type}, got ${JSON.stringify(metadata[field])}`);
+    }
+  });
+  Object.keys(metadata).forEach(field => {
+    if (!(field in schema.metadata)) {
+      problems.push(COMMON_FIELDS.includes(field)
+        ? `${field} is added by the tracker`
+        : `${field} is not in the catalog`);
+    }
+  });
+  return problems;
+};
+
+// Sinks receive a batch of { name, value, metadata } and whether the page is
+// going away, in which case anything they buffer themselves should be sent now
+export const statsigSink = (client) => (events, { urgent = false } = {}) => {
+  events.forEach(({ name, value, metadata }) => client.logEvent(name, value ?? undefined, metadata));
+  if (urgent) client.flush();
+};
+
+export const consoleSink = (events) => {
+  events.forEach(({ name, value, metadata }) => console.info('[analytics]', name, value, metadata));
+};
+
+export const createEventTracker = ({ sink, batchSize = BATCH_SIZE, flushIntervalMs = FLUSH_INTERVAL_MS, validate = import.meta.env.DEV }) => {
+  let pending = [];
+  let timer = null;
+
+  const flush = (options) => {
+    clearTimeout(timer);
+    timer = null;
+    if (pending.length === 0) return;
+    const batch = pending;
+    pending = [];
+    try {
+      sink(batch, options);
+    } catch (error) {
+      console.warn('Analytics sink failed; dropping batch', error);
+    }
+  };
+
+  const track = (name, value = null, metadata = {}) => {
+    if (validate) {
+      const problems = validateEvent(name, value, metadata);
+      if (problems.length > 0) console.warn(`Analytics event "${name}" does not match the catalog:`, problems);
+    }
+    pending.push({ name, value, metadata: { ...metadata, ...getCommonContext() } });
+    if (pending.length >= batchSize) flush();
+    else if (!timer) timer = setTimeout(flush, flushIntervalMs);
+  };
+
+  return { track, flush };
+};
+
+const getDefaultSink = (client) =>
+  import.meta.env.VITE_ANALYTICS_SINK === 'console' ? consoleSink : statsigSink(client);
+
+// track(name, value, metadata) for the dashboard; pending events are sent when
+// the tab is hidden and when the client changes. `sink` is read when a batch
+// is sent, so callers may pass a new function on every render without
+// restarting the batch.
+export const useEventTracker = (client, sink) => {
+  const sinkRef = useRef(sink);
+  sinkRef.current = sink;
+
+  const tracker = useMemo(() => {
+    const defaultSink = getDefaultSink(client);
+    return createEventTracker({
+      sink: (events, options) => (sinkRef.current || defaultSink)(events, options)
+    });
+  }, [client]);
+
+  useEffect(() => {
+    const flushOnHide = () => {
+      if (document.visibilityState === 'hidden') tracker.flush({ urgent: true });
+    };
+    document.addEventListener('visibilitychange', flushOnHide);
+    return () => {
+      document.removeEventListener('visibilitychange', flushOnHide);
+      tracker.flush();
+    };
+  }, [tracker]);
+
+  return tracker.track;
+};
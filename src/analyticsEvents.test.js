@@ -0,0 +1,58 @@
+import { describe, expect, it, vi } from 'vitest';
+import { createEventTracker, validateEvent } from './analyticsEvents.js';
+import { useFakeClock } from './test/fakeClock.js';
+
+describe('validateEvent', () => {
+  it('accepts an event that matches its schema', () => {
+    expect(validateEvent('clock_group_created', 'Team', { total_groups: 2 })).toEqual([]);
+  });
+
+  it('reports unknown events, wrong types and extra fields', () => {
+    expect(validateEvent('clock_teleported', 'x')).toEqual(['unknown event "clock_teleported"']);
+    expect(validateEvent('banner_closed', 'upsell_banner', { config_name: 'upsell_banner' }))
+      .toEqual(['value should be empty, got "upsell_banner"']);
+    expect(validateEvent('clock_group_created', 'Team', { total_groups: '2', timestamp: 'now' })).toEqual([
+      'total_groups should be a number, got "2"',
+      'timestamp is added by the tracker'
+    ]);
+  });
+});
+
+describe('createEventTracker', () => {
+  useFakeClock('2024-01-15T14:30:00Z');
+
+  it('adds the common context and sends a batch after the interval', () => {
+    const sink = vi.fn();
+    const { track } = createEventTracker({ sink, flushIntervalMs: 1000, validate: false });
+
+    track('clock_group_created', 'Team', { total_groups: 1 });
+    track('clock_group_created', 'Ops', { total_groups: 2 });
+    expect(sink).not.toHaveBeenCalled();
+
+    vi.advanceTimersByTime(1000);
+    expect(sink).toHaveBeenCalledTimes(1);
+    const [[batch]] = sink.mock.calls;
+    expect(batch.map(event => event.value)).toEqual(['Team', 'Ops']);
+    expect(batch[0].metadata).toEqual({
+      total_groups: 1,
+      user_session_id: expect.stringMatching(/^session_/),
+      timestamp: '2024-01-15T14:30:00.000Z'
+    });
+  });
+
+  it('sends as soon as a batch is full', () => {
+    const sink = vi.fn();
+    const { track } = createEventTracker({ sink, batchSize: 2, validate: false });
+    track('clock_group_created', 'Team', { total_groups: 1 });
+    track('clock_group_created', 'Ops', { total_groups: 2 });
+    expect(sink).toHaveBeenCalledTimes(1);
+  });
+
+  it('warns about events outside the catalog when validating', () => {
+    const warn = vi.spyOn(console, 'warn').mockImplementation(() => {});
+    const { track } = createEventTracker({ sink: vi.fn(), validate: true });
+    track('clock_teleported', 'x');
+    expect(warn).toHaveBeenCalledWith(expect.stringContaining('clock_teleported'), ['unknown event "clock_teleported"']);
+    warn.mockRestore();
+  });
+});
@@ -0,0 +1,115 @@
+// Offline queue for analytics uploads. Statsig's own retry keeps only the last
+// failed batch and retries on focus, which a wall display never gets, so event
+// uploads made while offline are stored here and replayed in order when the
+// connection returns. Plugged in as Statsig's `networkOverrideFunc`, so it also
+// covers the auto-capture and session replay plugins. It is also where the
+// analytics consent is enforced: without it, uploads are discarded unsent.
+
+import { hasConsent } from './consent.js';
+
+const QUEUE_KEY = 'world_clock_analytics_queue';
+// Requests, not events: each upload is a batch. Oldest are dropped beyond this.
+const MAX_QUEUED_REQUESTS = 100;
+
+// Statsig event upload endpoint (logEvent batches and session replay)
+const isEventUpload = (url) => /\/rgstr\b/.test(url);
+
+const readQueue = () => {
+  try {
+    const queue = JSON.parse(localStorage.getItem(QUEUE_KEY));
+    return Array.isArray(queue) ? queue : [];
+  } catch {
+    return [];
+  }
+};
+
+const writeQueue = (queue) => {
+  try {
+    if (queue.length === 0) localStorage.removeItem(QUEUE_KEY);
+    else localStorage.setItem(QUEUE_KEY, JSON.stringify(queue.slice(-MAX_QUEUED_REQUESTS)));
+  } catch {
+    // Storage full or unavailable: the events are lost, the dashboard carries on
+  }
+};
+
+// Bodies are JSON text, or gzip bytes when the SDK compresses them
+const encodeBody = (body) => {
+  if (typeof body === 'string' || body == null) return { body: body ?? null, binary: false };
+  const bytes = body instanceof Uint8Array ? body : new Uint8Array(body);
+  let text = '';
+  bytes.forEach(byte => { text += String.fromCharCode(byte); });
+  return { body: btoa(text), binary: true };
+};
+
+const decodeBody = ({ body, binary }) => {
+  if (!binary) return body;
+  return Uint8Array.from(atob(body), char => char.charCodeAt(0));
+};
+
+export const getQueuedAnalyticsCount = () => readQueue().length;
+
+export const clearQueuedAnalytics = () => writeQueue([]);
+
+// fetch() replacement: event uploads that can't be sent right now are queued
+// and answered with 202 so the SDK doesn't keep its own copy
+export const queueingFetch = async (url, config = {}) => {
+  if (!isEventUpload(String(url))) return fetch(url, config);
+  if (!hasConsent('analytics')) return new Response(null, { status: 202 });
+
+  if (navigator.onLine) {
+    try {
+      return await fetch(url, config);
+    } catch (error) {
+      // Timeouts the SDK aborted itself aren't connectivity problems
+      if (config.signal?.aborted) throw error;
+    }
+  }
+
+  writeQueue([
+    ...readQueue(),
+    { url: String(url), method: config.method || 'POST', headers: config.headers || {}, ...encodeBody(config.body) }
+  ]);
+  return new Response(null, { status: 202 });
+};
+
+let flushing = false;
+
+// Send queued uploads oldest first, stopping at the first failure so order is kept
+export const flushQueuedAnalytics = async () => {
+  if (flushing || !navigator.onLine) return;
+  // Consent withdrawn while uploads were waiting
+  if (!hasConsent('analytics')) {
+    clearQueuedAnalytics();
+    return;
+  }
+  flushing = true;
+  try {
+    let queue = readQueue();
+    while (queue.length > 0) {
+      const [request] = queue;
+      try {
+        const response = await fetch(request.url, {
+          method: request.method,
+          headers: request.headers,
+          body: decodeBody(request)
+        });
+        // Server trouble: try again on the next reconnect. A 4xx is dropped
+        // rather than retried forever.
+        if (response.status >= 500) break;
+      } catch {
+        break;
+      }
+      queue = readQueue().slice(1);
+      writeQueue(queue);
+    }
+  } finally {
+    flushing = false;
+  }
+};
+
+// Flush anything left from a previous session now and whenever we reconnect
+export const startAnalyticsQueue = () => {
+  window.addEventListener('online', flushQueuedAnalytics);
+  flushQueuedAnalytics();
+  return () => window.removeEventListener('online', flushQueuedAnalytics);
+};
@@ -0,0 +1,14 @@
+// Copy text to the clipboard, falling back to execCommand in insecure contexts
+// (e.g. office displays served over plain http) where the Clipboard API is unavailable.
+export const copyText = async (text) => {
+  if (navigator.clipboard?.writeText) {
+    await navigator.clipboard.writeText(text);
+    return;
+  }
+  const textarea = document.createElement('textarea');
+  textarea.value = text;
+  document.body.appendChild(textarea);
+  textarea.select();
+  document.execCommand('copy');
+  document.body.removeChild(textarea);
+};
@@ -0,0 +1,53 @@
+import { getZoneCoordinates } from './cityCoordinates.js';
+
+// User-editable details on a clock: label, notes and avatar/emoji.
+// Several clocks may share a timezone (e.g. a team roster) as long as their
+// labels differ. Clocks also carry { lat, lon } coordinates for daylight info,
+// defaulting to the zone's principal city.
+
+export const MAX_LABEL_LENGTH = 60;
+export const MAX_NOTES_LENGTH = 500;
+export const MAX_AVATAR_LENGTH = 8;
+
+export const normalizeLabel = (label) =>
+  typeof label === 'string' ? label.trim().slice(0, MAX_LABEL_LENGTH) : '';
+
+export const normalizeNotes = (notes) =>
+  typeof notes === 'string' ? notes.trim().slice(0, MAX_NOTES_LENGTH) : '';
+
+// Cap at a few code points (enough for multi-part emoji) so a pasted sentence doesn't become an avatar
+export const normalizeAvatar = (avatar) =>
+  typeof avatar === 'string' ? [...avatar.trim()].slice(0, MAX_AVATAR_LENGTH).join('') : '';
+
+const sameLabel = (a, b) => normalizeLabel(a).toLowerCase() === normalizeLabel(b).toLowerCase();
+
+// Whether another clock already shows `label` for `timezone`
+export const hasDuplicateClock = (clocks, timezone, label, excludeId = null) =>
+  clocks.some(clock =>
+    clock.id !== excludeId &&
+    clock.timezone === timezone &&
+    sameLabel(clock.label, label)
+  );
+
+// Optional details as stored on a clock, dropping empty values
+export const sanitizeClockDetails = ({ notes, avatar }) => {
+  const details = {};
+  const cleanNotes = normalizeNotes(notes);
+  const cleanAvatar = normalizeAvatar(avatar);
+  if (cleanNotes) details.notes = cleanNotes;
+  if (cleanAvatar) details.avatar = cleanAvatar;
+  return details;
+};
+
+const isInRange = (value, limit) => Number.isFinite(value) && Math.abs(value) <= limit;
+
+// Valid { lat, lon } rounded to 0.01°, or null
+export const sanitizeCoordinates = (coordinates) => {
+  if (!coordinates || typeof coordinates !== 'object') return null;
+  const { lat, lon } = coordinates;
+  if (!isInRange(lat, 90) || !isInRange(lon, 180)) return null;
+  return { lat: Math.round(lat * 100) / 100, lon: Math.round(lon * 100) / 100 };
+};
+
+// Where to compute sunrise/sunset for a clock; null for zones without a city (UTC)
+export const getClockCoordinates = (clock) => clock.coordinates || getZoneCoordinates(clock.timezone);
@@ -0,0 +1,118 @@
+import { getOffsetMinutes, getZonedParts } from './timeOffsets.js';
+
+// Ordering and grouping of clock cards. The clocks array itself is the manual
+// ("custom") order; sort modes only change how it is displayed.
+// Groups: [{ id, name, collapsed }]; a clock joins a group via clock.groupId.
+
+export const SORT_MODES = ['manual', 'offset', 'label', 'localTime'];
+
+export const isSortMode = (mode) => SORT_MODES.includes(mode);
+
+const MAX_GROUP_NAME_LENGTH = 40;
+
+export const normalizeGroupName = (name) =>
+  typeof name === 'string' ? name.trim().slice(0, MAX_GROUP_NAME_LENGTH) : '';
+
+export const sanitizeGroups = (groups) => {
+  if (!Array.isArray(groups)) return [];
+  const seenIds = new Set();
+  return groups
+    .filter(group => group && typeof group === 'object' && normalizeGroupName(group.name))
+    .filter(group => {
+      if (!Number.isFinite(group.id) || seenIds.has(group.id)) return false;
+      seenIds.add(group.id);
+      return true;
+    })
+    .map(group => ({
+      id: group.id,
+      name: normalizeGroupName(group.name),
+      collapsed: Boolean(group.collapsed)
+    }));
+};
+
+// Stable sort of clocks for display. Ties keep the manual order.
+export const sortClocks = (clocks, mode, date = new Date()) => {
+  if (mode === 'manual' || !isSortMode(mode)) return clocks;
+
+  const keyed = clocks.map((clock, index) => {
+    let key;
+    if (mode === 'offset') {
+      key = getOffsetMinutes(clock.timezone, date);
+    } else if (mode === 'localTime') {
+      const { hour, minute } = getZonedParts(date, clock.timezone);
+      key = hour * 60 + minute;
+    } else {
+      key = clock.label.toLocaleLowerCase();
+    }
+    return { clock, index, key };
+  });
+
+  return keyed
+    .sort((a, b) => {
+      if (a.key < b.key) return -1;
+      if (a.key > b.key) return 1;
+      return a.index - b.index;
+    })
+    .map(({ clock }) => clock);
+};
+
+// Split clocks into display sections: one per group (in group order), then
+// the ungrouped clocks. Clocks pointing at a deleted group count as ungrouped.
+export const groupClocks = (clocks, groups) => {
+  const groupIds = new Set(groups.map(group => group.id));
+  const sections = groups.map(group => ({
+    group,
+    clocks: clocks.filter(clock => clock.groupId === group.id)
+  }));
+  sections.push({
+    group: null,
+    clocks: clocks.filter(clock => !groupIds.has(clock.groupId))
+  });
+  return sections;
+};
+
+// Move a clock so it sits right before `targetId` (or at the end of
+// `groupId` when no target is given), adopting the target's group.
+export const moveClock = (clocks, clockId, { targetId = null, groupId = null } = {}) => {
+  const moving = clocks.find(clock => clock.id === clockId);
+  if (!moving || clockId === targetId) return clocks;
+
+  const target = targetId !== null ? clocks.find(clock => clock.id === targetId) : null;
+  const nextGroupId = (target ? target.groupId : groupId) ?? null;
+  const { groupId: previousGroupId, ...ungrouped } = moving;
+  const moved = nextGroupId !== null ? { ...ungrouped, groupId: nextGroupId } : ungrouped;
+
+  const rest = clocks.filter(clock => clock.id !== clockId);
+  if (target) {
+    const index = rest.findIndex(clock => clock.id === targetId);
+    return [...rest.slice(0, index), moved, ...rest.slice(index)];
+  }
+
+  // No target: append after the last clock of the destination group
+  const lastInGroup = rest.reduce(
+    (last, clock, index) => ((clock.groupId ?? null) === nextGroupId ? index : last),
+    -1
+  );
+  return lastInGroup === -1
+    ? [...rest, moved]
+    : [...rest.slice(0, lastInGroup + 1), moved, ...rest.slice(lastInGroup + 1)];
+};
+
+// Keyboard reordering: swap a clock with its neighbour inside the same section
+export const moveClockBy = (clocks, clockId, delta, groups) => {
+  const groupIds = new Set(groups.map(group => group.id));
+  const sectionOf = (clock) => (groupIds.has(clock.groupId) ? clock.groupId : null);
+  const moving = clocks.find(clock => clock.id === clockId);
+  if (!moving) return clocks;
+
+  const section = clocks.filter(clock => sectionOf(clock) === sectionOf(moving));
+  const position = section.findIndex(clock => clock.id === clockId);
+  const neighbour = section[position + delta];
+  if (!neighbour) return clocks;
+
+  const result = [...clocks];
+  const from = result.findIndex(clock => clock.id === clockId);
+  const to = result.findIndex(clock => clock.id === neighbour.id);
+  [result[from], result[to]] = [result[to], result[from]];
+  return result;
+};
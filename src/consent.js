@@ -0,0 +1,104 @@
+import { IDENTITY_STORAGE_KEYS } from './identity.js';
+
+// Privacy consent for analytics, and the policy for what identifying data may
+// leave the browser. Nothing is uploaded to Statsig until the visitor agrees
+// to analytics; auto-capture and session replay are separate opt-ins on top.
+//
+// Stored as { version, decided, analytics, autoCapture, replay, decidedAt }.
+
+const CONSENT_KEY = 'world_clock_consent';
+const CONSENT_VERSION = 1;
+
+export const CONSENT_CATEGORIES = ['analytics', 'autoCapture', 'replay'];
+
+export const DEFAULT_CONSENT = {
+  decided: false,
+  analytics: false,
+  autoCapture: false,
+  replay: false
+};
+
+export const loadConsent = () => {
+  try {
+    const stored = JSON.parse(localStorage.getItem(CONSENT_KEY));
+    // A newer policy version asks again
+    if (!stored || stored.version !== CONSENT_VERSION) return { ...DEFAULT_CONSENT };
+    return Object.fromEntries(
+      Object.keys(DEFAULT_CONSENT).map(key => [key, stored[key] === true])
+    );
+  } catch {
+    return { ...DEFAULT_CONSENT };
+  }
+};
+
+// Store a choice and return it in loadConsent's shape
+export const saveConsent = (consent) => {
+  const next = {
+    ...Object.fromEntries(Object.keys(DEFAULT_CONSENT).map(key => [key, consent[key] === true])),
+    decided: true
+  };
+  try {
+    localStorage.setItem(CONSENT_KEY, JSON.stringify({
+      version: CONSENT_VERSION,
+      ...next,
+      decidedAt: new Date().toISOString()
+    }));
+  } catch {
+    // Storage unavailable: hasConsent() reads storage, so uploads stay blocked
+  }
+  return next;
+};
+
+// Auto-capture and replay are analytics too, so they need both switches on
+export const isAllowed = (consent, category) =>
+  category === 'analytics' ? consent.analytics : consent.analytics && consent[category] === true;
+
+export const hasConsent = (category) => isAllowed(loadConsent(), category);
+
+// Identifying user fields (dot paths) and the consent each one needs. Anything
+// listed here is removed from the Statsig user unless that consent is given.
+export const PII_POLICY = {
+  email: 'analytics',
+  userAgent: 'analytics',
+  ip: 'analytics',
+  'custom.platform': 'analytics',
+  'custom.screenResolution': 'analytics',
+  'custom.windowSize': 'analytics',
+  'customIDs.browserName': 'analytics'
+};
+
+// Copy of a Statsig user with every field the policy doesn't allow removed
+export const redactUser = (user, consent = loadConsent()) => {
+  const redacted = {
+    ...user,
+    custom: user.custom ? { ...user.custom } : undefined,
+    customIDs: user.customIDs ? { ...user.customIDs } : undefined
+  };
+  Object.entries(PII_POLICY).forEach(([path, category]) => {
+    if (isAllowed(consent, category)) return;
+    const [first, second] = path.split('.');
+    if (second === undefined) delete redacted[first];
+    else if (redacted[first]) delete redacted[first][second];
+  });
+  if (!redacted.custom) delete redacted.custom;
+  if (!redacted.customIDs) delete redacted.customIDs;
+  return redacted;
+};
+
+// Identifiers this app and the Statsig SDK keep in the browser
+const LOCAL_IDENTIFIER_KEYS = [...IDENTITY_STORAGE_KEYS, 'world_clock_user_email', 'world_clock_first_visit'];
+const SESSION_IDENTIFIER_KEYS = ['statsig_session_id', 'session_start_time'];
+// stable IDs, session IDs, cached evaluations and unsent events
+const STATSIG_KEY_PREFIX = 'statsig.';
+
+// Remove every locally stored identifier. Clocks, settings and the consent
+// choice itself are kept.
+export const deleteLocalIdentifiers = () => {
+  LOCAL_IDENTIFIER_KEYS.forEach(key => localStorage.removeItem(key));
+  SESSION_IDENTIFIER_KEYS.forEach(key => sessionStorage.removeItem(key));
+  [localStorage, sessionStorage].forEach(storage => {
+    Object.keys(storage)
+      .filter(key => key.startsWith(STATSIG_KEY_PREFIX))
+      .forEach(key => storage.removeItem(key));
+  });
+};
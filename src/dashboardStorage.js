@@ -0,0 +1,190 @@
+import { sanitizeSchedule } from './workingHours.js';
+import { normalizeLabel, sanitizeClockDetails, sanitizeCoordinates } from './clockDetails.js';
+import { getZoneCoordinates } from './cityCoordinates.js';
+import { isSortMode, sanitizeGroups } from './clockOrdering.js';
+import { CALENDARS, SUPPORTED_LANGUAGES } from './i18n.js';
+import { isTileSourceId } from './mapTiles.js';
+
+// Versioned localStorage persistence for the dashboard's clocks and settings.
+// Stored shape: {
+//   version,
+//   clocks: [{ id, label, timezone, coordinates?, notes?, avatar?, schedule?, groupId? }],
+//   groups: [{ id, name, collapsed }],
+//   settings: { is24Hour, showSeconds, sortMode, locale, calendar, mapLayer, showTimezones }
+// }
+// locale and calendar are '' for "follow the browser / locale default";
+// mapLayer is '' for the configured default tile source.
+
+const STORAGE_KEY = 'world_clock_dashboard_state';
+const CORRUPT_BACKUP_KEY = 'world_clock_dashboard_state_corrupt';
+
+export const STORAGE_VERSION = 3;
+
+export const DEFAULT_CLOCKS = [
+  { id: 1, label: 'New York', timezone: 'America/New_York', coordinates: getZoneCoordinates('America/New_York') },
+  { id: 2, label: 'London', timezone: 'Europe/London', coordinates: getZoneCoordinates('Europe/London') },
+  { id: 3, label: 'Tokyo', timezone: 'Asia/Tokyo', coordinates: getZoneCoordinates('Asia/Tokyo') }
+];
+
+export const DEFAULT_SETTINGS = {
+  is24Hour: false,
+  showSeconds: true,
+  sortMode: 'manual',
+  locale: '',
+  calendar: '',
+  mapLayer: '',
+  showTimezones: false
+};
+
+// Migrations keyed by the version they upgrade FROM. Each one receives the
+// stored object at version N and must return it at version N + 1. Bump
+// STORAGE_VERSION and add an entry here whenever the stored shape changes.
+const MIGRATIONS = {
+  // v2 added clock groups; existing clocks start ungrouped
+  1: (state) => ({ ...state, version: 2, groups: [] }),
+  // v3 added clock coordinates for sunrise/sunset, from the zone's principal city
+  2: (state) => ({
+    ...state,
+    version: 3,
+    clocks: Array.isArray(state.clocks)
+      ? state.clocks.map(clock => {
+          const coordinates = clock && getZoneCoordinates(clock.timezone);
+          return coordinates ? { ...clock, coordinates } : clock;
+        })
+      : state.clocks
+  })
+};
+
+const getDefaultState = () => ({
+  version: STORAGE_VERSION,
+  clocks: DEFAULT_CLOCKS.map(clock => ({ ...clock, coordinates: { ...clock.coordinates } })),
+  groups: [],
+  settings: { ...DEFAULT_SETTINGS }
+});
+
+const isValidTimezone = (timezone) => {
+  if (typeof timezone !== 'string' || !timezone) return false;
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone: timezone });
+    return true;
+  } catch {
+    return false;
+  }
+};
+
+const migrate = (state) => {
+  let migrated = state;
+  let version = Number.isInteger(state.version) ? state.version : 0;
+
+  while (version < STORAGE_VERSION) {
+    const step = MIGRATIONS[version];
+    if (!step) {
+      throw new Error(`No migration from dashboard state version ${version}`);
+    }
+    migrated = step(migrated);
+    version = migrated.version;
+  }
+
+  return migrated;
+};
+
+// Drop malformed clocks and fill in missing settings so a partially broken
+// payload still yields a usable dashboard.
+const sanitize = (state) => {
+  const groups = sanitizeGroups(state.groups);
+  const groupIds = new Set(groups.map(group => group.id));
+  const seenIds = new Set();
+  const clocks = (Array.isArray(state.clocks) ? state.clocks : [])
+    .filter(clock =>
+      clock &&
+      typeof clock === 'object' &&
+      normalizeLabel(clock.label) &&
+      isValidTimezone(clock.timezone)
+    )
+    .map((clock, index) => {
+      let id = Number.isFinite(clock.id) ? clock.id : Date.now() + index;
+      while (seenIds.has(id)) id += 1;
+      seenIds.add(id);
+
+      const { schedule, notes, avatar, groupId, coordinates, ...rest } = clock;
+      const validSchedule = sanitizeSchedule(schedule);
+      const validCoordinates = sanitizeCoordinates(coordinates);
+      return {
+        ...rest,
+        id,
+        label: normalizeLabel(clock.label),
+        ...sanitizeClockDetails({ notes, avatar }),
+        ...(validCoordinates && { coordinates: validCoordinates }),
+        ...(validSchedule && { schedule: validSchedule }),
+        ...(groupIds.has(groupId) && { groupId })
+      };
+    });
+
+  return {
+    version: STORAGE_VERSION,
+    clocks: clocks.length > 0 ? clocks : getDefaultState().clocks,
+    groups,
+    settings: sanitizeSettings(state.settings)
+  };
+};
+
+// Known settings with the right types, defaults for anything missing or invalid
+export const sanitizeSettings = (settings) => {
+  const stored = settings && typeof settings === 'object' ? settings : {};
+  const valid = Object.fromEntries(
+    Object.entries(stored).filter(([key, value]) =>
+      key in DEFAULT_SETTINGS && typeof value === typeof DEFAULT_SETTINGS[key]
+    )
+  );
+  if (!isSortMode(valid.sortMode)) delete valid.sortMode;
+  if (valid.locale && !SUPPORTED_LANGUAGES.includes(valid.locale)) delete valid.locale;
+  if (valid.calendar && !CALENDARS.includes(valid.calendar)) delete valid.calendar;
+  if (valid.mapLayer && !isTileSourceId(valid.mapLayer)) delete valid.mapLayer;
+  return { ...DEFAULT_SETTINGS, ...valid };
+};
+
+// Load the persisted dashboard state, falling back to defaults when nothing
+// is stored or the stored data cannot be read.
+export const loadDashboardState = () => {
+  let raw = null;
+  try {
+    raw = localStorage.getItem(STORAGE_KEY);
+  } catch {
+    return getDefaultState();
+  }
+  if (!raw) return getDefaultState();
+
+  try {
+    const parsed = JSON.parse(raw);
+    if (!parsed || typeof parsed !== 'object' || Array.isArray(parsed)) {
+      throw new Error('Dashboard state is not an object');
+    }
+    if (parsed.version > STORAGE_VERSION) {
+      throw new Error(`Dashboard state version ${parsed.version} is newer than ${STORAGE_VERSION}`);
+    }
+    return sanitize(migrate(parsed));
+  } catch (error) {
+    console.warn('Discarding unreadable dashboard state:', error);
+    try {
+      localStorage.setItem(CORRUPT_BACKUP_KEY, raw);
+      localStorage.removeItem(STORAGE_KEY);
+    } catch {
+      // Storage unavailable; nothing else to clean up
+    }
+    return getDefaultState();
+  }
+};
+
+export const saveDashboardState = ({ clocks, groups, settings }) => {
+  try {
+    localStorage.setItem(STORAGE_KEY, JSON.stringify({
+      version: STORAGE_VERSION,
+      clocks,
+      groups,
+      settings
+    }));
+  } catch (error) {
+    // Quota exceeded or storage disabled (e.g. private browsing)
+    console.warn('Could not save dashboard state:', error);
+  }
+};
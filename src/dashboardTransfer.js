@@ -0,0 +1,315 @@
+import { STORAGE_VERSION, sanitizeSettings } from './dashboardStorage.js';
+import { getTimezoneEntry } from './timezones.js';
+import { normalizeLabel, sanitizeClockDetails, sanitizeCoordinates, hasDuplicateClock } from './clockDetails.js';
+import { getZoneCoordinates } from './cityCoordinates.js';
+import { normalizeGroupName } from './clockOrdering.js';
+import { WEEKDAY_LABELS, minutesToTimeString, sanitizeSchedule, timeStringToMinutes } from './workingHours.js';
+
+// Import/export of the clock list. JSON carries everything (clocks, groups,
+// settings); CSV is one row per clock for editing in a spreadsheet, with the
+// group referenced by name. Both formats parse into the same intermediate
+// shape: { clocks: [{ label, timezone, coordinates?, notes?, avatar?, schedule?, groupName? }],
+// settings | null, errors: [{ row, code, params? }] }, where `code` names the
+// 'importError.<code>' UI string.
+
+const EXPORT_FORMAT = 'world-clock-dashboard';
+const DAY_MINUTES = 24 * 60;
+
+export const CSV_COLUMNS = [
+  'label', 'timezone', 'group', 'work_start', 'work_end', 'workdays',
+  'lunch_start', 'lunch_end', 'notes', 'avatar'
+];
+
+// ---- Export ----
+
+export const exportDashboardJson = ({ clocks, groups, settings }) => {
+  const groupNames = new Map(groups.map(group => [group.id, group.name]));
+  return JSON.stringify({
+    format: EXPORT_FORMAT,
+    version: STORAGE_VERSION,
+    exportedAt: new Date().toISOString(),
+    settings,
+    groups: groups.map(group => group.name),
+    clocks: clocks.map(({ id, groupId, ...clock }) => ({
+      ...clock,
+      ...(groupNames.has(groupId) && { group: groupNames.get(groupId) })
+    }))
+  }, null, 2);
+};
+
+// 24:00 is a valid shift end (e.g. 24/7) but not a valid <input type="time"> value
+const formatScheduleTime = (minutes) => (minutes === DAY_MINUTES ? '24:00' : minutesToTimeString(minutes));
+
+// Cells a spreadsheet would run as a formula (CSV injection). Exported with a
+// leading apostrophe, which spreadsheets show as text and import removes.
+const FORMULA_PREFIX = /^[=+\-@\t\r]/;
+const FORMULA_GUARD = "'";
+
+const escapeCsvCell = (value) => {
+  const raw = value === undefined || value === null ? '' : String(value);
+  const text = FORMULA_PREFIX.test(raw) ? `${FORMULA_GUARD}${raw}` : raw;
+  return /[",\r\n]/.test(text) || text !== text.trim() ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+const unescapeCsvCell = (text) =>
+  text.startsWith(FORMULA_GUARD) && FORMULA_PREFIX.test(text.slice(1)) ? text.slice(1) : text;
+
+export const exportDashboardCsv = ({ clocks, groups }) => {
+  const groupNames = new Map(groups.map(group => [group.id, group.name]));
+  const rows = clocks.map(clock => {
+    const { schedule } = clock;
+    return [
+      clock.label,
+      clock.timezone,
+      groupNames.get(clock.groupId) || '',
+      schedule ? formatScheduleTime(schedule.start) : '',
+      schedule ? formatScheduleTime(schedule.end) : '',
+      schedule ? [...schedule.workdays].sort().map(day => WEEKDAY_LABELS[day]).join(' ') : '',
+      schedule?.lunch ? formatScheduleTime(schedule.lunch.start) : '',
+      schedule?.lunch ? formatScheduleTime(schedule.lunch.end) : '',
+      clock.notes || '',
+      clock.avatar || ''
+    ];
+  });
+  return [CSV_COLUMNS, ...rows].map(row => row.map(escapeCsvCell).join(',')).join('\r\n');
+};
+
+// ---- Parsing ----
+
+// RFC 4180 CSV: quoted cells may contain commas, quotes ("") and newlines
+export const parseCsv = (text) => {
+  const rows = [];
+  let row = [];
+  let cell = '';
+  let inQuotes = false;
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+    if (inQuotes) {
+      if (char === '"' && text[i + 1] === '"') {
+        cell += '"';
+        i++;
+      } else if (char === '"') {
+        inQuotes = false;
+      } else {
+        cell += char;
+      }
+    } else if (char === '"') {
+      inQuotes = true;
+    } else if (char === ',') {
+      row.push(cell);
+      cell = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && text[i + 1] === '\n') i++;
+      row.push(cell);
+      rows.push(row);
+      row = [];
+      cell = '';
+    } else {
+      cell += char;
+    }
+  }
+  if (cell !== '' || row.length > 0) {
+    row.push(cell);
+    rows.push(row);
+  }
+  return rows;
+};
+
+const parseScheduleTime = (value, { allowEndOfDay = false } = {}) => {
+  const text = String(value).trim();
+  if (allowEndOfDay && text === '24:00') return DAY_MINUTES;
+  return timeStringToMinutes(text.padStart(5, '0'));
+};
+
+// "Mon Tue Wed", "Mon,Tue" or ranges like "Mon-Fri" / "Sun-Thu"
+const parseWorkdays = (value) => {
+  const dayIndex = (name) => WEEKDAY_LABELS.findIndex(label => label.toLowerCase() === name.slice(0, 3).toLowerCase());
+  const days = new Set();
+  const tokens = String(value).split(/[\s,;]+/).filter(Boolean);
+
+  for (const token of tokens) {
+    const [from, to] = token.split(/[-–]/);
+    const start = dayIndex(from);
+    const end = to === undefined ? start : dayIndex(to);
+    if (start === -1 || end === -1) return null;
+    for (let day = start; ; day = (day + 1) % 7) {
+      days.add(day);
+      if (day === end) break;
+    }
+  }
+  return [...days];
+};
+
+// Schedule from the CSV columns: null when all are empty (use the zone's
+// default), otherwise a schedule or an error
+const parseCsvSchedule = (cells) => {
+  const { work_start: start, work_end: end, workdays, lunch_start: lunchStart, lunch_end: lunchEnd } = cells;
+  if (![start, end, workdays, lunchStart, lunchEnd].some(Boolean)) return { schedule: null };
+  if (!start || !end || !workdays) {
+    return { error: { code: 'scheduleIncomplete' } };
+  }
+
+  const schedule = {
+    start: parseScheduleTime(start),
+    end: parseScheduleTime(end, { allowEndOfDay: true }),
+    workdays: parseWorkdays(workdays),
+    lunch: null
+  };
+  if (schedule.start === null || schedule.end === null) return { error: { code: 'scheduleTimeFormat' } };
+  if (schedule.workdays === null) return { error: { code: 'unknownWorkdays', params: { workdays } } };
+
+  if (lunchStart || lunchEnd) {
+    const lunch = { start: parseScheduleTime(lunchStart), end: parseScheduleTime(lunchEnd) };
+    if (lunch.start === null || lunch.end === null || lunch.start >= lunch.end) {
+      return { error: { code: 'invalidLunch' } };
+    }
+    schedule.lunch = lunch;
+  }
+
+  const valid = sanitizeSchedule(schedule);
+  return valid ? { schedule: valid } : { error: { code: 'emptyShift' } };
+};
+
+// Validate one imported clock. Zones are checked against the timezone
+// catalog, accepting legacy names (Asia/Calcutta) and canonicalising them.
+const parseClock = ({ label, timezone, notes, avatar, group, coordinates }, schedule) => {
+  const entry = typeof timezone === 'string' ? getTimezoneEntry(timezone.trim()) : null;
+  if (!timezone) return { error: { code: 'missingTimezone' } };
+  if (!entry) return { error: { code: 'unknownTimezone', params: { timezone } } };
+
+  const groupName = normalizeGroupName(group);
+  const clockCoordinates = sanitizeCoordinates(coordinates) || getZoneCoordinates(entry.value);
+  return {
+    clock: {
+      label: normalizeLabel(label) || entry.label,
+      timezone: entry.value,
+      ...(clockCoordinates && { coordinates: clockCoordinates }),
+      ...sanitizeClockDetails({ notes, avatar }),
+      ...(schedule && { schedule }),
+      ...(groupName && { groupName })
+    }
+  };
+};
+
+const parseCsvImport = (text) => {
+  const [header = [], ...rows] = parseCsv(text.replace(/^\uFEFF/, ''));
+  const columns = header.map(name => name.trim().toLowerCase());
+  if (!columns.includes('timezone')) {
+    return { clocks: [], settings: null, errors: [{ row: 1, code: 'missingTimezoneColumn' }] };
+  }
+
+  const clocks = [];
+  const errors = [];
+  rows.forEach((cells, index) => {
+    const row = index + 2; // 1-based, after the header
+    if (cells.every(cell => !cell.trim())) return;
+    const values = Object.fromEntries(columns.map((name, column) => [name, unescapeCsvCell((cells[column] || '').trim())]));
+
+    const { schedule, error: scheduleError } = parseCsvSchedule(values);
+    const { clock, error } = parseClock(values, schedule);
+    if (error || scheduleError) {
+      errors.push({ row, ...(error || scheduleError) });
+    } else {
+      clocks.push({ ...clock, row });
+    }
+  });
+  return { clocks, settings: null, errors };
+};
+
+const parseJsonImport = (text) => {
+  let data;
+  try {
+    data = JSON.parse(text);
+  } catch (error) {
+    return { clocks: [], settings: null, errors: [{ row: null, code: 'invalidJson', params: { details: error.message } }] };
+  }
+  // Also accept a bare array of clocks
+  const clockList = Array.isArray(data) ? data : data?.clocks;
+  if (!Array.isArray(clockList)) {
+    return { clocks: [], settings: null, errors: [{ row: null, code: 'noClockList' }] };
+  }
+
+  const clocks = [];
+  const errors = [];
+  clockList.forEach((item, index) => {
+    const row = index + 1;
+    if (!item || typeof item !== 'object') {
+      errors.push({ row, code: 'notAClock' });
+      return;
+    }
+    const schedule = item.schedule === undefined ? null : sanitizeSchedule(item.schedule);
+    if (item.schedule !== undefined && !schedule) {
+      errors.push({ row, code: 'invalidSchedule' });
+      return;
+    }
+    const { clock, error } = parseClock(item, schedule);
+    if (error) {
+      errors.push({ row, ...error });
+    } else {
+      clocks.push({ ...clock, row });
+    }
+  });
+
+  const hasSettings = !Array.isArray(data) && data.settings && typeof data.settings === 'object';
+  return { clocks, settings: hasSettings ? sanitizeSettings(data.settings) : null, errors };
+};
+
+// Parse an uploaded file; the format comes from the extension, falling back
+// to sniffing the content
+export const parseImportFile = (text, fileName = '') => {
+  const isJson = /\.json$/i.test(fileName) || (!/\.csv$/i.test(fileName) && /^\s*[[{]/.test(text));
+  return { format: isJson ? 'json' : 'csv', ...(isJson ? parseJsonImport(text) : parseCsvImport(text)) };
+};
+
+// ---- Applying an import ----
+
+// Merge or replace the current dashboard with parsed clocks. Group names are
+// matched case-insensitively against existing groups and created when new.
+// In merge mode clocks already on the dashboard (same zone and label) are
+// skipped; returns the new state plus how many clocks were skipped.
+export const applyImport = (current, imported, mode) => {
+  const replacing = mode === 'replace';
+  const groups = replacing ? [] : [...current.groups];
+  let clocks = replacing ? [] : [...current.clocks];
+  let nextId = Math.max(Date.now(), ...clocks.map(clock => clock.id + 1), ...groups.map(group => group.id + 1));
+  let skipped = 0;
+
+  const groupIdFor = (name) => {
+    const existing = groups.find(group => group.name.toLowerCase() === name.toLowerCase());
+    if (existing) return existing.id;
+    const group = { id: nextId++, name, collapsed: false };
+    groups.push(group);
+    return group.id;
+  };
+
+  imported.clocks.forEach(({ row, groupName, ...clock }) => {
+    if (hasDuplicateClock(clocks, clock.timezone, clock.label)) {
+      skipped += 1;
+      return;
+    }
+    clocks = [...clocks, {
+      ...clock,
+      id: nextId++,
+      ...(groupName && { groupId: groupIdFor(groupName) })
+    }];
+  });
+
+  return {
+    clocks,
+    groups,
+    settings: replacing && imported.settings ? { ...current.settings, ...imported.settings } : current.settings,
+    skipped
+  };
+};
+
+export const downloadFile = (content, fileName, mimeType) => {
+  const url = URL.createObjectURL(new Blob([content], { type: mimeType }));
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = fileName;
+  document.body.appendChild(link);
+  link.click();
+  document.body.removeChild(link);
+  URL.revokeObjectURL(url);
+};
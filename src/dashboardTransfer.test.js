@@ -0,0 +1,60 @@
+import { describe, expect, it } from 'vitest';
+import { exportDashboardCsv, parseCsv, parseImportFile } from './dashboardTransfer.js';
+
+const exportClocks = (clocks) => exportDashboardCsv({ clocks, groups: [] });
+
+describe('CSV export', () => {
+  it('writes a header and one row per clock', () => {
+    const csv = exportClocks([{ id: 1, label: 'London', timezone: 'Europe/London' }]);
+    expect(csv.split('\r\n')).toEqual([
+      'label,timezone,group,work_start,work_end,workdays,lunch_start,lunch_end,notes,avatar',
+      'London,Europe/London,,,,,,,,'
+    ]);
+  });
+
+  it('quotes cells with commas, quotes and line breaks', () => {
+    const csv = exportClocks([{ id: 1, label: 'Office, "HQ"', timezone: 'Europe/London', notes: 'line 1\nline 2' }]);
+    const [, row] = parseCsv(csv);
+    expect(row[0]).toBe('Office, "HQ"');
+    expect(row[8]).toBe('line 1\nline 2');
+  });
+
+  it.each(['=HYPERLINK("http://evil.example","x")', '+1+1', '-2+3', '@SUM(A1)', '\tcmd', '\rcmd'])(
+    'keeps %j from running as a formula',
+    (notes) => {
+      const [, row] = parseCsv(exportClocks([{ id: 1, label: 'London', timezone: 'Europe/London', notes }]));
+      expect(row[8]).toBe(`'${notes}`);
+    }
+  );
+});
+
+describe('CSV import', () => {
+  it('restores guarded cells to their original text', () => {
+    const clocks = [
+      { id: 1, label: '=Team', timezone: 'Europe/London', notes: '=HYPERLINK("http://evil.example","x")' },
+      { id: 2, label: '-Night shift', timezone: 'Asia/Tokyo', notes: '@ops' }
+    ];
+    const { clocks: imported, errors } = parseImportFile(exportClocks(clocks), 'clocks.csv');
+    expect(errors).toEqual([]);
+    expect(imported.map(({ label, notes }) => ({ label, notes }))).toEqual([
+      { label: '=Team', notes: '=HYPERLINK("http://evil.example","x")' },
+      { label: '-Night shift', notes: '@ops' }
+    ]);
+  });
+
+  it("leaves other apostrophes alone", () => {
+    const { clocks } = parseImportFile("label,timezone\n'Sam's desk,Europe/London\n", 'clocks.csv');
+    expect(clocks[0].label).toBe("'Sam's desk");
+  });
+});
+
+describe('import errors', () => {
+  it('reports problems as codes for the UI strings', () => {
+    const csv = 'label,timezone,work_start,work_end,workdays\nMars,Mars/Olympus\nBerlin,Europe/Berlin,09:00,17:00,Mon-Xyz\n';
+    expect(parseImportFile(csv, 'clocks.csv').errors).toEqual([
+      { row: 2, code: 'unknownTimezone', params: { timezone: 'Mars/Olympus' } },
+      { row: 3, code: 'unknownWorkdays', params: { workdays: 'Mon-Xyz' } }
+    ]);
+    expect(parseImportFile('{"settings":{}}', 'clocks.json').errors).toEqual([{ row: null, code: 'noClockList' }]);
+  });
+});
@@ -0,0 +1,133 @@
+import { _mergeOverride } from '@statsig/react-bindings';
+
+// Local overrides for the gates, experiments, layers, configs and parameter
+// stores the dashboard reads, so QA can see any variant without touching the
+// Statsig console. Overrides last for the browser session (sessionStorage) and
+// are applied through the client's overrideAdapter; overridden evaluations are
+// reported with the reason "LocalOverride".
+//
+// Available in development, or in builds with VITE_FLAG_OVERRIDES=true. The
+// panel opens with ?flags in the URL or Alt+Shift+F.
+
+const OVERRIDES_KEY = 'world_clock_flag_overrides';
+const PANEL_PARAM = 'flags';
+const LOCAL_OVERRIDE = 'LocalOverride';
+
+// Everything the dashboard reads, with the defaults passed in code. Keep in
+// step with the checkGate/get(...) calls in App.jsx.
+export const FLAG_CATALOG = {
+  gates: ['dark_theme', 'compact_layout', 'smooth_animations', 'enhanced_time_display', 'search_bar', 'sunlight_overlay'],
+  experiments: {
+    prominent_upgrade_icon: { style: { default: 'original', options: ['original', 'prominent'] } },
+    aa_dashboard_smoke_test: { aa_dummy: { default: 'same_value' } }
+  },
+  layers: {
+    homepage_layer: { tagline: { default: 'Keep track of time across the globe' } }
+  },
+  paramStores: {
+    dashboard_settings: { title: { default: 'World Clock Dashboard' } }
+  },
+  configs: {
+    upsell_banner: {
+      text: { default: null, type: 'string' },
+      backgroundColor: { default: '#a855f7' },
+      color: { default: 'white' },
+      fontSize: { default: 14 },
+      isCloseable: { default: true }
+    }
+  }
+};
+
+export const OVERRIDE_KINDS = ['gates', 'experiments', 'layers', 'paramStores', 'configs'];
+
+const EMPTY_OVERRIDES = Object.fromEntries(OVERRIDE_KINDS.map(kind => [kind, {}]));
+
+export const isFlagOverridesEnabled = () =>
+  import.meta.env.DEV || import.meta.env.VITE_FLAG_OVERRIDES === 'true';
+
+export const isFlagPanelRequested = () =>
+  isFlagOverridesEnabled() && new URLSearchParams(window.location.search).has(PANEL_PARAM);
+
+// Alt+Shift+F
+export const isFlagPanelShortcut = (event) =>
+  event.altKey && event.shiftKey && !event.ctrlKey && !event.metaKey && event.code === 'KeyF';
+
+const readOverrides = () => {
+  try {
+    const stored = JSON.parse(sessionStorage.getItem(OVERRIDES_KEY));
+    if (!stored || typeof stored !== 'object') return EMPTY_OVERRIDES;
+    return Object.fromEntries(OVERRIDE_KINDS.map(kind => [
+      kind,
+      stored[kind] && typeof stored[kind] === 'object' ? stored[kind] : {}
+    ]));
+  } catch {
+    return EMPTY_OVERRIDES;
+  }
+};
+
+// Read by the adapter on every evaluation
+let overrides = readOverrides();
+
+export const getFlagOverrides = () => overrides;
+
+const writeOverrides = (next) => {
+  overrides = next;
+  try {
+    sessionStorage.setItem(OVERRIDES_KEY, JSON.stringify(next));
+  } catch {
+    // Storage unavailable: the overrides still apply until the page reloads
+  }
+  return next;
+};
+
+// Override one gate (param is null) or one parameter; undefined removes it.
+// Returns the new overrides.
+export const setFlagOverride = (kind, name, param, value) => {
+  const forKind = { ...overrides[kind] };
+  if (kind === 'gates') {
+    if (value === undefined) delete forKind[name];
+    else forKind[name] = value;
+  } else {
+    const params = { ...forKind[name] };
+    if (value === undefined) delete params[param];
+    else params[param] = value;
+    if (Object.keys(params).length === 0) delete forKind[name];
+    else forKind[name] = params;
+  }
+  return writeOverrides({ ...overrides, [kind]: forKind });
+};
+
+export const clearFlagOverrides = () => writeOverrides(EMPTY_OVERRIDES);
+
+export const isOverridden = (kind, name, param = null) => {
+  const entry = overrides[kind][name];
+  return param === null ? entry !== undefined : Boolean(entry) && entry[param] !== undefined;
+};
+
+const withReason = (details) => ({ ...details, reason: LOCAL_OVERRIDE });
+
+const overrideValue = (current, params, valueKey) => {
+  if (!params) return null;
+  const value = { ...current[valueKey], ...params };
+  return _mergeOverride(current, { [valueKey]: value, details: withReason(current.details) }, value);
+};
+
+// Statsig OverrideAdapter backed by the session overrides
+export const createFlagOverrideAdapter = () => ({
+  getGateOverride: (current) => {
+    const value = overrides.gates[current.name];
+    return typeof value === 'boolean' ? { ...current, value, details: withReason(current.details) } : null;
+  },
+  getExperimentOverride: (current) => overrideValue(current, overrides.experiments[current.name], 'value'),
+  getDynamicConfigOverride: (current) => overrideValue(current, overrides.configs[current.name], 'value'),
+  getLayerOverride: (current) => overrideValue(current, overrides.layers[current.name], '__value'),
+  getParamStoreOverride: (current) => {
+    const params = overrides.paramStores[current.name];
+    if (!params) return null;
+    const config = { ...current.__configuration };
+    Object.entries(params).forEach(([param, value]) => {
+      config[param] = { ref_type: 'static', param_type: typeof value, value };
+    });
+    return { config, details: withReason(current.details) };
+  }
+});
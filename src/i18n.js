@@ -0,0 +1,104 @@
+import en from './locales/en.js';
+import de from './locales/de.js';
+import ja from './locales/ja.js';
+import ar from './locales/ar.js';
+
+// UI translations and locale-aware formatting. The formatting locale may be a
+// full tag (de-AT, ja-JP-u-ca-japanese); UI strings come from the catalog for
+// its language, falling back to English key by key.
+
+const CATALOGS = { en, de, ja, ar };
+
+export const SUPPORTED_LANGUAGES = Object.keys(CATALOGS);
+
+const RTL_LANGUAGES = new Set(['ar', 'he', 'fa', 'ur']);
+
+// Calendars offered in the picker; '' keeps the locale's own default
+export const CALENDARS = [
+  'gregory', 'islamic-umalqura', 'islamic-civil', 'persian', 'hebrew',
+  'japanese', 'buddhist', 'chinese', 'indian'
+];
+
+export const getBrowserLocale = () =>
+  (typeof navigator !== 'undefined' && navigator.language) || 'en-US';
+
+// Validated BCP 47 tag, or null if Intl doesn't accept it
+const canonicalizeLocale = (locale) => {
+  try {
+    return Intl.getCanonicalLocales(locale)[0] || null;
+  } catch {
+    return null;
+  }
+};
+
+// The locale to format with: the user's choice, or the browser language when
+// set to automatic ('')
+export const resolveLocale = (preference) =>
+  canonicalizeLocale(preference || getBrowserLocale()) || 'en-US';
+
+export const getLanguage = (locale) => locale.split('-')[0].toLowerCase();
+
+export const getTextDirection = (locale) => (RTL_LANGUAGES.has(getLanguage(locale)) ? 'rtl' : 'ltr');
+
+// Intl options for a calendar preference; '' leaves the locale default alone
+export const getCalendarOptions = (calendar) => (calendar ? { calendar } : {});
+
+// Clock face time in `timezone`, e.g. "09:05 PM" or "21:05:07"
+export const formatClockTime = (date, timezone, { locale, is24Hour = false, showSeconds = false }) =>
+  new Intl.DateTimeFormat(locale, {
+    timeZone: timezone,
+    hour12: !is24Hour,
+    hour: '2-digit',
+    minute: '2-digit',
+    ...(showSeconds && { second: '2-digit' })
+  }).format(date);
+
+// Long date in `timezone`, in the chosen calendar ('' for the locale's own)
+export const formatClockDate = (date, timezone, { locale, calendar = '' }) =>
+  new Intl.DateTimeFormat(locale, {
+    timeZone: timezone,
+    weekday: 'long',
+    year: 'numeric',
+    month: 'long',
+    day: 'numeric',
+    ...getCalendarOptions(calendar)
+  }).format(date);
+
+// Catalog entry for `key`. With a numeric `count` param, plural forms are
+// looked up first as 'key.one', 'key.other' (Intl.PluralRules categories).
+const lookup = (catalog, pluralRules, key, params) => {
+  const candidates = typeof params.count === 'number'
+    ? [`${key}.${pluralRules.select(params.count)}`, `${key}.other`, key]
+    : [key];
+  return candidates.map(candidate => catalog[candidate]).find(template => template !== undefined);
+};
+
+const EN_PLURAL_RULES = new Intl.PluralRules('en');
+
+// Translator for a locale: t('key', { name }) with {placeholder} substitution
+export const createTranslator = (locale) => {
+  const catalog = CATALOGS[getLanguage(locale)] || en;
+  const pluralRules = new Intl.PluralRules(locale);
+  return (key, params = {}) => {
+    const template = lookup(catalog, pluralRules, key, params) ?? lookup(en, EN_PLURAL_RULES, key, params) ?? key;
+    return template.replace(/\{(\w+)\}/g, (match, name) => (name in params ? String(params[name]) : match));
+  };
+};
+
+// A language's own name for itself ("Deutsch", "日本語"), for the picker
+export const getLanguageName = (language) => {
+  try {
+    return new Intl.DisplayNames([language], { type: 'language' }).of(language);
+  } catch {
+    return language;
+  }
+};
+
+// Localised calendar name ("Japanese Calendar", "Islamischer Kalender"), for the picker
+export const getCalendarName = (calendar, locale) => {
+  try {
+    return new Intl.DisplayNames([locale], { type: 'calendar' }).of(calendar);
+  } catch {
+    return calendar;
+  }
+};
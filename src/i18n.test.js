@@ -0,0 +1,76 @@
+import { describe, expect, it } from 'vitest';
+import { createTranslator, formatClockDate, formatClockTime } from './i18n.js';
+import en from './locales/en.js';
+import de from './locales/de.js';
+import ja from './locales/ja.js';
+import ar from './locales/ar.js';
+
+const INSTANT = new Date('2024-01-15T14:30:45Z');
+
+describe('formatClockTime', () => {
+  it('formats 12-hour time in the clock timezone', () => {
+    // ICU separates AM/PM with a narrow no-break space
+    expect(formatClockTime(INSTANT, 'America/New_York', { locale: 'en-US' })).toMatch(/^09:30\sAM$/);
+  });
+
+  it('formats 24-hour time with seconds', () => {
+    expect(formatClockTime(INSTANT, 'Asia/Tokyo', { locale: 'en-US', is24Hour: true, showSeconds: true }))
+      .toBe('23:30:45');
+  });
+
+  it('handles fractional offsets', () => {
+    expect(formatClockTime(INSTANT, 'Asia/Kathmandu', { locale: 'en-US', is24Hour: true })).toBe('20:15');
+  });
+
+  it('uses the locale', () => {
+    expect(formatClockTime(INSTANT, 'Europe/Berlin', { locale: 'de-DE', is24Hour: true })).toBe('15:30');
+  });
+});
+
+describe('formatClockDate', () => {
+  it('shows the date in the clock timezone, not UTC', () => {
+    expect(formatClockDate(INSTANT, 'Pacific/Kiritimati', { locale: 'en-US' })).toBe('Tuesday, January 16, 2024');
+    expect(formatClockDate(new Date('2024-01-15T03:00:00Z'), 'America/Los_Angeles', { locale: 'en-US' }))
+      .toBe('Sunday, January 14, 2024');
+  });
+
+  it('uses the chosen calendar', () => {
+    expect(formatClockDate(INSTANT, 'Asia/Tokyo', { locale: 'en-US', calendar: 'japanese' }))
+      .toBe('Monday, January 15, 6 Reiwa');
+  });
+
+  it('uses the locale', () => {
+    expect(formatClockDate(INSTANT, 'Europe/Berlin', { locale: 'de-DE' })).toBe('Montag, 15. Januar 2024');
+  });
+});
+
+describe('createTranslator', () => {
+  it('fills placeholders', () => {
+    expect(createTranslator('de-DE')('removeClock', { label: 'Tokyo' })).toBe('Tokyo entfernen');
+  });
+
+  it('picks the plural form for a count', () => {
+    const t = createTranslator('en-US');
+    expect(t('importAdded', { count: 1 })).toBe('Added 1 clock');
+    expect(t('importAdded', { count: 3 })).toBe('Added 3 clocks');
+    // Arabic has separate dual and few forms
+    const tAr = createTranslator('ar');
+    expect(tAr('importAdded', { count: 2 })).toBe('تمت إضافة ساعتين');
+    expect(tAr('importAdded', { count: 5 })).toBe('تمت إضافة 5 ساعات');
+    expect(tAr('importAdded', { count: 11 })).toBe('تمت إضافة 11 ساعة');
+  });
+
+  it('falls back to English for missing keys', () => {
+    expect(createTranslator('fr-FR')('save')).toBe('Save');
+  });
+});
+
+describe('catalogs', () => {
+  // Plural forms differ by language, so compare the keys without them
+  const baseKeys = (catalog) =>
+    [...new Set(Object.keys(catalog).map(key => key.replace(/\.(zero|one|two|few|many|other)$/, '')))].sort();
+
+  it.each([['de', de], ['ja', ja], ['ar', ar]])('%s translates every English key', (_, catalog) => {
+    expect(baseKeys(catalog)).toEqual(baseKeys(en));
+  });
+});
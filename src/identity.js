@@ -0,0 +1,116 @@
+// Who the dashboard reports to Statsig as. Every browser gets its own random,
+// stable anonymous ID; a host page with real sign-in can supply a userID and
+// email through signIn(), and the dashboard re-evaluates for that user.
+//
+// Debug overrides (window.statsigUser) are only read when the build sets
+// VITE_STATSIG_DEBUG_USER=true, so production visitors can't be bucketed
+// together by accident.
+
+const ANONYMOUS_ID_KEY = 'world_clock_user_id';
+const SIGNED_IN_KEY = 'world_clock_identity';
+const MAX_ID_LENGTH = 128;
+
+export const IDENTITY_STORAGE_KEYS = [ANONYMOUS_ID_KEY, SIGNED_IN_KEY];
+
+const listeners = new Set();
+
+const createAnonymousId = () => {
+  const random = typeof crypto !== 'undefined' && crypto.randomUUID
+    ? crypto.randomUUID()
+    : `${Date.now()}_${Math.random().toString(36).slice(2, 10)}`;
+  return `user_${random}`;
+};
+
+// The browser's anonymous ID, created on first use. Existing IDs are kept so
+// returning visitors stay in the same experiment groups.
+export const getAnonymousId = () => {
+  let id = localStorage.getItem(ANONYMOUS_ID_KEY);
+  if (!id) {
+    id = createAnonymousId();
+    localStorage.setItem(ANONYMOUS_ID_KEY, id);
+  }
+  return id;
+};
+
+const readSignedIn = () => {
+  try {
+    const stored = JSON.parse(localStorage.getItem(SIGNED_IN_KEY));
+    return stored && typeof stored.userID === 'string' ? stored : null;
+  } catch {
+    return null;
+  }
+};
+
+// { userID, email, anonymousID, isSignedIn }
+export const getIdentity = () => {
+  const anonymousID = getAnonymousId();
+  const signedIn = readSignedIn();
+  return {
+    userID: signedIn ? signedIn.userID : anonymousID,
+    email: signedIn ? signedIn.email || null : null,
+    anonymousID,
+    isSignedIn: Boolean(signedIn)
+  };
+};
+
+const notify = () => {
+  const identity = getIdentity();
+  listeners.forEach(listener => listener(identity));
+};
+
+// Sign-in hook for host pages: signIn({ userID, email? }). Throws on a
+// missing or oversized userID rather than silently falling back to anonymous.
+export const signIn = ({ userID, email = null } = {}) => {
+  const id = typeof userID === 'string' ? userID.trim() : '';
+  if (!id || id.length > MAX_ID_LENGTH) {
+    throw new Error('signIn needs a userID of 1–128 characters');
+  }
+  localStorage.setItem(SIGNED_IN_KEY, JSON.stringify({
+    userID: id,
+    email: typeof email === 'string' && email.trim() ? email.trim() : null
+  }));
+  notify();
+};
+
+export const signOut = () => {
+  if (!readSignedIn()) return;
+  localStorage.removeItem(SIGNED_IN_KEY);
+  notify();
+};
+
+// Called with the new identity after signIn/signOut; returns an unsubscribe
+export const onIdentityChange = (listener) => {
+  listeners.add(listener);
+  return () => listeners.delete(listener);
+};
+
+const isDebugUserEnabled = () => import.meta.env.VITE_STATSIG_DEBUG_USER === 'true';
+
+// Merge debug fields from window.statsigUser into a Statsig user (builds
+// with VITE_STATSIG_DEBUG_USER=true only). customIDs and custom are merged
+// key by key; other fields replace.
+export const applyDebugUserOverrides = (baseUser) => {
+  const overrides = isDebugUserEnabled() && typeof window !== 'undefined' ? window.statsigUser : null;
+  if (!overrides || typeof overrides !== 'object') {
+    return baseUser;
+  }
+
+  const { customIDs, custom, ...rest } = overrides;
+  const merged = { ...baseUser, ...rest };
+
+  if (customIDs && typeof customIDs === 'object') {
+    merged.customIDs = {
+      ...baseUser.customIDs,
+      ...customIDs,
+    };
+  }
+
+  if (custom && typeof custom === 'object') {
+    merged.custom = {
+      ...baseUser.custom,
+      ...custom,
+    };
+  }
+
+  return merged;
+};
@@ -0,0 +1,215 @@
+export default {
+  settings: 'الإعدادات',
+  language: 'اللغة',
+  languageAuto: 'لغة المتصفح ({locale})',
+  calendar: 'التقويم',
+  calendarDefault: 'تقويم اللغة الافتراضي',
+  format24Hour: 'نظام 24 ساعة',
+  showSeconds: 'عرض الثواني',
+  addClock: 'إضافة ساعة',
+  copyLink: 'نسخ الرابط',
+  linkCopied: 'تم نسخ الرابط',
+  copyFailed: 'تعذّر النسخ',
+  copyLinkTitle: 'نسخ رابط لهذه الساعات',
+  copyLinkPinnedTitle: 'نسخ رابط لهذه الساعات مثبّت على الوقت المختار',
+  upgrade: 'الترقية إلى Pro',
+  upgradeProminent: '🔥 قم بالترقية الآن – ميزات Pro!',
+  upgradeAlert: 'قم بالترقية إلى Premium! 🚀',
+
+  searchAddTimezone: 'البحث عن منطقة زمنية وإضافتها',
+  searchPlaceholder: 'اكتب للبحث عن المناطق الزمنية...',
+  selectTimezone: 'اختر المنطقة الزمنية',
+  chooseCity: 'اختر مدينة...',
+  popular: 'الأكثر استخدامًا',
+  add: 'إضافة',
+  customLabelPlaceholder: 'اسم مخصص (اختياري)، مثل: Alice – لشبونة',
+  customLabelAria: 'اسم مخصص للساعة الجديدة',
+  duplicateClock: 'توجد بالفعل ساعة باسم "{label}" لهذه المنطقة الزمنية. اختر اسمًا مختلفًا.',
+  duplicateLabel: 'ساعة أخرى في هذه المنطقة الزمنية تستخدم هذا الاسم بالفعل',
+
+  sortBy: 'الترتيب حسب',
+  'sortMode.manual': 'ترتيب مخصص',
+  'sortMode.offset': 'فرق التوقيت عن UTC',
+  'sortMode.label': 'الاسم',
+  'sortMode.localTime': 'الوقت المحلي',
+  newGroupPlaceholder: 'مجموعة جديدة، مثل APAC',
+  newGroupAria: 'اسم المجموعة الجديدة',
+  addGroup: 'إضافة مجموعة',
+  duplicateGroup: 'توجد بالفعل مجموعة باسم "{name}".',
+  groupName: 'اسم المجموعة',
+  renameGroup: 'إعادة تسمية المجموعة {name}',
+  deleteGroup: 'حذف المجموعة {name}',
+  deleteGroupTitle: 'حذف المجموعة (مع الاحتفاظ بساعاتها)',
+  ungrouped: 'بدون مجموعة',
+  dragClocksHere: 'اسحب الساعات إلى هنا',
+
+  reorderAria: 'إعادة ترتيب {label}. اسحب أو استخدم مفاتيح الأسهم.',
+  reorderTitle: 'اسحب أو استخدم مفاتيح الأسهم لإعادة الترتيب',
+  reorderDisabledTitle: 'انتقل إلى الترتيب المخصص لإعادة ترتيب الساعات',
+  reorderAnnouncement: 'تم نقل {label} إلى الموضع {position} من {total}',
+  editDetails: 'تعديل الاسم والملاحظات',
+  editWorkingHours: 'تعديل ساعات العمل',
+  removeClock: 'إزالة {label}',
+  dstForward: 'تُقدَّم الساعة {when}',
+  dstBack: 'تُؤخَّر الساعة {when}',
+  differenceAfterChange: 'اعتبارًا من {date}: {difference}',
+  daylightDetails: 'الشروق والغروب والشفق',
+  sunrise: 'الشروق',
+  sunset: 'الغروب',
+  solarNoon: 'الظهيرة الشمسية',
+  dayLength: 'طول النهار',
+  civilTwilight: 'الشفق المدني',
+  nauticalTwilight: 'الشفق البحري',
+  astronomicalTwilight: 'الشفق الفلكي',
+  midnightSun: 'شمس منتصف الليل – لا تغرب الشمس اليوم',
+  polarNight: 'الليل القطبي – لا تشرق الشمس اليوم',
+
+  sharedInvalid: 'تعذّرت قراءة هذا الرابط المشترك، لذا تُعرض لوحتك الخاصة.',
+  sharedViewing: 'أنت تعرض لوحة مشتركة. لن تُحفظ التغييرات ما لم تحتفظ بها.',
+  sharedKept: 'تم حفظ اللوحة المشتركة كلوحتك.',
+  sharedSkippedZones: 'تم تخطي مناطق زمنية لا يتعرف عليها هذا المتصفح: {zones}',
+  sharedKeep: 'الاحتفاظ بهذه اللوحة',
+  sharedKeepTitle: 'استبدال ساعاتك ومجموعاتك المحفوظة بهذه اللوحة',
+  sharedLeave: 'العودة إلى لوحتي',
+  dismiss: 'إغلاق',
+
+  sameTime: 'الوقت نفسه',
+  timeAhead: 'متقدّم {duration}',
+  timeBehind: 'متأخّر {duration}',
+  differenceTomorrow: '{difference}، غدًا',
+  differenceYesterday: '{difference}، أمس',
+
+  workingHours: 'ساعات العمل',
+  'schedulePreset.standard': 'الاثنين–الجمعة، 9:00–17:00',
+  'schedulePreset.sundayToThursday': 'الأحد–الخميس، 9:00–17:00',
+  'schedulePreset.alwaysOpen': 'على مدار الساعة',
+  'schedulePreset.custom': 'مخصص',
+  workStart: 'بداية ساعات العمل',
+  workEnd: 'نهاية ساعات العمل',
+  timeRangeTo: 'إلى',
+  nextDayShift: '(اليوم التالي)',
+  lunchBreak: 'استراحة الغداء',
+  lunchStart: 'بداية استراحة الغداء',
+  lunchEnd: 'نهاية استراحة الغداء',
+  resetSchedule: 'إعادة التعيين إلى الافتراضي لهذه المنطقة الزمنية',
+  'scheduleState.closed': 'مغلق',
+  'scheduleState.lunch': 'استراحة الغداء',
+  scheduleOpenAllDay: 'مفتوح على مدار الساعة',
+  'scheduleChangeIn.open': 'مفتوح · يُغلق بعد {duration}',
+  'scheduleChangeIn.closed': 'مغلق · يفتح بعد {duration}',
+  'scheduleChangeIn.lunch': 'استراحة الغداء · العودة بعد {duration}',
+  'scheduleChangeAt.open': 'مفتوح · يُغلق {when}',
+  'scheduleChangeAt.closed': 'مغلق · يفتح {when}',
+  'scheduleChangeAt.lunch': 'استراحة الغداء · العودة {when}',
+
+  labelRequired: 'لا يمكن ترك الاسم فارغًا',
+  labelPlaceholder: 'الاسم، مثل: Alice – لشبونة',
+  labelAria: 'اسم الساعة',
+  avatarAria: 'صورة رمزية أو رمز تعبيري',
+  notesPlaceholder: 'ملاحظات (اختياري)',
+  notesAria: 'ملاحظات',
+  groupLabel: 'المجموعة',
+  noGroup: 'بدون مجموعة',
+  save: 'حفظ',
+  cancel: 'إلغاء',
+
+  timeTravel: 'السفر عبر الزمن',
+  previewing: 'معاينة',
+  backToLive: 'العودة إلى الوقت الحالي',
+  localTime: 'الوقت المحلي',
+  timeTravelIn: 'بتوقيت',
+  hoursFromNow: 'ساعات من الآن',
+
+  importExport: 'استيراد / تصدير',
+  importFile: 'استيراد ملف…',
+  'importReady.one': 'ساعة واحدة جاهزة للاستيراد',
+  'importReady.two': 'ساعتان جاهزتان للاستيراد',
+  'importReady.few': '{count} ساعات جاهزة للاستيراد',
+  'importReady.other': '{count} ساعة جاهزة للاستيراد',
+  'importSkippedRows.one': '، تم تخطي صف واحد',
+  'importSkippedRows.two': '، تم تخطي صفين',
+  'importSkippedRows.few': '، تم تخطي {count} صفوف',
+  'importSkippedRows.other': '، تم تخطي {count} صف',
+  'importAdded.one': 'تمت إضافة ساعة واحدة',
+  'importAdded.two': 'تمت إضافة ساعتين',
+  'importAdded.few': 'تمت إضافة {count} ساعات',
+  'importAdded.other': 'تمت إضافة {count} ساعة',
+  'importReplaced.one': 'تم استبدال اللوحة بساعة واحدة',
+  'importReplaced.two': 'تم استبدال اللوحة بساعتين',
+  'importReplaced.few': 'تم استبدال اللوحة بـ {count} ساعات',
+  'importReplaced.other': 'تم استبدال اللوحة بـ {count} ساعة',
+  importAlreadyPresent: '({count} موجودة بالفعل في اللوحة)',
+  importErrorRow: 'الصف {row}: ',
+  importErrorClock: 'الساعة {row}: ',
+  importMerge: 'الدمج مع الساعات الحالية',
+  importReplace: 'استبدال الساعات الحالية',
+  importReplaceTitle: 'يستبدل الساعات والمجموعات',
+  importReplaceWithSettingsTitle: 'يستبدل الساعات والمجموعات والتفضيلات',
+  'importError.unreadable': 'تعذّرت قراءة الملف',
+  'importError.invalidJson': 'ليس JSON صالحًا: {details}',
+  'importError.noClockList': 'لم يتم العثور على قائمة "clocks"',
+  'importError.notAClock': 'ليس كائن ساعة',
+  'importError.missingTimezoneColumn': 'عمود "timezone" غير موجود',
+  'importError.missingTimezone': 'المنطقة الزمنية مفقودة',
+  'importError.unknownTimezone': 'منطقة زمنية غير معروفة "{timezone}"',
+  'importError.invalidSchedule': 'ساعات عمل غير صالحة',
+  'importError.scheduleIncomplete': 'تتطلب ساعات العمل الأعمدة work_start وwork_end وworkdays',
+  'importError.scheduleTimeFormat': 'يجب أن تكون ساعات العمل بصيغة HH:MM',
+  'importError.unknownWorkdays': 'أيام عمل غير معروفة "{workdays}"',
+  'importError.invalidLunch': 'يجب أن تكون استراحة الغداء نطاقًا صالحًا بصيغة HH:MM',
+  'importError.emptyShift': 'لا يمكن أن تتساوى بداية ساعات العمل ونهايتها',
+
+  meetingPlanner: 'مخطط الاجتماعات',
+  previousDay: 'اليوم السابق',
+  nextDay: 'اليوم التالي',
+  yourTime: 'وقتك',
+  plannerHourAm: '{hour}ص',
+  plannerHourPm: '{hour}م',
+  'plannerLegend.business': 'ساعات العمل',
+  'plannerLegend.off': 'خارج ساعات العمل',
+  'plannerLegend.night': 'الليل',
+  'slotCategory.business': 'ساعات العمل',
+  'slotCategory.off': 'خارج ساعات العمل',
+  'slotCategory.night': 'الليل',
+  bestOverlap: 'أفضل تداخل',
+  bestOverlapWindows: 'أفضل تداخل: {windows}',
+  noOverlap: 'لا تتداخل ساعات الاستيقاظ في هذا اليوم',
+  meetingTimeCopied: 'تم نسخ موعد الاجتماع إلى الحافظة',
+  meetingTime: 'موعد الاجتماع ({time})',
+
+  mapTitle: 'خريطة العالم مع ضوء الشمس',
+
+  plannerClocksChangeDay: 'يتغيّر التوقيت في هذا اليوم: {change}',
+  plannerClocksChangeHour: 'يتغيّر التوقيت في هذه الساعة',
+
+  mapClickHint: 'انقر في أي مكان على الخريطة لإضافة ساعة هناك',
+  mapDaytime: 'نهار',
+  mapNight: 'ليل',
+  mapNoTimezone: 'لا توجد منطقة زمنية لمدينة هنا',
+  mapAddClock: 'إضافة ساعة',
+
+  mapTimezoneLayer: 'المناطق الزمنية',
+
+  offline: 'غير متصل',
+  offlineHint: 'غير متصل – تستمر الساعات في العمل؛ {count} من عمليات رفع التحليلات في انتظار الإرسال',
+
+  privacy: 'الخصوصية',
+  consentTitle: 'هل تساعدنا في تحسين لوحة المعلومات؟',
+  consentBody: 'بإذنك نرسل تحليلات استخدام مجهولة الهوية إلى Statsig. يسجّل الالتقاط التلقائي النقرات ومشاهدات الصفحات، وتسجّل إعادة تشغيل الجلسة الشاشة مع إخفاء النص المكتوب. لا يُرسل شيء قبل اختيارك، ويمكنك تغييره في أي وقت من قسم الخصوصية.',
+  consentAcceptAll: 'السماح بالكل',
+  consentNecessaryOnly: 'الضروري فقط',
+  consentCustomize: 'اختيار…',
+  consentSave: 'حفظ الاختيارات',
+  consentSaved: 'تم حفظ اختيارات الخصوصية',
+  'consent.analytics': 'تحليلات الاستخدام',
+  'consent.analyticsHint': 'أحداث مثل إضافة ساعة، إضافة إلى تفاصيل المتصفح والشاشة',
+  'consent.autoCapture': 'الالتقاط التلقائي',
+  'consent.autoCaptureHint': 'النقرات ومشاهدات الصفحات والأداء، تُسجَّل تلقائيًا',
+  'consent.replay': 'إعادة تشغيل الجلسة',
+  'consent.replayHint': 'تسجيل للشاشة؛ يُخفى كل ما يُكتب',
+  deleteIdentifiers: 'حذف معرّفاتي المحلية',
+  deleteIdentifiersConfirm: 'حذف معرّفات المستخدم والجلسة والجهاز المخزنة في هذا المتصفح وإعادة التحميل؟ ستبقى ساعاتك وإعداداتك.',
+
+  footerLive: 'يتم تحديث الأوقات تلقائيًا كل ثانية',
+  footerTravel: 'معاينة وقت مختار – استخدم "{backToLive}" للعودة إلى التحديث المباشر'
+};
@@ -0,0 +1,207 @@
+export default {
+  settings: 'Einstellungen',
+  language: 'Sprache',
+  languageAuto: 'Browser-Standard ({locale})',
+  calendar: 'Kalender',
+  calendarDefault: 'Standard der Sprache',
+  format24Hour: '24-Stunden-Format',
+  showSeconds: 'Sekunden anzeigen',
+  addClock: 'Uhr hinzufügen',
+  copyLink: 'Link kopieren',
+  linkCopied: 'Link kopiert',
+  copyFailed: 'Kopieren fehlgeschlagen',
+  copyLinkTitle: 'Link zu diesen Uhren kopieren',
+  copyLinkPinnedTitle: 'Link zu diesen Uhren zum gewählten Zeitpunkt kopieren',
+  upgrade: 'Auf Pro upgraden',
+  upgradeProminent: '🔥 Jetzt upgraden – Pro-Funktionen!',
+  upgradeAlert: 'Auf Premium upgraden! 🚀',
+
+  searchAddTimezone: 'Zeitzone suchen & hinzufügen',
+  searchPlaceholder: 'Zeitzone suchen …',
+  selectTimezone: 'Zeitzone auswählen',
+  chooseCity: 'Stadt wählen …',
+  popular: 'Beliebt',
+  add: 'Hinzufügen',
+  customLabelPlaceholder: 'Eigene Bezeichnung (optional), z. B. Alice – Lissabon',
+  customLabelAria: 'Eigene Bezeichnung für die neue Uhr',
+  duplicateClock: 'Für diese Zeitzone gibt es bereits eine Uhr mit der Bezeichnung „{label}“. Bitte wähle eine andere Bezeichnung.',
+  duplicateLabel: 'Eine andere Uhr in dieser Zeitzone verwendet diese Bezeichnung bereits',
+
+  sortBy: 'Sortieren nach',
+  'sortMode.manual': 'Eigene Reihenfolge',
+  'sortMode.offset': 'UTC-Versatz',
+  'sortMode.label': 'Bezeichnung',
+  'sortMode.localTime': 'Ortszeit',
+  newGroupPlaceholder: 'Neue Gruppe, z. B. APAC',
+  newGroupAria: 'Name der neuen Gruppe',
+  addGroup: 'Gruppe hinzufügen',
+  duplicateGroup: 'Eine Gruppe namens „{name}“ existiert bereits.',
+  groupName: 'Gruppenname',
+  renameGroup: 'Gruppe {name} umbenennen',
+  deleteGroup: 'Gruppe {name} löschen',
+  deleteGroupTitle: 'Gruppe löschen (die Uhren bleiben erhalten)',
+  ungrouped: 'Ohne Gruppe',
+  dragClocksHere: 'Uhren hierher ziehen',
+
+  reorderAria: '{label} verschieben. Ziehen oder Pfeiltasten verwenden.',
+  reorderTitle: 'Zum Umsortieren ziehen oder Pfeiltasten verwenden',
+  reorderDisabledTitle: 'Zur eigenen Reihenfolge wechseln, um Uhren umzuordnen',
+  reorderAnnouncement: '{label} auf Position {position} von {total} verschoben',
+  editDetails: 'Bezeichnung und Notizen bearbeiten',
+  editWorkingHours: 'Arbeitszeiten bearbeiten',
+  removeClock: '{label} entfernen',
+  dstForward: 'Uhren werden {when} vorgestellt',
+  dstBack: 'Uhren werden {when} zurückgestellt',
+  differenceAfterChange: 'Ab {date}: {difference}',
+  daylightDetails: 'Sonnenaufgang, Sonnenuntergang und Dämmerung',
+  sunrise: 'Sonnenaufgang',
+  sunset: 'Sonnenuntergang',
+  solarNoon: 'Sonnenhöchststand',
+  dayLength: 'Tageslänge',
+  civilTwilight: 'Bürgerliche Dämmerung',
+  nauticalTwilight: 'Nautische Dämmerung',
+  astronomicalTwilight: 'Astronomische Dämmerung',
+  midnightSun: 'Mitternachtssonne – die Sonne geht heute nicht unter',
+  polarNight: 'Polarnacht – die Sonne geht heute nicht auf',
+
+  sharedInvalid: 'Dieser geteilte Link konnte nicht gelesen werden, daher wird dein eigenes Dashboard angezeigt.',
+  sharedViewing: 'Du siehst ein geteiltes Dashboard. Änderungen werden nur gespeichert, wenn du es übernimmst.',
+  sharedKept: 'Geteiltes Dashboard als dein Dashboard gespeichert.',
+  sharedSkippedZones: 'Übersprungene Zeitzonen, die dieser Browser nicht kennt: {zones}',
+  sharedKeep: 'Dashboard übernehmen',
+  sharedKeepTitle: 'Gespeicherte Uhren und Gruppen durch dieses Dashboard ersetzen',
+  sharedLeave: 'Zurück zu meinem Dashboard',
+  dismiss: 'Schließen',
+
+  sameTime: 'Gleiche Zeit',
+  timeAhead: '{duration} voraus',
+  timeBehind: '{duration} zurück',
+  differenceTomorrow: '{difference}, morgen',
+  differenceYesterday: '{difference}, gestern',
+
+  workingHours: 'Arbeitszeit',
+  'schedulePreset.standard': 'Mo–Fr, 9:00–17:00',
+  'schedulePreset.sundayToThursday': 'So–Do, 9:00–17:00',
+  'schedulePreset.alwaysOpen': 'Rund um die Uhr',
+  'schedulePreset.custom': 'Benutzerdefiniert',
+  workStart: 'Beginn der Arbeitszeit',
+  workEnd: 'Ende der Arbeitszeit',
+  timeRangeTo: 'bis',
+  nextDayShift: '(Folgetag)',
+  lunchBreak: 'Mittagspause',
+  lunchStart: 'Beginn der Mittagspause',
+  lunchEnd: 'Ende der Mittagspause',
+  resetSchedule: 'Auf Standard dieser Zeitzone zurücksetzen',
+  'scheduleState.closed': 'Geschlossen',
+  'scheduleState.lunch': 'Mittagspause',
+  scheduleOpenAllDay: 'Rund um die Uhr geöffnet',
+  'scheduleChangeIn.open': 'Geöffnet · schließt in {duration}',
+  'scheduleChangeIn.closed': 'Geschlossen · öffnet in {duration}',
+  'scheduleChangeIn.lunch': 'Mittagspause · zurück in {duration}',
+  'scheduleChangeAt.open': 'Geöffnet · schließt {when}',
+  'scheduleChangeAt.closed': 'Geschlossen · öffnet {when}',
+  'scheduleChangeAt.lunch': 'Mittagspause · zurück {when}',
+
+  labelRequired: 'Der Name darf nicht leer sein',
+  labelPlaceholder: 'Name, z. B. Alice – Lissabon',
+  labelAria: 'Name der Uhr',
+  avatarAria: 'Avatar oder Emoji',
+  notesPlaceholder: 'Notizen (optional)',
+  notesAria: 'Notizen',
+  groupLabel: 'Gruppe',
+  noGroup: 'Keine Gruppe',
+  save: 'Speichern',
+  cancel: 'Abbrechen',
+
+  timeTravel: 'Zeitreise',
+  previewing: 'Vorschau',
+  backToLive: 'Zurück zur Live-Zeit',
+  localTime: 'Ortszeit',
+  timeTravelIn: 'in',
+  hoursFromNow: 'Stunden ab jetzt',
+
+  importExport: 'Import / Export',
+  importFile: 'Datei importieren…',
+  'importReady.one': '{count} Uhr bereit zum Import',
+  'importReady.other': '{count} Uhren bereit zum Import',
+  'importSkippedRows.one': ', {count} Zeile übersprungen',
+  'importSkippedRows.other': ', {count} Zeilen übersprungen',
+  'importAdded.one': '{count} Uhr hinzugefügt',
+  'importAdded.other': '{count} Uhren hinzugefügt',
+  'importReplaced.one': 'Dashboard durch {count} Uhr ersetzt',
+  'importReplaced.other': 'Dashboard durch {count} Uhren ersetzt',
+  importAlreadyPresent: '({count} bereits auf dem Dashboard)',
+  importErrorRow: 'Zeile {row}: ',
+  importErrorClock: 'Uhr {row}: ',
+  importMerge: 'Mit aktuellen Uhren zusammenführen',
+  importReplace: 'Aktuelle Uhren ersetzen',
+  importReplaceTitle: 'Ersetzt Uhren und Gruppen',
+  importReplaceWithSettingsTitle: 'Ersetzt Uhren, Gruppen und Einstellungen',
+  'importError.unreadable': 'Die Datei konnte nicht gelesen werden',
+  'importError.invalidJson': 'Kein gültiges JSON: {details}',
+  'importError.noClockList': 'Keine „clocks“-Liste gefunden',
+  'importError.notAClock': 'Kein Uhr-Objekt',
+  'importError.missingTimezoneColumn': 'Spalte „timezone“ fehlt',
+  'importError.missingTimezone': 'Zeitzone fehlt',
+  'importError.unknownTimezone': 'Unbekannte Zeitzone „{timezone}“',
+  'importError.invalidSchedule': 'Ungültige Arbeitszeit',
+  'importError.scheduleIncomplete': 'Für die Arbeitszeit werden work_start, work_end und workdays benötigt',
+  'importError.scheduleTimeFormat': 'Arbeitszeiten müssen im Format HH:MM sein',
+  'importError.unknownWorkdays': 'Unbekannte Arbeitstage „{workdays}“',
+  'importError.invalidLunch': 'Die Mittagspause muss ein gültiger Zeitraum im Format HH:MM sein',
+  'importError.emptyShift': 'Beginn und Ende der Arbeitszeit dürfen nicht gleich sein',
+
+  meetingPlanner: 'Meeting-Planer',
+  previousDay: 'Vorheriger Tag',
+  nextDay: 'Nächster Tag',
+  yourTime: 'Ihre Zeit',
+  plannerHourAm: '{hour}a',
+  plannerHourPm: '{hour}p',
+  'plannerLegend.business': 'Arbeitszeit',
+  'plannerLegend.off': 'Außerhalb der Arbeitszeit',
+  'plannerLegend.night': 'Nacht',
+  'slotCategory.business': 'Arbeitszeit',
+  'slotCategory.off': 'außerhalb der Arbeitszeit',
+  'slotCategory.night': 'Nacht',
+  bestOverlap: 'Beste Überschneidung',
+  bestOverlapWindows: 'Beste Überschneidung: {windows}',
+  noOverlap: 'An diesem Tag überschneiden sich keine Wachzeiten',
+  meetingTimeCopied: 'Meeting-Zeit in die Zwischenablage kopiert',
+  meetingTime: 'Meeting-Zeit ({time})',
+
+  mapTitle: 'Weltkarte mit Tageslicht',
+
+  plannerClocksChangeDay: 'An diesem Tag wird die Uhr umgestellt: {change}',
+  plannerClocksChangeHour: 'Zeitumstellung in dieser Stunde',
+
+  mapClickHint: 'Klicken Sie auf die Karte, um dort eine Uhr hinzuzufügen',
+  mapDaytime: 'Tag',
+  mapNight: 'Nacht',
+  mapNoTimezone: 'Hier gibt es keine Stadt-Zeitzone',
+  mapAddClock: 'Uhr hinzufügen',
+
+  mapTimezoneLayer: 'Zeitzonen',
+
+  offline: 'Offline',
+  offlineHint: 'Offline – die Uhren laufen weiter; {count} Analyse-Uploads warten auf den Versand',
+
+  privacy: 'Datenschutz',
+  consentTitle: 'Möchten Sie uns helfen, das Dashboard zu verbessern?',
+  consentBody: 'Mit Ihrer Erlaubnis senden wir anonyme Nutzungsanalysen an Statsig. Auto-Capture erfasst Klicks und Seitenaufrufe; die Sitzungsaufzeichnung zeichnet den Bildschirm auf, eingegebener Text wird maskiert. Vor Ihrer Entscheidung wird nichts gesendet, und Sie können sie jederzeit unter Datenschutz ändern.',
+  consentAcceptAll: 'Alle erlauben',
+  consentNecessaryOnly: 'Nur notwendige',
+  consentCustomize: 'Auswählen…',
+  consentSave: 'Auswahl speichern',
+  consentSaved: 'Datenschutzeinstellungen gespeichert',
+  'consent.analytics': 'Nutzungsanalyse',
+  'consent.analyticsHint': 'Ereignisse wie das Hinzufügen einer Uhr sowie Browser- und Bildschirmdaten',
+  'consent.autoCapture': 'Auto-Capture',
+  'consent.autoCaptureHint': 'Klicks, Seitenaufrufe und Leistung, automatisch erfasst',
+  'consent.replay': 'Sitzungsaufzeichnung',
+  'consent.replayHint': 'Eine Aufzeichnung des Bildschirms; Eingaben werden maskiert',
+  deleteIdentifiers: 'Meine lokalen Kennungen löschen',
+  deleteIdentifiersConfirm: 'Die in diesem Browser gespeicherten Benutzer-, Sitzungs- und Gerätekennungen löschen und neu laden? Ihre Uhren und Einstellungen bleiben erhalten.',
+
+  footerLive: 'Die Uhrzeiten werden jede Sekunde aktualisiert',
+  footerTravel: 'Vorschau eines gewählten Zeitpunkts – mit „{backToLive}“ zur Live-Zeit zurückkehren'
+};
@@ -0,0 +1,209 @@
+// English UI strings. This is the reference catalog: every key used by the
+// dashboard must exist here, and other catalogs fall back to it.
+export default {
+  settings: 'Settings',
+  language: 'Language',
+  languageAuto: 'Browser default ({locale})',
+  calendar: 'Calendar',
+  calendarDefault: 'Locale default',
+  format24Hour: '24-hour format',
+  showSeconds: 'Show seconds',
+  addClock: 'Add Clock',
+  copyLink: 'Copy link',
+  linkCopied: 'Link copied',
+  copyFailed: 'Copy failed',
+  copyLinkTitle: 'Copy a link to these clocks',
+  copyLinkPinnedTitle: 'Copy a link to these clocks pinned at the chosen time',
+  upgrade: 'Upgrade to Pro',
+  upgradeProminent: '🔥 Upgrade Now – Pro Features!',
+  upgradeAlert: 'Upgrade to Premium! 🚀',
+
+  searchAddTimezone: 'Search & Add Timezone',
+  searchPlaceholder: 'Type to search timezones...',
+  selectTimezone: 'Select Timezone',
+  chooseCity: 'Choose a city...',
+  popular: 'Popular',
+  add: 'Add',
+  customLabelPlaceholder: 'Custom label (optional), e.g. Alice – Lisbon',
+  customLabelAria: 'Custom label for the new clock',
+  duplicateClock: 'A clock labelled "{label}" already exists for this timezone. Give it a different label.',
+  duplicateLabel: 'Another clock in this timezone already uses that label',
+
+  sortBy: 'Sort by',
+  'sortMode.manual': 'Custom order',
+  'sortMode.offset': 'UTC offset',
+  'sortMode.label': 'Label',
+  'sortMode.localTime': 'Local time',
+  newGroupPlaceholder: 'New group, e.g. APAC',
+  newGroupAria: 'New group name',
+  addGroup: 'Add group',
+  duplicateGroup: 'A group named "{name}" already exists.',
+  groupName: 'Group name',
+  renameGroup: 'Rename group {name}',
+  deleteGroup: 'Delete group {name}',
+  deleteGroupTitle: 'Delete group (its clocks are kept)',
+  ungrouped: 'Ungrouped',
+  dragClocksHere: 'Drag clocks here',
+
+  reorderAria: 'Reorder {label}. Drag, or use the arrow keys.',
+  reorderTitle: 'Drag or use arrow keys to reorder',
+  reorderDisabledTitle: 'Switch to custom order to rearrange clocks',
+  reorderAnnouncement: '{label} moved to position {position} of {total}',
+  editDetails: 'Edit label and notes',
+  editWorkingHours: 'Edit working hours',
+  removeClock: 'Remove {label}',
+  dstForward: 'Clocks go forward {when}',
+  dstBack: 'Clocks go back {when}',
+  differenceAfterChange: 'From {date}: {difference}',
+  daylightDetails: 'Sunrise, sunset and twilight',
+  sunrise: 'Sunrise',
+  sunset: 'Sunset',
+  solarNoon: 'Solar noon',
+  dayLength: 'Day length',
+  civilTwilight: 'Civil twilight',
+  nauticalTwilight: 'Nautical twilight',
+  astronomicalTwilight: 'Astronomical twilight',
+  midnightSun: 'Midnight sun – the sun doesn\'t set today',
+  polarNight: 'Polar night – the sun doesn\'t rise today',
+
+  sharedInvalid: "This shared link couldn't be read, so your own dashboard is shown.",
+  sharedViewing: "You're viewing a shared dashboard. Changes aren't saved unless you keep it.",
+  sharedKept: 'Shared dashboard saved as your dashboard.',
+  sharedSkippedZones: "Skipped timezones this browser doesn't recognise: {zones}",
+  sharedKeep: 'Keep this dashboard',
+  sharedKeepTitle: 'Replace your saved clocks and groups with this dashboard',
+  sharedLeave: 'Back to my dashboard',
+  dismiss: 'Dismiss',
+
+  sameTime: 'Same time',
+  timeAhead: '{duration} ahead',
+  timeBehind: '{duration} behind',
+  differenceTomorrow: '{difference}, tomorrow',
+  differenceYesterday: '{difference}, yesterday',
+
+  workingHours: 'Working hours',
+  'schedulePreset.standard': 'Mon–Fri, 9:00–17:00',
+  'schedulePreset.sundayToThursday': 'Sun–Thu, 9:00–17:00',
+  'schedulePreset.alwaysOpen': '24/7',
+  'schedulePreset.custom': 'Custom',
+  workStart: 'Start of working hours',
+  workEnd: 'End of working hours',
+  timeRangeTo: 'to',
+  nextDayShift: '(next day)',
+  lunchBreak: 'Lunch break',
+  lunchStart: 'Start of lunch break',
+  lunchEnd: 'End of lunch break',
+  resetSchedule: 'Reset to default for this timezone',
+  'scheduleState.closed': 'Closed',
+  'scheduleState.lunch': 'Lunch',
+  scheduleOpenAllDay: 'Open 24/7',
+  'scheduleChangeIn.open': 'Open · closes in {duration}',
+  'scheduleChangeIn.closed': 'Closed · opens in {duration}',
+  'scheduleChangeIn.lunch': 'Lunch · back in {duration}',
+  'scheduleChangeAt.open': 'Open · closes {when}',
+  'scheduleChangeAt.closed': 'Closed · opens {when}',
+  'scheduleChangeAt.lunch': 'Lunch · back {when}',
+
+  labelRequired: 'Label cannot be empty',
+  labelPlaceholder: 'Label, e.g. Alice – Lisbon',
+  labelAria: 'Clock label',
+  avatarAria: 'Avatar or emoji',
+  notesPlaceholder: 'Notes (optional)',
+  notesAria: 'Notes',
+  groupLabel: 'Group',
+  noGroup: 'No group',
+  save: 'Save',
+  cancel: 'Cancel',
+
+  timeTravel: 'Time Travel',
+  previewing: 'Previewing',
+  backToLive: 'Back to live',
+  localTime: 'Local time',
+  timeTravelIn: 'in',
+  hoursFromNow: 'Hours from now',
+
+  importExport: 'Import / export',
+  importFile: 'Import file…',
+  'importReady.one': '{count} clock ready to import',
+  'importReady.other': '{count} clocks ready to import',
+  'importSkippedRows.one': ', {count} row skipped',
+  'importSkippedRows.other': ', {count} rows skipped',
+  'importAdded.one': 'Added {count} clock',
+  'importAdded.other': 'Added {count} clocks',
+  'importReplaced.one': 'Replaced dashboard with {count} clock',
+  'importReplaced.other': 'Replaced dashboard with {count} clocks',
+  importAlreadyPresent: '({count} already on the dashboard)',
+  importErrorRow: 'Row {row}: ',
+  importErrorClock: 'Clock {row}: ',
+  importMerge: 'Merge with current clocks',
+  importReplace: 'Replace current clocks',
+  importReplaceTitle: 'Replaces clocks and groups',
+  importReplaceWithSettingsTitle: 'Replaces clocks, groups and preferences',
+  'importError.unreadable': 'The file could not be read',
+  'importError.invalidJson': 'Not valid JSON: {details}',
+  'importError.noClockList': 'No "clocks" list found',
+  'importError.notAClock': 'Not a clock object',
+  'importError.missingTimezoneColumn': 'Missing a "timezone" column',
+  'importError.missingTimezone': 'Missing timezone',
+  'importError.unknownTimezone': 'Unknown timezone "{timezone}"',
+  'importError.invalidSchedule': 'Invalid working hours',
+  'importError.scheduleIncomplete': 'Working hours need work_start, work_end and workdays',
+  'importError.scheduleTimeFormat': 'Working hours must be HH:MM',
+  'importError.unknownWorkdays': 'Unrecognised workdays "{workdays}"',
+  'importError.invalidLunch': 'Lunch break must be a valid HH:MM range',
+  'importError.emptyShift': 'Working hours start and end cannot be the same',
+
+  meetingPlanner: 'Meeting Planner',
+  previousDay: 'Previous day',
+  nextDay: 'Next day',
+  yourTime: 'Your time',
+  plannerHourAm: '{hour}a',
+  plannerHourPm: '{hour}p',
+  'plannerLegend.business': 'Working hours',
+  'plannerLegend.off': 'Off-hours',
+  'plannerLegend.night': 'Night',
+  'slotCategory.business': 'working hours',
+  'slotCategory.off': 'outside working hours',
+  'slotCategory.night': 'night',
+  bestOverlap: 'Best overlap',
+  bestOverlapWindows: 'Best overlap: {windows}',
+  noOverlap: 'No overlapping waking hours on this day',
+  meetingTimeCopied: 'Copied meeting time to clipboard',
+  meetingTime: 'Meeting time ({time})',
+
+  mapTitle: 'World Map with Sunlight',
+
+  plannerClocksChangeDay: 'Clocks change on this day: {change}',
+  plannerClocksChangeHour: 'clocks change this hour',
+
+  mapClickHint: 'Click anywhere on the map to add a clock there',
+  mapDaytime: 'Daytime',
+  mapNight: 'Night',
+  mapNoTimezone: 'No city timezone here',
+  mapAddClock: 'Add clock',
+
+  mapTimezoneLayer: 'Time zones',
+
+  offline: 'Offline',
+  offlineHint: 'Offline – clocks keep running; {count} analytics uploads waiting to send',
+
+  privacy: 'Privacy',
+  consentTitle: 'Help us improve the dashboard?',
+  consentBody: 'With your permission we send anonymous usage analytics to Statsig. Auto-capture records clicks and page views; session replay records the screen with typed text masked. Nothing is sent until you choose, and you can change this any time under Privacy.',
+  consentAcceptAll: 'Allow all',
+  consentNecessaryOnly: 'Necessary only',
+  consentCustomize: 'Choose…',
+  consentSave: 'Save choices',
+  consentSaved: 'Privacy choices saved',
+  'consent.analytics': 'Usage analytics',
+  'consent.analyticsHint': 'Events such as adding a clock, plus browser and screen details',
+  'consent.autoCapture': 'Auto-capture',
+  'consent.autoCaptureHint': 'Clicks, page views and performance, recorded automatically',
+  'consent.replay': 'Session replay',
+  'consent.replayHint': 'A recording of the screen; anything typed is masked',
+  deleteIdentifiers: 'Delete my local identifiers',
+  deleteIdentifiersConfirm: 'Delete the user, session and device IDs stored in this browser and reload? Your clocks and settings are kept.',
+
+  footerLive: 'Times update automatically every second',
+  footerTravel: 'Previewing a chosen time – use "{backToLive}" to resume live updates'
+};
@@ -0,0 +1,203 @@
+export default {
+  settings: '設定',
+  language: '言語',
+  languageAuto: 'ブラウザの既定 ({locale})',
+  calendar: '暦',
+  calendarDefault: 'ロケールの既定',
+  format24Hour: '24時間表示',
+  showSeconds: '秒を表示',
+  addClock: '時計を追加',
+  copyLink: 'リンクをコピー',
+  linkCopied: 'コピーしました',
+  copyFailed: 'コピーできませんでした',
+  copyLinkTitle: 'これらの時計へのリンクをコピー',
+  copyLinkPinnedTitle: '選択した日時に固定したリンクをコピー',
+  upgrade: 'Pro にアップグレード',
+  upgradeProminent: '🔥 今すぐアップグレード – Pro 機能!',
+  upgradeAlert: 'プレミアムにアップグレード! 🚀',
+
+  searchAddTimezone: 'タイムゾーンを検索して追加',
+  searchPlaceholder: 'タイムゾーンを検索…',
+  selectTimezone: 'タイムゾーンを選択',
+  chooseCity: '都市を選択…',
+  popular: 'よく使われる都市',
+  add: '追加',
+  customLabelPlaceholder: 'ラベル (任意)、例: Alice – リスボン',
+  customLabelAria: '新しい時計のラベル',
+  duplicateClock: 'このタイムゾーンには「{label}」というラベルの時計がすでにあります。別のラベルを付けてください。',
+  duplicateLabel: 'このタイムゾーンの別の時計がすでにこのラベルを使っています',
+
+  sortBy: '並べ替え',
+  'sortMode.manual': 'カスタム順',
+  'sortMode.offset': 'UTC との時差',
+  'sortMode.label': 'ラベル',
+  'sortMode.localTime': '現地時刻',
+  newGroupPlaceholder: '新しいグループ (例: APAC)',
+  newGroupAria: '新しいグループ名',
+  addGroup: 'グループを追加',
+  duplicateGroup: '「{name}」というグループはすでに存在します。',
+  groupName: 'グループ名',
+  renameGroup: 'グループ {name} の名前を変更',
+  deleteGroup: 'グループ {name} を削除',
+  deleteGroupTitle: 'グループを削除 (時計は残ります)',
+  ungrouped: 'グループなし',
+  dragClocksHere: 'ここに時計をドラッグ',
+
+  reorderAria: '{label} を並べ替え。ドラッグするか矢印キーを使用します。',
+  reorderTitle: 'ドラッグまたは矢印キーで並べ替え',
+  reorderDisabledTitle: '並べ替えるにはカスタム順に切り替えてください',
+  reorderAnnouncement: '{label} を {total} 件中 {position} 番目に移動しました',
+  editDetails: 'ラベルとメモを編集',
+  editWorkingHours: '勤務時間を編集',
+  removeClock: '{label} を削除',
+  dstForward: '{when}に時計が進みます',
+  dstBack: '{when}に時計が戻ります',
+  differenceAfterChange: '{date}以降: {difference}',
+  daylightDetails: '日の出・日の入り・薄明',
+  sunrise: '日の出',
+  sunset: '日の入り',
+  solarNoon: '南中時刻',
+  dayLength: '昼の長さ',
+  civilTwilight: '市民薄明',
+  nauticalTwilight: '航海薄明',
+  astronomicalTwilight: '天文薄明',
+  midnightSun: '白夜 – 今日は日が沈みません',
+  polarNight: '極夜 – 今日は日が昇りません',
+
+  sharedInvalid: '共有リンクを読み込めなかったため、自分のダッシュボードを表示しています。',
+  sharedViewing: '共有ダッシュボードを表示中です。保持しない限り変更は保存されません。',
+  sharedKept: '共有ダッシュボードを自分のダッシュボードとして保存しました。',
+  sharedSkippedZones: 'このブラウザが認識できないタイムゾーンをスキップしました: {zones}',
+  sharedKeep: 'このダッシュボードを保持',
+  sharedKeepTitle: '保存済みの時計とグループをこのダッシュボードで置き換えます',
+  sharedLeave: '自分のダッシュボードに戻る',
+  dismiss: '閉じる',
+
+  sameTime: '同じ時刻',
+  timeAhead: '{duration} 進んでいる',
+  timeBehind: '{duration} 遅れている',
+  differenceTomorrow: '{difference}、翌日',
+  differenceYesterday: '{difference}、前日',
+
+  workingHours: '勤務時間',
+  'schedulePreset.standard': '月–金、9:00–17:00',
+  'schedulePreset.sundayToThursday': '日–木、9:00–17:00',
+  'schedulePreset.alwaysOpen': '24時間年中無休',
+  'schedulePreset.custom': 'カスタム',
+  workStart: '勤務開始時刻',
+  workEnd: '勤務終了時刻',
+  timeRangeTo: '〜',
+  nextDayShift: '（翌日）',
+  lunchBreak: '昼休み',
+  lunchStart: '昼休みの開始時刻',
+  lunchEnd: '昼休みの終了時刻',
+  resetSchedule: 'このタイムゾーンの既定に戻す',
+  'scheduleState.closed': '勤務時間外',
+  'scheduleState.lunch': '昼休み',
+  scheduleOpenAllDay: '24時間対応',
+  'scheduleChangeIn.open': '勤務中 · あと {duration} で終了',
+  'scheduleChangeIn.closed': '勤務時間外 · あと {duration} で開始',
+  'scheduleChangeIn.lunch': '昼休み · あと {duration} で再開',
+  'scheduleChangeAt.open': '勤務中 · {when} に終了',
+  'scheduleChangeAt.closed': '勤務時間外 · {when} に開始',
+  'scheduleChangeAt.lunch': '昼休み · {when} に再開',
+
+  labelRequired: '名前を入力してください',
+  labelPlaceholder: '名前（例: Alice – リスボン）',
+  labelAria: '時計の名前',
+  avatarAria: 'アバターまたは絵文字',
+  notesPlaceholder: 'メモ（任意）',
+  notesAria: 'メモ',
+  groupLabel: 'グループ',
+  noGroup: 'グループなし',
+  save: '保存',
+  cancel: 'キャンセル',
+
+  timeTravel: 'タイムトラベル',
+  previewing: 'プレビュー中',
+  backToLive: 'ライブに戻る',
+  localTime: '現地時刻',
+  timeTravelIn: '基準:',
+  hoursFromNow: '現在からの時間',
+
+  importExport: 'インポート / エクスポート',
+  importFile: 'ファイルをインポート…',
+  'importReady.other': '{count} 件の時計をインポートできます',
+  'importSkippedRows.other': '、{count} 行をスキップ',
+  'importAdded.other': '{count} 件の時計を追加しました',
+  'importReplaced.other': 'ダッシュボードを {count} 件の時計で置き換えました',
+  importAlreadyPresent: '（{count} 件は既にダッシュボードにあります）',
+  importErrorRow: '{row} 行目: ',
+  importErrorClock: '時計 {row}: ',
+  importMerge: '現在の時計と統合',
+  importReplace: '現在の時計を置き換え',
+  importReplaceTitle: '時計とグループを置き換えます',
+  importReplaceWithSettingsTitle: '時計、グループ、設定を置き換えます',
+  'importError.unreadable': 'ファイルを読み込めませんでした',
+  'importError.invalidJson': '有効な JSON ではありません: {details}',
+  'importError.noClockList': '"clocks" リストが見つかりません',
+  'importError.notAClock': '時計のオブジェクトではありません',
+  'importError.missingTimezoneColumn': '"timezone" 列がありません',
+  'importError.missingTimezone': 'タイムゾーンがありません',
+  'importError.unknownTimezone': '不明なタイムゾーン "{timezone}"',
+  'importError.invalidSchedule': '勤務時間が無効です',
+  'importError.scheduleIncomplete': '勤務時間には work_start、work_end、workdays が必要です',
+  'importError.scheduleTimeFormat': '勤務時間は HH:MM 形式で指定してください',
+  'importError.unknownWorkdays': '認識できない勤務日 "{workdays}"',
+  'importError.invalidLunch': '昼休みは HH:MM 形式の有効な範囲で指定してください',
+  'importError.emptyShift': '勤務の開始時刻と終了時刻を同じにすることはできません',
+
+  meetingPlanner: '会議プランナー',
+  previousDay: '前の日',
+  nextDay: '次の日',
+  yourTime: 'あなたの時刻',
+  plannerHourAm: '午前{hour}',
+  plannerHourPm: '午後{hour}',
+  'plannerLegend.business': '勤務時間',
+  'plannerLegend.off': '勤務時間外',
+  'plannerLegend.night': '夜間',
+  'slotCategory.business': '勤務時間',
+  'slotCategory.off': '勤務時間外',
+  'slotCategory.night': '夜間',
+  bestOverlap: '最適な重なり',
+  bestOverlapWindows: '最適な重なり: {windows}',
+  noOverlap: 'この日は起きている時間が重なりません',
+  meetingTimeCopied: '会議の日時をクリップボードにコピーしました',
+  meetingTime: '会議の日時（{time}）',
+
+  mapTitle: '日照付き世界地図',
+
+  plannerClocksChangeDay: 'この日に時計が切り替わります: {change}',
+  plannerClocksChangeHour: 'この時間に時計が切り替わります',
+
+  mapClickHint: '地図をクリックすると、その場所に時計を追加できます',
+  mapDaytime: '昼',
+  mapNight: '夜',
+  mapNoTimezone: 'この場所には都市のタイムゾーンがありません',
+  mapAddClock: '時計を追加',
+
+  mapTimezoneLayer: 'タイムゾーン',
+
+  offline: 'オフライン',
+  offlineHint: 'オフライン – 時計は動き続けます。送信待ちの分析データ: {count} 件',
+
+  privacy: 'プライバシー',
+  consentTitle: 'ダッシュボードの改善にご協力いただけますか？',
+  consentBody: '許可いただいた場合、匿名の利用状況データを Statsig に送信します。自動収集はクリックとページ表示を記録し、セッションリプレイは入力内容を伏せた状態で画面を記録します。選択するまで何も送信されず、「プライバシー」からいつでも変更できます。',
+  consentAcceptAll: 'すべて許可',
+  consentNecessaryOnly: '必要なもののみ',
+  consentCustomize: '選択…',
+  consentSave: '選択を保存',
+  consentSaved: 'プライバシー設定を保存しました',
+  'consent.analytics': '利用状況の分析',
+  'consent.analyticsHint': '時計の追加などの操作と、ブラウザーや画面の情報',
+  'consent.autoCapture': '自動収集',
+  'consent.autoCaptureHint': 'クリック、ページ表示、パフォーマンスを自動で記録',
+  'consent.replay': 'セッションリプレイ',
+  'consent.replayHint': '画面の記録（入力内容は伏せられます）',
+  deleteIdentifiers: 'ローカルの識別子を削除',
+  deleteIdentifiersConfirm: 'このブラウザーに保存されたユーザー・セッション・端末の ID を削除して再読み込みしますか？時計と設定は残ります。',
+
+  footerLive: '時刻は毎秒自動で更新されます',
+  footerTravel: '選択した日時をプレビュー中です。「{backToLive}」でライブ表示に戻ります'
+};
@@ -2,6 +2,17 @@ import { StrictMode } from 'react'
 import { createRoot } from 'react-dom/client'
 import './index.css'
 import App from './App.jsx'
+import { registerServiceWorker } from './offline.js'
+import { startAnalyticsQueue } from './analyticsQueue.js'
+import { signIn, signOut } from './identity.js'
+
+// The service worker only exists in production builds
+if (import.meta.env.PROD) registerServiceWorker()
+startAnalyticsQueue()
+
+// Sign-in hook for pages embedding the dashboard behind their own login:
+// window.worldClockIdentity.signIn({ userID, email })
+window.worldClockIdentity = { signIn, signOut }
 
 createRoot(document.getElementById('root')).render(
   <StrictMode>
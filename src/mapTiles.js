@@ -0,0 +1,55 @@
+// Base layers for the world map. Raster sources are Leaflet URL templates; the
+// offline source is the bundled GeoJSON basemap and needs no network at all.
+//
+// Build-time configuration (Vite env):
+//   VITE_TILE_URL          self-hosted tile template, e.g. http://tiles.local/{z}/{x}/{y}.png
+//   VITE_TILE_ATTRIBUTION  attribution shown for it
+//   VITE_MAP_LAYER         default layer id: 'osm', 'local' or 'offline'
+//   VITE_TILE_CORS         'false' if the self-hosted server sends no CORS
+//                          headers (its tiles then aren't cached for offline use)
+// The default is the self-hosted server when one is configured, otherwise OSM.
+//
+// Tiles are requested with CORS so the service worker gets readable responses.
+// Opaque (no-CORS) responses count as several MB each against the storage
+// quota, so they are never cached.
+
+const env = import.meta.env || {};
+
+export const TILE_SOURCES = [
+  {
+    id: 'osm',
+    name: 'OpenStreetMap',
+    url: 'https://{s}.tile.openstreetmap.org/{z}/{x}/{y}.png',
+    attribution: '© OpenStreetMap contributors',
+    maxZoom: 19,
+    crossOrigin: true
+  },
+  ...(env.VITE_TILE_URL
+    ? [{
+        id: 'local',
+        name: 'Local tiles',
+        url: env.VITE_TILE_URL,
+        attribution: env.VITE_TILE_ATTRIBUTION || '',
+        maxZoom: 19,
+        crossOrigin: env.VITE_TILE_CORS !== 'false'
+      }]
+    : []),
+  {
+    id: 'offline',
+    name: 'Offline basemap',
+    url: null,
+    attribution: 'Natural Earth'
+  }
+];
+
+export const isTileSourceId = (id) => TILE_SOURCES.some(source => source.id === id);
+
+export const getDefaultTileSourceId = () => {
+  if (isTileSourceId(env.VITE_MAP_LAYER)) return env.VITE_MAP_LAYER;
+  return env.VITE_TILE_URL ? 'local' : 'osm';
+};
+
+// The source for a stored preference ('' or an id no longer configured falls
+// back to the default)
+export const getTileSource = (id) =>
+  TILE_SOURCES.find(source => source.id === (isTileSourceId(id) ? id : getDefaultTileSourceId()));
@@ -0,0 +1,100 @@
+import { getZonedParts, zonedTimeToDate, getLocalTimezone } from './timeOffsets.js';
+import { getClockSchedule, isWithinSchedule } from './workingHours.js';
+import { createTranslator } from './i18n.js';
+
+// Meeting planner grid: hourly slots covering one day in a reference zone
+// (23 or 25 of them on DST days), with each clock's local time classified as
+// business hours (from the clock's own schedule), off-hours or night.
+
+const HOUR_MS = 60 * 60 * 1000;
+
+export const WAKING_HOURS = { start: 7, end: 22 };
+
+// Slot categories and how much each one counts towards a good meeting time
+export const SLOT_WEIGHTS = {
+  business: 2,
+  off: 1,
+  night: 0
+};
+
+// Classify a slot by the wall time at its midpoint, so zones with
+// fractional offsets (e.g. 8:45–9:45) fall into the hour they mostly cover.
+export const classifySlot = (midpointParts, schedule) => {
+  if (isWithinSchedule(schedule, midpointParts)) return 'business';
+  const hour = midpointParts.hour + midpointParts.minute / 60;
+  if (hour >= WAKING_HOURS.start && hour < WAKING_HOURS.end) return 'off';
+  return 'night';
+};
+
+// Midnight of the day containing `date`, as seen in `timezone`
+export const getDayStart = (date, timezone = getLocalTimezone()) => {
+  const { year, month, day } = getZonedParts(date, timezone);
+  return zonedTimeToDate({ year, month, day }, timezone);
+};
+
+// Midnight `days` calendar days after the day containing `date`, in `timezone`.
+// Counts dates rather than adding 24 hours, which lands on the wrong day
+// across a DST change.
+export const addDays = (date, days, timezone = getLocalTimezone()) => {
+  const { year, month, day } = getZonedParts(date, timezone);
+  return zonedTimeToDate({ year, month, day: day + days }, timezone);
+};
+
+// One slot per hour from `dayStart` to the next midnight in `timezone`. A day
+// shortened by a half-hour change (Lord Howe) ends with a half-length slot.
+export const buildPlannerSlots = (clocks, dayStart, timezone = getLocalTimezone()) => {
+  const dayEnd = addDays(dayStart, 1, timezone);
+  const length = Math.ceil((dayEnd.getTime() - dayStart.getTime()) / HOUR_MS);
+  return Array.from({ length }, (_, index) => {
+    const time = new Date(dayStart.getTime() + index * HOUR_MS);
+    const midpoint = new Date(time.getTime() + HOUR_MS / 2);
+    const cells = clocks.map(clock => {
+      const parts = getZonedParts(time, clock.timezone);
+      const category = classifySlot(getZonedParts(midpoint, clock.timezone), getClockSchedule(clock));
+      return { clock, parts, category };
+    });
+    const score = cells.reduce((total, cell) => total + SLOT_WEIGHTS[cell.category], 0);
+    return { index, time, cells, score };
+  });
+};
+
+// Indexes of the highest-scoring slots. Returns nothing when no slot has any
+// clock awake, since highlighting the "least bad" night slot isn't useful.
+export const findBestSlots = (slots) => {
+  const bestScore = Math.max(0, ...slots.map(slot => slot.score));
+  if (bestScore === 0) return new Set();
+  return new Set(slots.filter(slot => slot.score === bestScore).map(slot => slot.index));
+};
+
+// Group consecutive slot indexes into { start, end } windows (end exclusive)
+export const groupWindows = (indexes) => {
+  const windows = [];
+  [...indexes].sort((a, b) => a - b).forEach(index => {
+    const last = windows[windows.length - 1];
+    if (last && last.end === index) {
+      last.end = index + 1;
+    } else {
+      windows.push({ start: index, end: index + 1 });
+    }
+  });
+  return windows;
+};
+
+// Plain-text summary of one slot in every zone, for pasting into invites
+export const formatSlotSummary = (slot, is24Hour, locale = 'en-US') => {
+  const t = createTranslator(locale);
+  const lines = slot.cells.map(({ clock, category }) => {
+    const formatted = new Intl.DateTimeFormat(locale, {
+      timeZone: clock.timezone,
+      weekday: 'short',
+      month: 'short',
+      day: 'numeric',
+      hour: 'numeric',
+      minute: '2-digit',
+      hour12: !is24Hour
+    }).format(slot.time);
+    return `${clock.label}: ${formatted} (${t(`slotCategory.${category}`)})`;
+  });
+
+  return [t('meetingTime', { time: slot.time.toISOString() }), ...lines].join('\n');
+};
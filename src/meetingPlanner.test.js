@@ -0,0 +1,73 @@
+import { describe, expect, it } from 'vitest';
+import { addDays, buildPlannerSlots, formatSlotSummary, getDayStart } from './meetingPlanner.js';
+import { getZonedParts } from './timeOffsets.js';
+
+const NEW_YORK = 'America/New_York';
+const clocks = [
+  { id: 1, label: 'New York', timezone: NEW_YORK },
+  { id: 2, label: 'London', timezone: 'Europe/London' }
+];
+
+const slotsFor = (isoDate, timezone) =>
+  buildPlannerSlots(clocks, getDayStart(new Date(`${isoDate}T12:00:00Z`), timezone), timezone);
+
+const localHours = (slots, timezone) => slots.map(slot => getZonedParts(slot.time, timezone).hour);
+
+describe('buildPlannerSlots', () => {
+  it('builds 24 slots on an ordinary day', () => {
+    const slots = slotsFor('2024-01-15', NEW_YORK);
+    expect(slots).toHaveLength(24);
+    expect(slots[0].time.toISOString()).toBe('2024-01-15T05:00:00.000Z');
+  });
+
+  it('builds 23 slots when clocks spring forward', () => {
+    const slots = slotsFor('2024-03-10', NEW_YORK);
+    expect(slots).toHaveLength(23);
+    expect(localHours(slots, NEW_YORK).slice(0, 4)).toEqual([0, 1, 3, 4]);
+    expect(localHours(slots, NEW_YORK).at(-1)).toBe(23);
+  });
+
+  it('builds 25 slots when clocks fall back', () => {
+    const slots = slotsFor('2024-11-03', NEW_YORK);
+    expect(slots).toHaveLength(25);
+    expect(localHours(slots, NEW_YORK).slice(0, 4)).toEqual([0, 1, 1, 2]);
+    expect(localHours(slots, NEW_YORK).at(-1)).toBe(23);
+  });
+
+  it('ends a day shortened by half an hour with a partial slot', () => {
+    // Lord Howe Island moves from UTC+10:30 to UTC+11 on 6 October 2024
+    const slots = slotsFor('2024-10-06', 'Australia/Lord_Howe');
+    expect(slots).toHaveLength(24);
+    expect(getZonedParts(slots.at(-1).time, 'Australia/Lord_Howe')).toMatchObject({ hour: 23, minute: 30 });
+  });
+});
+
+describe('addDays', () => {
+  it('steps by calendar day across DST changes', () => {
+    const fallBack = getDayStart(new Date('2024-11-03T12:00:00Z'), NEW_YORK);
+    expect(addDays(fallBack, 1, NEW_YORK).toISOString()).toBe('2024-11-04T05:00:00.000Z');
+    expect(addDays(fallBack, -1, NEW_YORK).toISOString()).toBe('2024-11-02T04:00:00.000Z');
+    // 24 hours after 00:30 on the 25-hour day is still the same date
+    expect(addDays(new Date('2024-11-03T04:30:00Z'), 1, NEW_YORK).toISOString()).toBe('2024-11-04T05:00:00.000Z');
+  });
+});
+
+describe('formatSlotSummary', () => {
+  const [slot] = slotsFor('2024-01-15', NEW_YORK).slice(9, 10);
+
+  it('lists the slot in every zone', () => {
+    expect(formatSlotSummary(slot, true)).toBe([
+      'Meeting time (2024-01-15T14:00:00.000Z)',
+      'New York: Mon, Jan 15, 09:00 (working hours)',
+      'London: Mon, Jan 15, 14:00 (working hours)'
+    ].join('\n'));
+  });
+
+  it('translates into the UI language', () => {
+    expect(formatSlotSummary(slot, true, 'de-DE').split('\n')).toEqual([
+      'Meeting-Zeit (2024-01-15T14:00:00.000Z)',
+      'New York: Mo., 15. Jan., 9:00 (Arbeitszeit)',
+      'London: Mo., 15. Jan., 14:00 (Arbeitszeit)'
+    ]);
+  });
+});
@@ -0,0 +1,31 @@
+import { useEffect, useState } from 'react';
+
+// Offline support: the service worker (built from src/serviceWorker.js by the
+// plugin in vite.config.js) precaches the app and caches map tiles; this hook
+// drives the offline indicator.
+
+export const registerServiceWorker = () => {
+  if (!('serviceWorker' in navigator)) return;
+  window.addEventListener('load', () => {
+    navigator.serviceWorker.register(`${import.meta.env.BASE_URL}sw.js`).catch(error => {
+      console.warn('Service worker registration failed', error);
+    });
+  });
+};
+
+// navigator.onLine, kept current
+export const useOnlineStatus = () => {
+  const [isOnline, setIsOnline] = useState(() => navigator.onLine);
+
+  useEffect(() => {
+    const update = () => setIsOnline(navigator.onLine);
+    window.addEventListener('online', update);
+    window.addEventListener('offline', update);
+    return () => {
+      window.removeEventListener('online', update);
+      window.removeEventListener('offline', update);
+    };
+  }, []);
+
+  return isOnline;
+};
@@ -0,0 +1,99 @@
+/* Service worker for offline use. Not part of the app bundle: the build emits
+ * it as /sw.js with PRECACHE filled in from the built files, so each build
+ * installs a fresh app cache.
+ *
+ * - App shell and assets: precached, served cache-first; page loads try the
+ *   network first so a new build is picked up when online.
+ * - Map tiles (any {z}/{x}/{y} image, including self-hosted servers): served
+ *   from cache and refreshed in the background, capped at MAX_TILES. Only
+ *   CORS responses are cached; browsers charge each opaque response several
+ *   MB of quota, enough to get the whole origin's storage evicted.
+ * - Everything else (Statsig requests) goes straight to the network.
+ */
+
+const PRECACHE = __PRECACHE_MANIFEST__;
+const APP_CACHE = `world-clock-app-${PRECACHE.version}`;
+// v2: the first tile cache also held opaque responses
+const TILE_CACHE = 'world-clock-tiles-v2';
+const MAX_TILES = 2000;
+
+const isTileRequest = (url) => /\/\d+\/\d+\/\d+(@2x)?\.(png|jpe?g|webp)$/.test(url.pathname);
+
+self.addEventListener('install', (event) => {
+  event.waitUntil(
+    caches.open(APP_CACHE)
+      .then(cache => cache.addAll(PRECACHE.files))
+      .then(() => self.skipWaiting())
+  );
+});
+
+self.addEventListener('activate', (event) => {
+  event.waitUntil(
+    caches.keys()
+      .then(keys => Promise.all(
+        keys
+          .filter(key => key.startsWith('world-clock-') && key !== APP_CACHE && key !== TILE_CACHE)
+          .map(key => caches.delete(key))
+      ))
+      .then(() => self.clients.claim())
+  );
+});
+
+// Drop the oldest tiles (cache keys keep insertion order) beyond the cap
+let tilesSinceTrim = 0;
+const trimTileCache = async (cache) => {
+  tilesSinceTrim += 1;
+  if (tilesSinceTrim < 50) return;
+  tilesSinceTrim = 0;
+  const keys = await cache.keys();
+  await Promise.all(keys.slice(0, Math.max(0, keys.length - MAX_TILES)).map(key => cache.delete(key)));
+};
+
+const handleTile = async (event) => {
+  const cache = await caches.open(TILE_CACHE);
+  const cached = await cache.match(event.request);
+  const refresh = fetch(event.request)
+    .then(async response => {
+      if (response.ok) {
+        await cache.put(event.request, response.clone());
+        await trimTileCache(cache);
+      }
+      return response;
+    });
+
+  if (cached) {
+    event.waitUntil(refresh.catch(() => {}));
+    return cached;
+  }
+  return refresh;
+};
+
+const handleNavigation = async (request) => {
+  try {
+    return await fetch(request);
+  } catch (error) {
+    const cache = await caches.open(APP_CACHE);
+    const shell = await cache.match(PRECACHE.shell);
+    if (shell) return shell;
+    throw error;
+  }
+};
+
+const handleAsset = async (request) => {
+  const cached = await caches.match(request);
+  return cached || fetch(request);
+};
+
+self.addEventListener('fetch', (event) => {
+  const { request } = event;
+  if (request.method !== 'GET') return;
+  const url = new URL(request.url);
+
+  if (request.mode === 'navigate') {
+    event.respondWith(handleNavigation(request));
+  } else if (isTileRequest(url)) {
+    event.respondWith(handleTile(event));
+  } else if (url.origin === self.location.origin) {
+    event.respondWith(handleAsset(request));
+  }
+});
@@ -0,0 +1,105 @@
+import { getTimezoneEntry } from './timezones.js';
+import { normalizeLabel } from './clockDetails.js';
+import { getZoneCoordinates } from './cityCoordinates.js';
+
+// Shareable dashboard links. The state lives in the URL hash (never sent to a
+// server) as base64url-encoded JSON in a compact, versioned array form:
+//   [version, flags, pinnedTimeSeconds, clocks]
+// flags: bit 0 = 24-hour format, bit 1 = show seconds. pinnedTimeSeconds is 0
+// when the link is live. Each clock is its zone ID, or [zoneId, label] when
+// the label differs from the catalog label.
+
+export const SHARE_VERSION = 1;
+const SHARE_HASH_KEY = 'dashboard';
+const FLAG_24_HOUR = 1;
+const FLAG_SHOW_SECONDS = 2;
+
+const toBase64Url = (text) => {
+  const bytes = new TextEncoder().encode(text);
+  let binary = '';
+  bytes.forEach(byte => { binary += String.fromCharCode(byte); });
+  return btoa(binary).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+};
+
+const fromBase64Url = (encoded) => {
+  const base64 = encoded.replace(/-/g, '+').replace(/_/g, '/');
+  const binary = atob(base64 + '='.repeat((4 - (base64.length % 4)) % 4));
+  return new TextDecoder().decode(Uint8Array.from(binary, char => char.charCodeAt(0)));
+};
+
+export const encodeDashboardState = ({ clocks, settings, travelTime = null }) => {
+  const flags = (settings.is24Hour ? FLAG_24_HOUR : 0) | (settings.showSeconds ? FLAG_SHOW_SECONDS : 0);
+  const pinned = travelTime ? Math.floor(travelTime.getTime() / 1000) : 0;
+  const compactClocks = clocks.map(({ timezone, label }) =>
+    getTimezoneEntry(timezone)?.label === label ? timezone : [timezone, label]
+  );
+  return toBase64Url(JSON.stringify([SHARE_VERSION, flags, pinned, compactClocks]));
+};
+
+// Decode a shared state. Returns { clocks, settings, travelTime, unknownZones }
+// or null when the payload is not a dashboard link this version understands.
+// Clocks in zones this browser doesn't know are skipped and reported.
+export const decodeDashboardState = (encoded) => {
+  let payload;
+  try {
+    payload = JSON.parse(fromBase64Url(encoded));
+  } catch {
+    return null;
+  }
+  if (!Array.isArray(payload) || payload[0] !== SHARE_VERSION) return null;
+
+  const [, flags, pinned, compactClocks] = payload;
+  if (!Number.isInteger(flags) || !Number.isFinite(pinned) || !Array.isArray(compactClocks)) return null;
+
+  const unknownZones = [];
+  const seen = new Set();
+  const clocks = [];
+  compactClocks.forEach((item, index) => {
+    const [timezone, customLabel] = Array.isArray(item) ? item : [item];
+    const entry = typeof timezone === 'string' ? getTimezoneEntry(timezone) : null;
+    if (!entry) {
+      unknownZones.push(String(timezone));
+      return;
+    }
+    const label = normalizeLabel(customLabel) || entry.label;
+    const key = `${entry.value}|${label.toLowerCase()}`;
+    if (seen.has(key)) return;
+    seen.add(key);
+    const coordinates = getZoneCoordinates(entry.value);
+    clocks.push({ id: Date.now() + index, label, timezone: entry.value, ...(coordinates && { coordinates }) });
+  });
+
+  if (clocks.length === 0) return null;
+
+  return {
+    clocks,
+    settings: {
+      is24Hour: Boolean(flags & FLAG_24_HOUR),
+      showSeconds: Boolean(flags & FLAG_SHOW_SECONDS)
+    },
+    travelTime: pinned > 0 ? new Date(pinned * 1000) : null,
+    unknownZones
+  };
+};
+
+export const buildShareUrl = (state, location = window.location) => {
+  const url = new URL(location.href);
+  url.hash = `${SHARE_HASH_KEY}=${encodeDashboardState(state)}`;
+  return url.toString();
+};
+
+// Shared state from the current URL, null if the page wasn't opened from a
+// link, or { invalid: true } for a link that can't be read
+export const readSharedDashboardFromUrl = (location = window.location) => {
+  const params = new URLSearchParams(location.hash.replace(/^#/, ''));
+  const encoded = params.get(SHARE_HASH_KEY);
+  if (!encoded) return null;
+  return decodeDashboardState(encoded) || { invalid: true };
+};
+
+// Drop the shared state from the address bar so a reload shows the saved dashboard
+export const clearSharedDashboardFromUrl = () => {
+  const url = new URL(window.location.href);
+  url.hash = '';
+  window.history.replaceState(window.history.state, '', url.toString());
+};
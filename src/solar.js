@@ -0,0 +1,155 @@
+import { getZonedParts, zonedTimeToDate } from './timeOffsets.js';
+
+// Solar position and sun times, shared by the world map overlay and the clock
+// cards. Accuracy is within a minute or two, which is fine for display.
+
+const rad = Math.PI / 180;
+const DAY_MS = 1000 * 60 * 60 * 24;
+const J2000 = Date.UTC(2000, 0, 1, 12, 0, 0); // J2000 epoch
+
+// Sun altitudes (degrees) that define each event. Sunrise/sunset use the upper
+// limb with standard refraction rather than the sun's centre at 0°.
+export const SUN_ALTITUDES = {
+  sunrise: -0.833,
+  civil: -6,
+  nautical: -12,
+  astronomical: -18
+};
+
+// Compute subsolar point (lat, lon) given a Date.
+// Uses simplified solar position approximations adequate for a day/night terminator.
+export function getSubsolarPoint(date) {
+  // Algorithm adapted from NOAA/USNO approximations; simplified for overlay purposes
+  const d = (date.getTime() - J2000) / DAY_MS; // days since J2000
+
+  // Mean longitude and anomaly (degrees)
+  const L = (280.460 + 0.9856474 * d) % 360; // mean longitude
+  const g = (357.528 + 0.9856003 * d) % 360; // mean anomaly
+
+  // Ecliptic longitude (degrees)
+  const lambda = L + 1.915 * Math.sin(g * rad) + 0.020 * Math.sin(2 * g * rad);
+
+  // Obliquity of the ecliptic (degrees)
+  const epsilon = 23.439 - 0.0000004 * d;
+
+  // Declination (degrees)
+  const sinDec = Math.sin(epsilon * rad) * Math.sin(lambda * rad);
+  const dec = Math.asin(sinDec) / rad;
+
+  // Right ascension (degrees)
+  const y = Math.cos(epsilon * rad) * Math.sin(lambda * rad);
+  const x = Math.cos(lambda * rad);
+  let ra = Math.atan2(y, x) / rad; // degrees
+  if (ra < 0) ra += 360;
+
+  // Greenwich Mean Sidereal Time (degrees)
+  const GMST = (280.46061837 + 360.98564736629 * d) % 360;
+
+  // Subsolar longitude (degrees East)
+  let lon = (ra - GMST) % 360;
+  if (lon > 180) lon -= 360;
+  if (lon < -180) lon += 360;
+
+  // Subsolar latitude is declination
+  const lat = dec;
+  return { lat, lon };
+}
+
+// Cosine of the sun's zenith angle at (lat, lon) for a given subsolar point:
+// > 0 means the sun is above the horizon.
+export const getCosZenith = (lat, lon, subsolar) =>
+  Math.sin(lat * rad) * Math.sin(subsolar.lat * rad) +
+  Math.cos(lat * rad) * Math.cos(subsolar.lat * rad) * Math.cos((lon - subsolar.lon) * rad);
+
+// Sun altitude above the horizon in degrees
+export const getSunAltitude = (lat, lon, date) => {
+  const cosZenith = getCosZenith(lat, lon, getSubsolarPoint(date));
+  return 90 - Math.acos(Math.max(-1, Math.min(1, cosZenith))) / rad;
+};
+
+// Degrees wrapped into (-180, 180]
+const wrapDegrees = (degrees) => {
+  const wrapped = ((degrees % 360) + 540) % 360 - 180;
+  return wrapped === -180 ? 180 : wrapped;
+};
+
+// Solar noon closest to `estimate`: the instant the subsolar longitude crosses `lon`.
+// The sun moves 360° west per day, so a few corrections converge to well under a minute.
+const getSolarNoon = (lon, estimate) => {
+  let noon = estimate.getTime();
+  for (let i = 0; i < 3; i++) {
+    const offset = wrapDegrees(getSubsolarPoint(new Date(noon)).lon - lon);
+    noon += (offset / 360) * DAY_MS;
+  }
+  return new Date(noon);
+};
+
+// Hour angle (degrees) at which the sun reaches `altitude`, or 'above' /
+// 'below' when it stays on one side of that altitude all day
+const getHourAngle = (lat, declination, altitude) => {
+  const cosH = (Math.sin(altitude * rad) - Math.sin(lat * rad) * Math.sin(declination * rad)) /
+    (Math.cos(lat * rad) * Math.cos(declination * rad));
+  if (cosH > 1) return 'below';
+  if (cosH < -1) return 'above';
+  return Math.acos(cosH) / rad;
+};
+
+// Morning and evening crossing of `altitude` around `noon`: { start, end },
+// with null times when the sun never crosses it that day
+const getCrossings = (lat, noon, altitude) => {
+  const declination = getSubsolarPoint(noon).lat;
+  const hourAngle = getHourAngle(lat, declination, altitude);
+  if (typeof hourAngle === 'string') return { start: null, end: null, always: hourAngle };
+  const shift = (hourAngle / 360) * DAY_MS;
+  return {
+    start: new Date(noon.getTime() - shift),
+    end: new Date(noon.getTime() + shift),
+    always: null
+  };
+};
+
+// Sun times for the calendar day containing `date` in `timezone`, at (lat, lon):
+// {
+//   solarNoon, sunrise, sunset, dayLengthMinutes,
+//   polar: 'day' | 'night' | null,   // midnight sun / polar night
+//   twilight: { civil, nautical, astronomical } each { dawn, dusk }
+// }
+// Event times are null when the sun doesn't cross that altitude that day.
+export const getSunTimes = ({ lat, lon }, date, timezone) => {
+  const { year, month, day } = getZonedParts(date, timezone);
+  const noon = getSolarNoon(lon, zonedTimeToDate({ year, month, day, hour: 12 }, timezone));
+
+  const sun = getCrossings(lat, noon, SUN_ALTITUDES.sunrise);
+  const twilight = Object.fromEntries(['civil', 'nautical', 'astronomical'].map(kind => {
+    const { start, end } = getCrossings(lat, noon, SUN_ALTITUDES[kind]);
+    return [kind, { dawn: start, dusk: end }];
+  }));
+
+  let dayLengthMinutes;
+  if (sun.always) {
+    dayLengthMinutes = sun.always === 'above' ? 24 * 60 : 0;
+  } else {
+    dayLengthMinutes = Math.round((sun.end.getTime() - sun.start.getTime()) / 60000);
+  }
+
+  return {
+    solarNoon: noon,
+    sunrise: sun.start,
+    sunset: sun.end,
+    dayLengthMinutes,
+    polar: sun.always === 'above' ? 'day' : sun.always === 'below' ? 'night' : null,
+    twilight
+  };
+};
+
+// Lighting phase for a sun elevation in degrees
+export const getTwilightPhase = (elevation) => {
+  if (elevation >= SUN_ALTITUDES.sunrise) return 'day';
+  if (elevation >= SUN_ALTITUDES.civil) return 'civil';
+  if (elevation >= SUN_ALTITUDES.nautical) return 'nautical';
+  if (elevation >= SUN_ALTITUDES.astronomical) return 'astronomical';
+  return 'night';
+};
+
+// Whether the sun is up at (lat, lon) at `date`
+export const isDaylight = ({ lat, lon }, date) => getCosZenith(lat, lon, getSubsolarPoint(date)) > 0;
@@ -0,0 +1,104 @@
+import { describe, expect, it } from 'vitest';
+import { getSubsolarPoint, getSunTimes, getTwilightPhase } from './solar.js';
+
+describe('getSubsolarPoint', () => {
+  it('is over the Tropic of Cancer at the June solstice', () => {
+    expect(getSubsolarPoint(new Date('2024-06-20T20:51:00Z')).lat).toBeCloseTo(23.44, 1);
+  });
+
+  it('is over the Tropic of Capricorn at the December solstice', () => {
+    expect(getSubsolarPoint(new Date('2024-12-21T09:21:00Z')).lat).toBeCloseTo(-23.44, 1);
+  });
+
+  it('is over the equator at the March equinox', () => {
+    expect(getSubsolarPoint(new Date('2024-03-20T03:06:00Z')).lat).toBeCloseTo(0, 1);
+  });
+
+  // At 12:00 UTC the sun is off the Greenwich meridian by the equation of time:
+  // about -9 minutes in mid-January (sun still east), +16 in early November (west)
+  it('follows the equation of time at noon UTC', () => {
+    expect(getSubsolarPoint(new Date('2024-01-15T12:00:00Z')).lon).toBeCloseTo(2.3, 0);
+    expect(getSubsolarPoint(new Date('2024-11-03T12:00:00Z')).lon).toBeCloseTo(-4.1, 0);
+  });
+
+  it('keeps the longitude within -180..180', () => {
+    const { lon } = getSubsolarPoint(new Date('2024-01-15T00:00:00Z'));
+    expect(lon).toBeGreaterThanOrEqual(-180);
+    expect(lon).toBeLessThanOrEqual(180);
+    expect(Math.abs(lon)).toBeCloseTo(177.7, 0);
+  });
+});
+
+const LONDON = { lat: 51.5074, lon: -0.1278 };
+const TROMSO = { lat: 69.6492, lon: 18.9553 };
+const AUCKLAND = { lat: -36.8485, lon: 174.7633 };
+
+// Within two minutes of the published (NOAA / timeanddate.com) time
+const expectNear = (actual, iso) => {
+  expect(actual).toBeInstanceOf(Date);
+  expect(Math.abs(actual.getTime() - new Date(iso).getTime())).toBeLessThan(2 * 60 * 1000);
+};
+
+describe('getSunTimes', () => {
+  it('gives London sunrise, sunset and twilight at the June solstice', () => {
+    const times = getSunTimes(LONDON, new Date('2024-06-21T12:00:00Z'), 'Europe/London');
+    expectNear(times.sunrise, '2024-06-21T03:43:00Z'); // 04:43 BST
+    expectNear(times.sunset, '2024-06-21T20:21:00Z'); // 21:21 BST
+    expectNear(times.solarNoon, '2024-06-21T12:02:00Z');
+    expectNear(times.twilight.civil.dawn, '2024-06-21T02:55:00Z');
+    expectNear(times.twilight.civil.dusk, '2024-06-21T21:09:00Z');
+    expect(times.dayLengthMinutes).toBeGreaterThan(995);
+    expect(times.dayLengthMinutes).toBeLessThan(1000);
+    expect(times.polar).toBeNull();
+    // The sun never gets 18° below the horizon in a London June
+    expect(times.twilight.astronomical).toEqual({ dawn: null, dusk: null });
+  });
+
+  it('gives roughly equal day and night at the March equinox', () => {
+    const times = getSunTimes(LONDON, new Date('2024-03-20T12:00:00Z'), 'Europe/London');
+    expectNear(times.sunrise, '2024-03-20T06:02:00Z');
+    expectNear(times.sunset, '2024-03-20T18:14:00Z');
+    expectNear(times.twilight.astronomical.dawn, '2024-03-20T04:08:00Z');
+    expectNear(times.twilight.astronomical.dusk, '2024-03-20T20:08:00Z');
+  });
+
+  it('reports the midnight sun in Tromsø in June', () => {
+    const times = getSunTimes(TROMSO, new Date('2024-06-21T12:00:00Z'), 'Europe/Oslo');
+    expect(times.polar).toBe('day');
+    expect(times.sunrise).toBeNull();
+    expect(times.sunset).toBeNull();
+    expect(times.dayLengthMinutes).toBe(24 * 60);
+    expect(times.twilight.civil).toEqual({ dawn: null, dusk: null });
+  });
+
+  it('reports the polar night in Tromsø in December, with twilight around noon', () => {
+    const times = getSunTimes(TROMSO, new Date('2024-12-21T12:00:00Z'), 'Europe/Oslo');
+    expect(times.polar).toBe('night');
+    expect(times.sunrise).toBeNull();
+    expect(times.sunset).toBeNull();
+    expect(times.dayLengthMinutes).toBe(0);
+    expectNear(times.twilight.civil.dawn, '2024-12-21T08:31:00Z');
+    expectNear(times.twilight.civil.dusk, '2024-12-21T12:53:00Z');
+  });
+
+  it('uses the calendar day in the given zone, not the UTC day', () => {
+    // 20:00 UTC on 21 June is already 08:00 on 22 June in Auckland
+    const times = getSunTimes(AUCKLAND, new Date('2024-06-21T20:00:00Z'), 'Pacific/Auckland');
+    expectNear(times.sunrise, '2024-06-21T19:34:00Z'); // 07:34 NZST on the 22nd
+    expectNear(times.sunset, '2024-06-22T05:12:00Z'); // 17:12 NZST on the 22nd
+    expectNear(times.solarNoon, '2024-06-22T00:23:00Z');
+  });
+});
+
+describe('getTwilightPhase', () => {
+  it.each([
+    [10, 'day'],
+    [-0.5, 'day'],
+    [-3, 'civil'],
+    [-9, 'nautical'],
+    [-15, 'astronomical'],
+    [-30, 'night']
+  ])('%f° is %s', (elevation, phase) => {
+    expect(getTwilightPhase(elevation)).toBe(phase);
+  });
+});
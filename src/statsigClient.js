@@ -0,0 +1,96 @@
+import { useEffect, useState } from 'react';
+import { StatsigClient } from '@statsig/react-bindings';
+import { isAllowed } from './consent.js';
+
+// Statsig client that never holds the dashboard hostage to the network.
+//
+// The client initialises synchronously from, in order of preference,
+// bootstrapped values, the values cached by the last session, or nothing (every
+// get(...) then returns the default passed in code). Fresh values are fetched
+// in the background and applied without dropping back to a loading state.
+// Only a first visit with nothing cached waits, and at most `timeoutMs`.
+//
+// Bootstrap values (a Statsig initialize response for this user) can be
+// embedded in the page as
+//   <script id="statsig-bootstrap" type="application/json">…</script>
+
+export const STATSIG_BOOT_TIMEOUT_MS = 1500;
+
+const readStatsigBootstrap = () => {
+  const element = typeof document !== 'undefined' && document.getElementById('statsig-bootstrap');
+  const text = element && element.textContent.trim();
+  return text || null;
+};
+
+export const useResilientStatsigClient = (sdkKey, initialUser, options, { timeoutMs = STATSIG_BOOT_TIMEOUT_MS } = {}) => {
+  const [{ client, user, hasValues }] = useState(() => {
+    const client = new StatsigClient(sdkKey, initialUser, options);
+    const bootstrap = readStatsigBootstrap();
+    if (bootstrap) {
+      try {
+        client.dataAdapter.setData(bootstrap);
+      } catch (error) {
+        console.warn('Ignoring unreadable Statsig bootstrap values', error);
+      }
+    }
+    const details = client.initializeSync({ disableBackgroundCacheRefresh: true });
+    return { client, user: initialUser, hasValues: details.source !== 'NoValues' };
+  });
+  const [isBooting, setIsBooting] = useState(!hasValues);
+
+  useEffect(() => {
+    let active = true;
+    const timer = setTimeout(() => setIsBooting(false), timeoutMs);
+
+    client.dataAdapter.prefetchData(user)
+      .then(() => {
+        // Re-read the now-updated cache; the client stays Ready throughout
+        if (active) client.updateUserSync(user, { disableBackgroundCacheRefresh: true });
+      })
+      .catch(error => console.warn('Statsig refresh failed; using cached or default values', error))
+      .finally(() => {
+        clearTimeout(timer);
+        if (active) setIsBooting(false);
+      });
+
+    return () => {
+      active = false;
+      clearTimeout(timer);
+    };
+  }, [client, user, timeoutMs]);
+
+  return { client, isBooting };
+};
+
+// Plugins are loaded only once their consent is given. They can't be unbound,
+// so withdrawing consent for a running plugin needs a page reload.
+const startedPlugins = new Set();
+
+const PLUGINS = {
+  autoCapture: async () => {
+    const { StatsigAutoCapturePlugin } = await import('@statsig/web-analytics');
+    return new StatsigAutoCapturePlugin();
+  },
+  // Recordings never include what is typed into inputs
+  replay: async () => {
+    const { StatsigSessionReplayPlugin } = await import('@statsig/session-replay');
+    return new StatsigSessionReplayPlugin({ rrwebConfig: { maskAllInputs: true } });
+  }
+};
+
+export const startConsentedPlugins = (client, consent) => {
+  Object.entries(PLUGINS).forEach(([category, createPlugin]) => {
+    if (!isAllowed(consent, category) || startedPlugins.has(category)) return;
+    startedPlugins.add(category);
+    createPlugin()
+      .then(plugin => plugin.bind(client))
+      .catch(error => {
+        startedPlugins.delete(category);
+        console.warn(`Could not start the ${category} plugin`, error);
+      });
+  });
+};
+
+// Whether `consent` withdraws a plugin that is already running
+export const needsReloadForConsent = (consent) =>
+  [...startedPlugins].some(category => !isAllowed(consent, category));
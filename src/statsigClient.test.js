@@ -0,0 +1,110 @@
+import { afterEach, beforeEach, describe, expect, it } from 'vitest';
+import { renderHook, waitFor } from '@testing-library/react';
+import { LogLevel } from '@statsig/react-bindings';
+import { useResilientStatsigClient } from './statsigClient.js';
+import { makeInitializeResponse, startMockStatsigServer } from './test/mockStatsigServer.js';
+
+const SDK_KEY = 'client-test-key';
+const USER = { userID: 'user_test' };
+
+let server;
+
+beforeEach(async () => {
+  server = await startMockStatsigServer();
+});
+
+afterEach(async () => {
+  document.getElementById('statsig-bootstrap')?.remove();
+  await server.close();
+});
+
+const renderClient = (timeoutMs = 1500) => renderHook(() => useResilientStatsigClient(
+  SDK_KEY,
+  USER,
+  // Failed requests are expected here; keep the SDK's own logging quiet
+  { networkConfig: { api: server.api }, disableLogging: true, logLevel: LogLevel.None },
+  { timeoutMs }
+));
+
+// Run a client against the server once so its values are in the cache
+const primeCache = async (gates) => {
+  server.gates = gates;
+  const { result, unmount } = renderClient();
+  await waitFor(() => expect(result.current.client.checkGate('dark_theme')).toBe(gates.dark_theme));
+  unmount();
+};
+
+describe('useResilientStatsigClient', () => {
+  it('waits for /initialize on a first visit', async () => {
+    server.gates = { dark_theme: true };
+    const { result } = renderClient();
+
+    expect(result.current.isBooting).toBe(true);
+    await waitFor(() => expect(result.current.isBooting).toBe(false));
+    expect(result.current.client.checkGate('dark_theme')).toBe(true);
+  });
+
+  it('starts from cached values without waiting', async () => {
+    await primeCache({ dark_theme: true });
+    server.delayMs = 10000;
+
+    const { result } = renderClient();
+    expect(result.current.isBooting).toBe(false);
+    expect(result.current.client.loadingStatus).toBe('Ready');
+    expect(result.current.client.checkGate('dark_theme')).toBe(true);
+  });
+
+  it('starts from bootstrapped values without waiting', () => {
+    const script = document.createElement('script');
+    script.id = 'statsig-bootstrap';
+    script.type = 'application/json';
+    script.textContent = makeInitializeResponse({ dark_theme: true }, USER);
+    document.body.appendChild(script);
+    server.delayMs = 10000;
+
+    const { result } = renderClient();
+    expect(result.current.isBooting).toBe(false);
+    expect(result.current.client.checkGate('dark_theme')).toBe(true);
+  });
+
+  it('stops waiting for a slow /initialize after the timeout', async () => {
+    server.delayMs = 10000;
+    const started = Date.now();
+    const { result } = renderClient(200);
+
+    expect(result.current.isBooting).toBe(true);
+    await waitFor(() => expect(result.current.isBooting).toBe(false));
+    expect(Date.now() - started).toBeLessThan(2000);
+    // Defaults from code until values arrive
+    expect(result.current.client.checkGate('dark_theme')).toBe(false);
+  });
+
+  it('keeps the cached values when the background refresh fails', async () => {
+    await primeCache({ dark_theme: true });
+    server.status = 400;
+    const requestsBefore = server.initializeRequests;
+
+    const { result } = renderClient();
+    await waitFor(() => expect(server.initializeRequests).toBe(requestsBefore + 1));
+    await new Promise(resolve => setTimeout(resolve, 50));
+
+    expect(result.current.isBooting).toBe(false);
+    expect(result.current.client.loadingStatus).toBe('Ready');
+    expect(result.current.client.checkGate('dark_theme')).toBe(true);
+  });
+
+  it('applies refreshed values in the background after a failed refresh', async () => {
+    await primeCache({ dark_theme: true });
+    server.status = 400;
+    const failed = renderClient();
+    await waitFor(() => expect(failed.result.current.isBooting).toBe(false));
+    failed.unmount();
+
+    server.status = 200;
+    server.gates = { dark_theme: false };
+    const { result } = renderClient();
+    expect(result.current.client.checkGate('dark_theme')).toBe(true);
+    await waitFor(() => expect(result.current.client.checkGate('dark_theme')).toBe(false));
+    expect(result.current.isBooting).toBe(false);
+  });
+});
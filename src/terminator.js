@@ -0,0 +1,100 @@
+import { SUN_ALTITUDES } from './solar.js';
+
+// Terminator geometry for the sunlight overlay. Everywhere the sun is below
+// elevation h lies within an angular radius of 90° + h around the antisolar
+// point, so each twilight band is the ring between two such circles. Rings are
+// returned as [lat, lon] rings that map layers project themselves, instead of
+// shading pixels.
+
+const rad = Math.PI / 180;
+
+// Band edges from sunrise down to astronomical night, in 1° steps so opacity
+// changes look continuous
+export const TWILIGHT_ELEVATIONS = [
+  SUN_ALTITUDES.sunrise,
+  ...Array.from({ length: -SUN_ALTITUDES.astronomical }, (_, i) => -(i + 1))
+];
+
+// Pole (90 or -90) inside the cap of angular `radius` (degrees, under 90)
+// around `center`, or null
+const getEnclosedPole = (center, radius) => {
+  if (90 - center.lat < radius) return 90;
+  if (90 + center.lat < radius) return -90;
+  return null;
+};
+
+// Points on the circle around a cap that encloses no pole, walked by bearing.
+// Such a circle never reaches the meridian opposite its centre, so longitudes
+// relative to the centre stay continuous without unwrapping.
+const getCirclePoints = (center, radius, steps) => {
+  const lat1 = center.lat * rad;
+  const distance = radius * rad;
+  const points = [];
+
+  for (let i = 0; i <= steps; i++) {
+    const bearing = (i / steps) * 2 * Math.PI;
+    const lat2 = Math.asin(
+      Math.sin(lat1) * Math.cos(distance) + Math.cos(lat1) * Math.sin(distance) * Math.cos(bearing)
+    );
+    const lon = center.lon + Math.atan2(
+      Math.sin(bearing) * Math.sin(distance) * Math.cos(lat1),
+      Math.cos(distance) - Math.sin(lat1) * Math.sin(lat2)
+    ) / rad;
+    points.push([lat2 / rad, lon]);
+  }
+  return points;
+};
+
+// Latitude where the meridian at `lon` crosses the circle of a cap enclosing
+// one pole. Solves cos(radius) = sin φ·sin c + cos φ·cos c·cos Δλ, which has
+// exactly one root in [-90°, 90°] when only one pole is inside.
+const getBoundaryLatitude = (center, radius, lon) => {
+  const a = Math.sin(center.lat * rad);
+  const b = Math.cos(center.lat * rad) * Math.cos((lon - center.lon) * rad);
+  const amplitude = Math.hypot(a, b);
+  const phase = Math.atan2(b, a);
+  const root = Math.asin(Math.max(-1, Math.min(1, Math.cos(radius * rad) / amplitude)));
+  const candidates = [root - phase, Math.PI - root - phase]
+    .map(lat => Math.atan2(Math.sin(lat), Math.cos(lat)));
+  const lat = candidates.find(value => Math.abs(value) <= Math.PI / 2 + 1e-9) ?? candidates[0];
+  return Math.max(-90, Math.min(90, lat / rad));
+};
+
+// Closed ring around everything within `radius` of `center`. A cap enclosing a
+// pole is traced meridian by meridian across a full 360° and closed along that
+// pole, which keeps it a simple polygon in longitude/latitude.
+export const getCapRing = (center, radius, steps = 180) => {
+  const pole = getEnclosedPole(center, radius);
+  if (pole === null) return getCirclePoints(center, radius, steps);
+
+  const points = [];
+  for (let i = 0; i <= steps; i++) {
+    const lon = center.lon - 180 + (i / steps) * 360;
+    points.push([getBoundaryLatitude(center, radius, lon), lon]);
+  }
+  points.push([pole, center.lon + 180], [pole, center.lon - 180]);
+  return points;
+};
+
+// Twilight bands for a subsolar point, lightest first:
+// [{ upper, lower, outer, inner }] where `outer` is the ring below `upper`
+// elevation and `inner` (the hole) the ring below `lower`. The last entry is
+// full night: lower = -90 and no hole.
+export const getTwilightBands = (subsolar, elevations = TWILIGHT_ELEVATIONS, steps = 180) => {
+  const antisolar = getAntisolarPoint(subsolar);
+  const rings = elevations.map(elevation => getCapRing(antisolar, 90 + elevation, steps));
+
+  return elevations.map((upper, index) => ({
+    upper,
+    lower: index + 1 < elevations.length ? elevations[index + 1] : -90,
+    outer: rings[index],
+    inner: rings[index + 1] || null
+  }));
+};
+
+// The point on Earth directly opposite the sun (local midnight, sun lowest)
+export const getAntisolarPoint = ({ lat, lon }) => ({ lat: -lat, lon: lon > 0 ? lon - 180 : lon + 180 });
+
+// Copies of a ring shifted by whole turns of longitude, so the overlay also
+// covers the neighbouring world copies shown while panning past ±180°
+export const shiftRing = (ring, turns) => ring.map(([lat, lon]) => [lat, lon + turns * 360]);
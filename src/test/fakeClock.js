@@ -0,0 +1,13 @@
+import { afterEach, beforeEach, vi } from 'vitest';
+
+// Freeze Date and timers at `isoTime` for every test in the calling suite.
+// Advance with vi.advanceTimersByTime().
+export const useFakeClock = (isoTime) => {
+  beforeEach(() => {
+    vi.useFakeTimers();
+    vi.setSystemTime(new Date(isoTime));
+  });
+  afterEach(() => {
+    vi.useRealTimers();
+  });
+};
@@ -0,0 +1,58 @@
+import { createServer } from 'node:http';
+
+// Local stand-in for the Statsig API. /initialize answers with the gates set
+// on the server, after `delayMs`, with `status`; every other endpoint (event
+// uploads) is accepted and ignored. Point a client at it with
+// networkConfig: { api: server.api }.
+
+// `user` is included in bootstrap values generated by a server SDK
+export const makeInitializeResponse = (gates = {}, user = undefined) => JSON.stringify({
+  feature_gates: Object.fromEntries(Object.entries(gates).map(([name, value]) => [name, {
+    name,
+    value,
+    rule_id: value ? 'on' : 'off',
+    id_type: 'userID',
+    secondary_exposures: []
+  }])),
+  dynamic_configs: {},
+  layer_configs: {},
+  time: Date.now(),
+  has_updates: true,
+  hash_used: 'none',
+  ...(user && { user })
+});
+
+export const startMockStatsigServer = async () => {
+  const pending = new Set();
+  const server = {
+    gates: {},
+    delayMs: 0,
+    status: 200,
+    initializeRequests: 0
+  };
+
+  const httpServer = createServer((request, response) => {
+    request.resume();
+    if (!request.url.startsWith('/v1/initialize')) {
+      response.writeHead(202, { 'Content-Type': 'application/json' });
+      response.end('{"success":true}');
+      return;
+    }
+    server.initializeRequests += 1;
+    const timer = setTimeout(() => {
+      pending.delete(timer);
+      response.writeHead(server.status, { 'Content-Type': 'application/json' });
+      response.end(server.status === 200 ? makeInitializeResponse(server.gates) : '{}');
+    }, server.delayMs);
+    pending.add(timer);
+  });
+
+  await new Promise(resolve => httpServer.listen(0, '127.0.0.1', resolve));
+  server.api = `http://127.0.0.1:${httpServer.address().port}/v1`;
+  server.close = () => new Promise(resolve => {
+    pending.forEach(clearTimeout);
+    httpServer.closeAllConnections();
+    httpServer.close(resolve);
+  });
+  return server;
+};
@@ -0,0 +1,12 @@
+import { afterEach } from 'vitest';
+import { cleanup } from '@testing-library/react';
+
+// Tests see the same wall clock everywhere: local time is UTC unless a test
+// passes a base timezone explicitly.
+process.env.TZ = 'UTC';
+
+afterEach(() => {
+  cleanup();
+  localStorage.clear();
+  sessionStorage.clear();
+});
@@ -0,0 +1,48 @@
+import React from 'react';
+import { vi } from 'vitest';
+import { StatsigProvider } from '@statsig/react-bindings';
+
+// Stand-in for StatsigClient with fixed values and no network. Anything not
+// given evaluates to the default passed in code, as a client with no values
+// would. Logged events are kept in `client.events`.
+//
+//   createStubStatsigClient({
+//     gates: { dark_theme: true },
+//     experiments: { prominent_upgrade_icon: { style: 'prominent' } },
+//     configs: { upsell_banner: { text: 'Upgrade' } },
+//     layers: {}, paramStores: {}
+//   })
+
+const makeGetter = (value = {}) => ({
+  value,
+  get: (param, fallback) => value[param] ?? fallback ?? null
+});
+
+export const createStubStatsigClient = ({
+  gates = {},
+  experiments = {},
+  layers = {},
+  configs = {},
+  paramStores = {}
+} = {}) => {
+  const listeners = new Map();
+  const events = [];
+  return {
+    loadingStatus: 'Ready',
+    events,
+    checkGate: vi.fn(name => Boolean(gates[name])),
+    getExperiment: vi.fn(name => makeGetter(experiments[name])),
+    getLayer: vi.fn(name => makeGetter(layers[name])),
+    getDynamicConfig: vi.fn(name => makeGetter(configs[name])),
+    getParameterStore: vi.fn(name => makeGetter(paramStores[name])),
+    logEvent: vi.fn((name, value, metadata) => events.push({ name, value, metadata })),
+    flush: vi.fn(() => Promise.resolve()),
+    updateUserAsync: vi.fn(() => Promise.resolve()),
+    $on: (event, listener) => listeners.set(listener, event),
+    off: (event, listener) => listeners.delete(listener)
+  };
+};
+
+export function StatsigTestProvider({ client, children }) {
+  return <StatsigProvider client={client}>{children}</StatsigProvider>;
+}
@@ -0,0 +1,181 @@
+import { createTranslator } from './i18n.js';
+
+// Minute-precision timezone offset helpers built on Intl.DateTimeFormat parts.
+// Works for fractional offsets (Kolkata +5:30, Kathmandu +5:45, Adelaide +9:30/+10:30)
+// and across DST transitions, because every calculation is for a specific instant.
+
+const MINUTE_MS = 60 * 1000;
+const DAY_MS = 24 * 60 * MINUTE_MS;
+// How far ahead to look for the next DST (or other offset) change
+const TRANSITION_SEARCH_DAYS = 366;
+
+const partsFormatters = new Map();
+
+// Formatters are expensive to create and these helpers run every second per clock
+const getPartsFormatter = (timezone) => {
+  if (!partsFormatters.has(timezone)) {
+    partsFormatters.set(timezone, new Intl.DateTimeFormat('en-US', {
+      timeZone: timezone,
+      hourCycle: 'h23',
+      year: 'numeric',
+      month: 'numeric',
+      day: 'numeric',
+      hour: 'numeric',
+      minute: 'numeric',
+      second: 'numeric'
+    }));
+  }
+  return partsFormatters.get(timezone);
+};
+
+export const getLocalTimezone = () => Intl.DateTimeFormat().resolvedOptions().timeZone;
+
+// Wall-clock fields of `date` as seen in `timezone`
+export const getZonedParts = (date, timezone) => {
+  const parts = {};
+  getPartsFormatter(timezone).formatToParts(date).forEach(({ type, value }) => {
+    if (type !== 'literal') parts[type] = Number(value);
+  });
+  // Some engines still report midnight as hour 24 even with h23
+  if (parts.hour === 24) parts.hour = 0;
+  return parts;
+};
+
+// UTC offset of `timezone` at `date`, in minutes east of UTC (e.g. +330 for Kolkata)
+export const getOffsetMinutes = (timezone, date = new Date()) => {
+  const { year, month, day, hour, minute, second } = getZonedParts(date, timezone);
+  const wallClockAsUtc = Date.UTC(year, month - 1, day, hour, minute, second);
+  const instant = Math.floor(date.getTime() / 1000) * 1000;
+  return Math.round((wallClockAsUtc - instant) / MINUTE_MS);
+};
+
+// How far `timezone` is ahead of `baseTimezone` at `date`, in minutes
+export const getOffsetDifferenceMinutes = (timezone, date = new Date(), baseTimezone = getLocalTimezone()) =>
+  getOffsetMinutes(timezone, date) - getOffsetMinutes(baseTimezone, date);
+
+// Calendar-day difference between the two zones at `date`: 1 = tomorrow, -1 = yesterday
+export const getDayDifference = (timezone, date = new Date(), baseTimezone = getLocalTimezone()) => {
+  const target = getZonedParts(date, timezone);
+  const base = getZonedParts(date, baseTimezone);
+  const targetDay = Date.UTC(target.year, target.month - 1, target.day);
+  const baseDay = Date.UTC(base.year, base.month - 1, base.day);
+  return Math.round((targetDay - baseDay) / DAY_MS);
+};
+
+const unitFormatters = new Map();
+
+const getUnitFormatter = (locale, unit) => {
+  const key = `${locale}|${unit}`;
+  if (!unitFormatters.has(key)) {
+    unitFormatters.set(key, new Intl.NumberFormat(locale, { style: 'unit', unit, unitDisplay: 'narrow' }));
+  }
+  return unitFormatters.get(key);
+};
+
+// "5h 30m", "45m", "3h" in English; "5 Std. 30 Min." in German
+export const formatDuration = (totalMinutes, locale = 'en-US') => {
+  const minutes = Math.abs(totalMinutes);
+  const hours = Math.floor(minutes / 60);
+  const remainder = minutes % 60;
+  const parts = [
+    hours > 0 && getUnitFormatter(locale, 'hour').format(hours),
+    (hours === 0 || remainder > 0) && getUnitFormatter(locale, 'minute').format(remainder)
+  ];
+  return parts.filter(Boolean).join(' ');
+};
+
+// "+5", "+5:30", "-9:30", "0" – used for compact offset labels and analytics
+export const formatOffset = (totalMinutes) => {
+  if (totalMinutes === 0) return '0';
+  const sign = totalMinutes > 0 ? '+' : '-';
+  const minutes = Math.abs(totalMinutes);
+  const hours = Math.floor(minutes / 60);
+  const remainder = minutes % 60;
+  return remainder === 0
+    ? `${sign}${hours}`
+    : `${sign}${hours}:${String(remainder).padStart(2, '0')}`;
+};
+
+// "5h 30m ahead", "3h behind" or "Same time", in the UI language of `locale`
+export const describeDifference = (diffMinutes, locale = 'en-US') => {
+  const t = createTranslator(locale);
+  if (diffMinutes === 0) return t('sameTime');
+  return t(diffMinutes > 0 ? 'timeAhead' : 'timeBehind', { duration: formatDuration(diffMinutes, locale) });
+};
+
+// Human-readable difference, e.g. "5h 30m ahead, tomorrow" or "Same time"
+export const getRelativeTime = (timezone, date = new Date(), baseTimezone = getLocalTimezone(), locale = 'en-US') => {
+  const diffMinutes = getOffsetDifferenceMinutes(timezone, date, baseTimezone);
+  const dayDiff = getDayDifference(timezone, date, baseTimezone);
+  const difference = describeDifference(diffMinutes, locale);
+
+  if (dayDiff === 0) return difference;
+  return createTranslator(locale)(dayDiff > 0 ? 'differenceTomorrow' : 'differenceYesterday', { difference });
+};
+
+// Instant at which the wall clock in `timezone` shows the given fields.
+// Wall times skipped by a DST jump move forward by the length of the jump
+// (02:30 on a spring-forward night is 03:30); wall times that occur twice
+// resolve to the first occurrence.
+export const zonedTimeToDate = ({ year, month, day, hour = 0, minute = 0, second = 0 }, timezone) => {
+  const wallClockAsUtc = Date.UTC(year, month - 1, day, hour, minute, second);
+  // The offsets in effect around this wall time: one, or two near a transition
+  const offsetBefore = getOffsetMinutes(timezone, new Date(wallClockAsUtc - DAY_MS));
+  const offsetAfter = getOffsetMinutes(timezone, new Date(wallClockAsUtc + DAY_MS));
+  const matches = [offsetBefore, offsetAfter]
+    .map(offset => wallClockAsUtc - offset * MINUTE_MS)
+    .filter(instant => getOffsetMinutes(timezone, new Date(instant)) * MINUTE_MS === wallClockAsUtc - instant)
+    .sort((a, b) => a - b);
+  return new Date(matches.length > 0 ? matches[0] : wallClockAsUtc - offsetBefore * MINUTE_MS);
+};
+
+const transitionCache = new Map();
+
+// Next change of `timezone`'s UTC offset after `date` (normally a DST
+// transition): { at, offsetBefore, offsetAfter } in minutes, or null if the
+// offset stays the same for the next year. Found by stepping a day at a time
+// and then bisecting to the minute; results are cached until they expire
+// because cards ask for them on every tick.
+export const getNextOffsetTransition = (timezone, date = new Date()) => {
+  const time = date.getTime();
+  const cached = transitionCache.get(timezone);
+  if (cached && time >= cached.from && time < cached.until) return cached.transition;
+
+  const start = Math.floor(time / MINUTE_MS) * MINUTE_MS;
+  const offsetBefore = getOffsetMinutes(timezone, new Date(start));
+  const offsetAt = (instant) => getOffsetMinutes(timezone, new Date(instant));
+  let transition = null;
+
+  for (let day = 1; day <= TRANSITION_SEARCH_DAYS && !transition; day++) {
+    let high = start + day * DAY_MS;
+    if (offsetAt(high) === offsetBefore) continue;
+
+    let low = high - DAY_MS;
+    while (high - low > MINUTE_MS) {
+      const mid = low + Math.floor((high - low) / MINUTE_MS / 2) * MINUTE_MS;
+      if (offsetAt(mid) === offsetBefore) low = mid;
+      else high = mid;
+    }
+    transition = { at: new Date(high), offsetBefore, offsetAfter: offsetAt(high) };
+  }
+
+  transitionCache.set(timezone, {
+    from: start,
+    until: transition ? transition.at.getTime() : start + TRANSITION_SEARCH_DAYS * DAY_MS,
+    transition
+  });
+  return transition;
+};
+
+// Next instant at which the difference between `timezone` and `baseTimezone`
+// changes because either zone changes offset: { at, minutesAfter } or null.
+// Zones that switch together (e.g. London and Paris) don't count.
+export const getNextDifferenceChange = (timezone, date = new Date(), baseTimezone = getLocalTimezone()) => {
+  const current = getOffsetDifferenceMinutes(timezone, date, baseTimezone);
+  return [timezone, baseTimezone]
+    .map(zone => getNextOffsetTransition(zone, date))
+    .filter(Boolean)
+    .sort((a, b) => a.at - b.at)
+    .map(({ at }) => ({ at, minutesAfter: getOffsetDifferenceMinutes(timezone, at, baseTimezone) }))
+    .find(change => change.minutesAfter !== current) || null;
+};
@@ -0,0 +1,163 @@
+import { describe, expect, it } from 'vitest';
+import {
+  describeDifference,
+  formatDuration,
+  formatOffset,
+  getDayDifference,
+  getNextOffsetTransition,
+  getOffsetDifferenceMinutes,
+  getOffsetMinutes,
+  getRelativeTime,
+  zonedTimeToDate
+} from './timeOffsets.js';
+
+const JANUARY = new Date('2024-01-15T14:30:00Z');
+
+describe('formatOffset', () => {
+  it.each([
+    [0, '0'],
+    [120, '+2'],
+    [330, '+5:30'],
+    [345, '+5:45'],
+    [-570, '-9:30'],
+    [-300, '-5']
+  ])('%i minutes is %s', (minutes, label) => {
+    expect(formatOffset(minutes)).toBe(label);
+  });
+});
+
+describe('formatDuration', () => {
+  it.each([
+    [45, '45m'],
+    [180, '3h'],
+    [330, '5h 30m'],
+    [-345, '5h 45m']
+  ])('%i minutes is %s', (minutes, label) => {
+    expect(formatDuration(minutes)).toBe(label);
+  });
+
+  it('uses the locale\'s unit names', () => {
+    expect(formatDuration(330, 'de-DE')).toBe('5 Std. 30 Min.');
+  });
+});
+
+describe('getOffsetDifferenceMinutes', () => {
+  it('compares two zones at an instant', () => {
+    expect(getOffsetDifferenceMinutes('Asia/Kolkata', JANUARY, 'Europe/London')).toBe(330);
+    expect(getOffsetDifferenceMinutes('America/New_York', JANUARY, 'Europe/London')).toBe(-300);
+  });
+
+  it('follows DST on either side', () => {
+    // New York has sprung forward, London hasn't yet
+    expect(getOffsetDifferenceMinutes('America/New_York', new Date('2024-03-20T12:00:00Z'), 'Europe/London')).toBe(-240);
+  });
+
+  it('defaults to the local timezone', () => {
+    expect(getOffsetDifferenceMinutes('Asia/Tokyo', JANUARY)).toBe(540);
+  });
+});
+
+describe('getDayDifference', () => {
+  it('reports tomorrow and yesterday', () => {
+    expect(getDayDifference('Pacific/Kiritimati', JANUARY, 'UTC')).toBe(1);
+    expect(getDayDifference('America/Los_Angeles', new Date('2024-01-15T03:00:00Z'), 'UTC')).toBe(-1);
+    expect(getDayDifference('Europe/Paris', JANUARY, 'UTC')).toBe(0);
+  });
+});
+
+describe('describeDifference / getRelativeTime', () => {
+  it('describes the difference', () => {
+    expect(describeDifference(0)).toBe('Same time');
+    expect(describeDifference(345)).toBe('5h 45m ahead');
+    expect(describeDifference(-180)).toBe('3h behind');
+  });
+
+  it('adds the day when it differs', () => {
+    expect(getRelativeTime('Pacific/Kiritimati', JANUARY, 'UTC')).toBe('14h ahead, tomorrow');
+    expect(getRelativeTime('Asia/Kolkata', JANUARY, 'UTC')).toBe('5h 30m ahead');
+  });
+
+  it('translates into the UI language', () => {
+    expect(describeDifference(0, 'de-DE')).toBe('Gleiche Zeit');
+    expect(describeDifference(-345, 'de-DE')).toBe('5 Std. 45 Min. zurück');
+    expect(getRelativeTime('Pacific/Kiritimati', JANUARY, 'UTC', 'ja-JP')).toBe('14h 進んでいる、翌日');
+  });
+});
+
+// 2024 transitions:
+//   New York   Mar 10 02:00 EST -> 03:00 EDT (07:00Z), Nov 3 02:00 EDT -> 01:00 EST (06:00Z)
+//   London     Mar 31 01:00 GMT -> 02:00 BST (01:00Z), Oct 27 02:00 BST -> 01:00 GMT (01:00Z)
+//   Lord Howe  Apr 7 02:00 +11 -> 01:30 +10:30 (Apr 6 15:00Z), Oct 6 02:00 +10:30 -> 02:30 +11 (Oct 5 15:30Z)
+//   Kathmandu  +5:45 all year
+const at = (iso) => new Date(iso);
+const wall = (year, month, day, hour, minute = 0) => ({ year, month, day, hour, minute });
+
+describe('getOffsetMinutes', () => {
+  it.each([
+    ['America/New_York', '2024-03-10T06:59:00Z', -300],
+    ['America/New_York', '2024-03-10T07:00:00Z', -240],
+    ['America/New_York', '2024-11-03T05:59:00Z', -240],
+    ['America/New_York', '2024-11-03T06:00:00Z', -300],
+    ['Europe/London', '2024-03-31T00:59:00Z', 0],
+    ['Europe/London', '2024-03-31T01:00:00Z', 60],
+    ['Europe/London', '2024-10-27T00:59:00Z', 60],
+    ['Europe/London', '2024-10-27T01:00:00Z', 0],
+    ['Australia/Lord_Howe', '2024-04-06T14:59:00Z', 660],
+    ['Australia/Lord_Howe', '2024-04-06T15:00:00Z', 630],
+    ['Australia/Lord_Howe', '2024-10-05T15:29:00Z', 630],
+    ['Australia/Lord_Howe', '2024-10-05T15:30:00Z', 660],
+    ['Asia/Kathmandu', '2024-01-15T12:00:00Z', 345],
+    ['Asia/Kathmandu', '2024-07-15T12:00:00Z', 345]
+  ])('%s at %s is %i', (timezone, iso, offset) => {
+    expect(getOffsetMinutes(timezone, at(iso))).toBe(offset);
+  });
+});
+
+describe('zonedTimeToDate', () => {
+  it('converts ordinary wall times', () => {
+    expect(zonedTimeToDate(wall(2024, 1, 15, 9), 'America/New_York')).toEqual(at('2024-01-15T14:00:00Z'));
+    expect(zonedTimeToDate(wall(2024, 7, 15, 9), 'Europe/London')).toEqual(at('2024-07-15T08:00:00Z'));
+    expect(zonedTimeToDate(wall(2024, 1, 15, 9), 'Asia/Kathmandu')).toEqual(at('2024-01-15T03:15:00Z'));
+  });
+
+  it('converts the hours either side of a transition', () => {
+    expect(zonedTimeToDate(wall(2024, 3, 10, 1, 59), 'America/New_York')).toEqual(at('2024-03-10T06:59:00Z'));
+    expect(zonedTimeToDate(wall(2024, 3, 10, 3), 'America/New_York')).toEqual(at('2024-03-10T07:00:00Z'));
+    expect(zonedTimeToDate(wall(2024, 10, 27, 2), 'Europe/London')).toEqual(at('2024-10-27T02:00:00Z'));
+  });
+
+  it('moves wall times skipped by spring-forward ahead by the jump', () => {
+    expect(zonedTimeToDate(wall(2024, 3, 10, 2, 30), 'America/New_York')).toEqual(at('2024-03-10T07:30:00Z'));
+    expect(zonedTimeToDate(wall(2024, 3, 31, 1, 30), 'Europe/London')).toEqual(at('2024-03-31T01:30:00Z'));
+    // Lord Howe only skips 30 minutes
+    expect(zonedTimeToDate(wall(2024, 10, 6, 2, 15), 'Australia/Lord_Howe')).toEqual(at('2024-10-05T15:45:00Z'));
+  });
+
+  it('picks the first of two repeated wall times at fall-back', () => {
+    expect(zonedTimeToDate(wall(2024, 11, 3, 1, 30), 'America/New_York')).toEqual(at('2024-11-03T05:30:00Z'));
+    expect(zonedTimeToDate(wall(2024, 10, 27, 1, 30), 'Europe/London')).toEqual(at('2024-10-27T00:30:00Z'));
+    expect(zonedTimeToDate(wall(2024, 4, 7, 1, 45), 'Australia/Lord_Howe')).toEqual(at('2024-04-06T14:45:00Z'));
+  });
+});
+
+describe('getNextOffsetTransition', () => {
+  it.each([
+    ['America/New_York', '2024-01-15T00:00:00Z', '2024-03-10T07:00:00Z', -300, -240],
+    ['America/New_York', '2024-04-01T00:00:00Z', '2024-11-03T06:00:00Z', -240, -300],
+    ['Europe/London', '2024-01-15T00:00:00Z', '2024-03-31T01:00:00Z', 0, 60],
+    ['Europe/London', '2024-04-01T00:00:00Z', '2024-10-27T01:00:00Z', 60, 0],
+    ['Australia/Lord_Howe', '2024-01-15T00:00:00Z', '2024-04-06T15:00:00Z', 660, 630],
+    ['Australia/Lord_Howe', '2024-05-01T00:00:00Z', '2024-10-05T15:30:00Z', 630, 660]
+  ])('%s after %s is at %s', (timezone, from, expected, offsetBefore, offsetAfter) => {
+    expect(getNextOffsetTransition(timezone, at(from))).toEqual({ at: at(expected), offsetBefore, offsetAfter });
+  });
+
+  it('finds the transition a minute before it happens', () => {
+    expect(getNextOffsetTransition('America/New_York', at('2024-03-10T06:59:00Z')).at)
+      .toEqual(at('2024-03-10T07:00:00Z'));
+  });
+
+  it('is null for a zone without DST', () => {
+    expect(getNextOffsetTransition('Asia/Kathmandu', at('2024-01-15T00:00:00Z'))).toBeNull();
+  });
+});
@@ -0,0 +1,56 @@
+import tzlookup from '@photostructure/tz-lookup';
+import { getTimezoneEntry } from './timezones.js';
+
+// Offline point-in-timezone lookup. tz-lookup bundles a compressed grid of the
+// timezone boundaries (~70 KB), so no request leaves the browser.
+
+// Wrap longitudes from a panned world copy (e.g. 200°) back into [-180, 180)
+const wrapLongitude = (lon) => ((((lon + 180) % 360) + 360) % 360) - 180;
+
+// Catalog entry for the zone at (lat, lon), or null over open ocean (Etc/GMT±N)
+// or for coordinates tz-lookup rejects
+export const getTimezoneAt = (lat, lon) => {
+  try {
+    return getTimezoneEntry(tzlookup(lat, wrapLongitude(lon)));
+  } catch {
+    return null;
+  }
+};
+
+// Mercator can't show the poles, so the region grid stops short of them
+const REGION_LAT_LIMIT = 85;
+const regionCache = new Map();
+
+// Approximate zone regions from the same data, sampled at the centre of each
+// `cellSize`° grid cell: [{ timezone, cells: [[south, west, north, east]] }].
+// Runs of same-zone cells along a row are merged into one rectangle. Open
+// ocean comes back as the nominal Etc/GMT±N offset bands. Cached per size.
+export const getTimezoneRegions = (cellSize = 1) => {
+  if (regionCache.has(cellSize)) return regionCache.get(cellSize);
+
+  const regions = new Map();
+  const addCell = (timezone, cell) => {
+    if (!regions.has(timezone)) regions.set(timezone, { timezone, cells: [] });
+    regions.get(timezone).cells.push(cell);
+  };
+
+  for (let south = -REGION_LAT_LIMIT; south < REGION_LAT_LIMIT; south += cellSize) {
+    const north = Math.min(south + cellSize, REGION_LAT_LIMIT);
+    const lat = (south + north) / 2;
+    let run = null;
+    for (let west = -180; west < 180; west += cellSize) {
+      const timezone = tzlookup(lat, west + cellSize / 2);
+      if (run && run.timezone === timezone) {
+        run.cell[3] = west + cellSize;
+        continue;
+      }
+      if (run) addCell(run.timezone, run.cell);
+      run = { timezone, cell: [south, west, north, west + cellSize] };
+    }
+    addCell(run.timezone, run.cell);
+  }
+
+  const result = [...regions.values()];
+  regionCache.set(cellSize, result);
+  return result;
+};
@@ -0,0 +1,165 @@
+import {
+  TIMEZONE_IDS,
+  LEGACY_TIMEZONE_NAMES,
+  POPULAR_TIMEZONES,
+  TIMEZONE_ALIASES
+} from './timezoneData.js';
+
+// Timezone catalog and city search built from the bundled data in timezoneData.js.
+// Everything here works offline; the runtime Intl zone list is merged in when available.
+
+const CURRENT_TO_LEGACY = Object.fromEntries(
+  Object.entries(LEGACY_TIMEZONE_NAMES).map(([legacy, current]) => [current, legacy])
+);
+
+const isSupportedTimezone = (timezone) => {
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone: timezone });
+    return true;
+  } catch {
+    return false;
+  }
+};
+
+// Map legacy names (e.g. Asia/Calcutta) to the current IANA name
+export const normalizeTimezoneId = (timezone) => LEGACY_TIMEZONE_NAMES[timezone] || timezone;
+
+// Lowercase, strip accents and treat zone separators as spaces so that
+// "reykjavik" finds "Reykjavík" and "new york" finds "America/New_York".
+const normalizeText = (text) => text
+  .normalize('NFD')
+  .replace(/[\u0300-\u036f]/g, '')
+  .replace(/[_/]/g, ' ')
+  .toLowerCase()
+  .trim();
+
+const labelFromId = (timezone) => timezone.split('/').pop().replace(/_/g, ' ');
+
+const isAbbreviation = (alias) => /^[A-Z]{2,5}$/.test(alias);
+
+const buildCatalog = () => {
+  const runtimeIds = typeof Intl.supportedValuesOf === 'function'
+    ? Intl.supportedValuesOf('timeZone').map(normalizeTimezoneId)
+    : [];
+  const runtimeSet = new Set(runtimeIds);
+  const popularLabels = new Map(POPULAR_TIMEZONES.map(zone => [zone.value, zone.label]));
+  const popularity = new Map(POPULAR_TIMEZONES.map((zone, index) => [zone.value, POPULAR_TIMEZONES.length - index]));
+
+  const aliasesByZone = new Map();
+  Object.entries(TIMEZONE_ALIASES).forEach(([alias, timezone]) => {
+    aliasesByZone.set(timezone, [...(aliasesByZone.get(timezone) || []), alias]);
+  });
+
+  return [...new Set([...TIMEZONE_IDS, ...runtimeIds])]
+    .map(timezone => {
+      // Bundled zones the browser doesn't know about: fall back to the legacy
+      // name if that one is supported, otherwise leave the zone out.
+      if (runtimeSet.has(timezone) || isSupportedTimezone(timezone)) return timezone;
+      const legacy = CURRENT_TO_LEGACY[timezone];
+      return legacy && isSupportedTimezone(legacy) ? legacy : null;
+    })
+    .filter(Boolean)
+    .sort()
+    .map(value => {
+      const current = normalizeTimezoneId(value);
+      const label = popularLabels.get(current) || labelFromId(current);
+      const aliases = aliasesByZone.get(current) || [];
+      return {
+        value,
+        label,
+        region: current.includes('/') ? current.split('/')[0] : 'Etc',
+        aliases,
+        popularity: popularity.get(current) || 0,
+        searchTerms: [label, current, ...aliases].map(normalizeText)
+      };
+    });
+};
+
+export const TIMEZONE_CATALOG = buildCatalog();
+
+const catalogByValue = new Map();
+TIMEZONE_CATALOG.forEach(entry => {
+  catalogByValue.set(entry.value, entry);
+  catalogByValue.set(normalizeTimezoneId(entry.value), entry);
+});
+
+export const getTimezoneEntry = (timezone) =>
+  catalogByValue.get(timezone) || catalogByValue.get(normalizeTimezoneId(timezone)) || null;
+
+export const POPULAR_TIMEZONE_ENTRIES = POPULAR_TIMEZONES
+  .map(zone => getTimezoneEntry(zone.value))
+  .filter(Boolean);
+
+// Levenshtein distance, used to tolerate typos like "tokio" or "sydeny"
+const editDistance = (a, b) => {
+  let previous = Array.from({ length: b.length + 1 }, (_, index) => index);
+  for (let i = 1; i <= a.length; i++) {
+    const current = [i];
+    for (let j = 1; j <= b.length; j++) {
+      current[j] = Math.min(
+        previous[j] + 1,
+        current[j - 1] + 1,
+        previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1)
+      );
+    }
+    previous = current;
+  }
+  return previous[b.length];
+};
+
+// Score how well a normalized query matches a normalized term (0 = no match)
+const scoreTerm = (query, term) => {
+  if (term === query) return 100;
+  if (term.startsWith(query)) return 80;
+  if (term.split(' ').some(word => word.startsWith(query))) return 60;
+  if (term.includes(query)) return 40;
+  if (query.length < 3) return 0;
+
+  // Typos: a word within one edit (two for longer queries) of the query.
+  // Skipped for short queries, where every abbreviation is one edit away.
+  if (query.length >= 4) {
+    const maxDistance = query.length >= 6 ? 2 : 1;
+    const closest = Math.min(...term.split(' ').map(word => editDistance(query, word)));
+    if (closest <= maxDistance) return 35 - closest * 10;
+  }
+
+  // Fuzzy: all query characters appear in order; tighter spans score higher
+  let first = -1;
+  let position = -1;
+  for (const char of query.replace(/ /g, '')) {
+    position = term.indexOf(char, position + 1);
+    if (position === -1) return 0;
+    if (first === -1) first = position;
+  }
+  return 30 * (query.length / (position - first + 1));
+};
+
+// Search the catalog by city, zone ID or alias, ranked by match quality
+// and popularity. Results carry the alias that matched, if any, so the UI can
+// label the clock with the city the user actually typed.
+export const searchTimezones = (query, limit = 8) => {
+  const normalizedQuery = normalizeText(query || '');
+  if (!normalizedQuery) return POPULAR_TIMEZONE_ENTRIES.slice(0, limit);
+
+  return TIMEZONE_CATALOG
+    .map(entry => {
+      let best = 0;
+      let matchedAlias = null;
+      entry.searchTerms.forEach((term, index) => {
+        const score = scoreTerm(normalizedQuery, term);
+        if (score > best) {
+          best = score;
+          matchedAlias = index >= 2 ? entry.aliases[index - 2] : null;
+        }
+      });
+      return { entry, matchedAlias, score: best > 0 ? best + entry.popularity * 0.5 : 0 };
+    })
+    .filter(result => result.score > 0)
+    .sort((a, b) => b.score - a.score || a.entry.label.localeCompare(b.entry.label))
+    .slice(0, limit)
+    .map(({ entry, matchedAlias }) => ({
+      ...entry,
+      matchedAlias,
+      displayLabel: matchedAlias && !isAbbreviation(matchedAlias) ? matchedAlias : entry.label
+    }));
+};
@@ -0,0 +1,187 @@
+import { getZonedParts, zonedTimeToDate, formatDuration } from './timeOffsets.js';
+import { createTranslator } from './i18n.js';
+
+// Per-clock working-hours schedules. Times are minutes after local midnight in
+// the clock's own zone; `end <= start` means the shift runs past midnight.
+// Shape: { start, end, workdays: [0-6, Sunday = 0], lunch: { start, end } | null }
+
+const MINUTE_MS = 60 * 1000;
+const DAY_MINUTES = 24 * 60;
+const LOOKAHEAD_DAYS = 8;
+
+// English abbreviations, as written in CSV files; the editor uses Intl names
+export const WEEKDAY_LABELS = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+
+// Labelled in the UI by the 'schedulePreset.<name>' strings
+export const SCHEDULE_PRESETS = {
+  standard: { start: 540, end: 1020, workdays: [1, 2, 3, 4, 5], lunch: null },
+  sundayToThursday: { start: 540, end: 1020, workdays: [0, 1, 2, 3, 4], lunch: null },
+  alwaysOpen: { start: 0, end: DAY_MINUTES, workdays: [0, 1, 2, 3, 4, 5, 6], lunch: null }
+};
+
+// Zones whose working week doesn't follow Mon–Fri. The UAE moved to Mon–Fri
+// in 2022, so Asia/Dubai deliberately uses the standard week.
+const SUNDAY_TO_THURSDAY_ZONES = [
+  'Asia/Riyadh', 'Asia/Kuwait', 'Asia/Qatar', 'Asia/Bahrain', 'Asia/Baghdad',
+  'Asia/Amman', 'Asia/Jerusalem', 'Africa/Cairo', 'Africa/Tripoli', 'Asia/Muscat'
+];
+const SATURDAY_TO_WEDNESDAY_ZONES = ['Asia/Tehran', 'Asia/Kabul'];
+
+const copySchedule = ({ start, end, workdays, lunch }) => ({
+  start,
+  end,
+  workdays: [...workdays],
+  lunch: lunch ? { ...lunch } : null
+});
+
+export const getDefaultSchedule = (timezone) => {
+  if (SUNDAY_TO_THURSDAY_ZONES.includes(timezone)) return copySchedule(SCHEDULE_PRESETS.sundayToThursday);
+  if (SATURDAY_TO_WEDNESDAY_ZONES.includes(timezone)) {
+    return { ...copySchedule(SCHEDULE_PRESETS.standard), workdays: [6, 0, 1, 2, 3] };
+  }
+  return copySchedule(SCHEDULE_PRESETS.standard);
+};
+
+export const getClockSchedule = (clock) => clock.schedule || getDefaultSchedule(clock.timezone);
+
+// Name of the preset matching `schedule`, or 'custom'
+export const getSchedulePreset = (schedule) => {
+  const match = Object.entries(SCHEDULE_PRESETS).find(([, preset]) =>
+    preset.start === schedule.start &&
+    preset.end === schedule.end &&
+    !schedule.lunch &&
+    preset.workdays.length === schedule.workdays.length &&
+    preset.workdays.every(day => schedule.workdays.includes(day))
+  );
+  return match ? match[0] : 'custom';
+};
+
+export const applySchedulePreset = (presetName) => copySchedule(SCHEDULE_PRESETS[presetName]);
+
+const isMinuteOfDay = (value, max = DAY_MINUTES) =>
+  Number.isInteger(value) && value >= 0 && value <= max;
+
+// Validated copy of a stored schedule, or null if it can't be used
+export const sanitizeSchedule = (schedule) => {
+  if (!schedule || typeof schedule !== 'object') return null;
+  const { start, end, workdays, lunch } = schedule;
+  if (!isMinuteOfDay(start, DAY_MINUTES - 1) || !isMinuteOfDay(end) || start === end) return null;
+  if (!Array.isArray(workdays)) return null;
+
+  const days = [...new Set(workdays.filter(day => Number.isInteger(day) && day >= 0 && day <= 6))];
+  const validLunch = lunch && isMinuteOfDay(lunch.start) && isMinuteOfDay(lunch.end) && lunch.start < lunch.end
+    ? { start: lunch.start, end: lunch.end }
+    : null;
+
+  return { start, end, workdays: days, lunch: validLunch };
+};
+
+// "HH:MM" <-> minutes, for <input type="time">
+export const minutesToTimeString = (minutes) => {
+  const clamped = Math.min(minutes, DAY_MINUTES - 1);
+  return `${String(Math.floor(clamped / 60)).padStart(2, '0')}:${String(clamped % 60).padStart(2, '0')}`;
+};
+
+export const timeStringToMinutes = (value) => {
+  const match = /^(\d{1,2}):(\d{2})$/.exec(value || '');
+  if (!match) return null;
+  const minutes = Number(match[1]) * 60 + Number(match[2]);
+  return minutes < DAY_MINUTES ? minutes : null;
+};
+
+const getShiftEnd = (schedule) => (schedule.end <= schedule.start ? schedule.end + DAY_MINUTES : schedule.end);
+
+// Working intervals of one shift, in minutes from the shift day's midnight
+const getShiftSegments = (schedule) => {
+  const end = getShiftEnd(schedule);
+  const { lunch } = schedule;
+  if (!lunch || lunch.start <= schedule.start || lunch.end >= end) {
+    return [[schedule.start, end]];
+  }
+  return [[schedule.start, lunch.start], [lunch.end, end]];
+};
+
+const getWeekday = (year, month, day) => new Date(Date.UTC(year, month - 1, day)).getUTCDay();
+
+// Whether the wall time in `parts` (from getZonedParts) falls inside working hours.
+// Checks the current day's shift and yesterday's shift running past midnight.
+export const isWithinSchedule = (schedule, parts) => {
+  const minute = parts.hour * 60 + parts.minute;
+  const weekday = getWeekday(parts.year, parts.month, parts.day);
+  const segments = getShiftSegments(schedule);
+
+  return [0, 1].some(daysBack => {
+    const shiftDay = (weekday - daysBack + 7) % 7;
+    if (!schedule.workdays.includes(shiftDay)) return false;
+    const minuteInShift = minute + daysBack * DAY_MINUTES;
+    return segments.some(([from, to]) => minuteInShift >= from && minuteInShift < to);
+  });
+};
+
+// Working intervals as [openDate, closeDate] pairs from yesterday through the
+// lookahead window, with touching intervals merged (so 24/7 is one interval).
+const getOpenIntervals = (schedule, date, timezone) => {
+  const today = getZonedParts(date, timezone);
+  const intervals = [];
+
+  for (let offset = -1; offset <= LOOKAHEAD_DAYS; offset++) {
+    const day = today.day + offset;
+    if (!schedule.workdays.includes(getWeekday(today.year, today.month, day))) continue;
+
+    getShiftSegments(schedule).forEach(([from, to]) => {
+      const open = zonedTimeToDate({ year: today.year, month: today.month, day, minute: from }, timezone);
+      const close = zonedTimeToDate({ year: today.year, month: today.month, day, minute: to }, timezone);
+      const last = intervals[intervals.length - 1];
+      if (last && open.getTime() <= last[1].getTime()) {
+        last[1] = close;
+      } else {
+        intervals.push([open, close]);
+      }
+    });
+  }
+
+  return intervals;
+};
+
+// Live status for a badge: { state: 'open' | 'closed' | 'lunch', nextChange: Date | null }.
+// nextChange is null when nothing changes within the lookahead (e.g. 24/7).
+export const getScheduleStatus = (schedule, date, timezone) => {
+  if (schedule.workdays.length === 0) return { state: 'closed', nextChange: null };
+
+  const now = date.getTime();
+  const intervals = getOpenIntervals(schedule, date, timezone);
+  const current = intervals.find(([open, close]) => now >= open.getTime() && now < close.getTime());
+
+  if (current) {
+    const lastClose = intervals[intervals.length - 1][1];
+    return { state: 'open', nextChange: current[1] === lastClose ? null : current[1] };
+  }
+
+  const next = intervals.find(([open]) => open.getTime() > now);
+  // Closed now, but inside the shift when lunch is ignored: it's the lunch break
+  const isLunch = Boolean(schedule.lunch) &&
+    isWithinSchedule({ ...schedule, lunch: null }, getZonedParts(date, timezone));
+
+  return { state: isLunch ? 'lunch' : 'closed', nextChange: next ? next[0] : null };
+};
+
+// "Open · closes in 3h 15m", "Lunch · back in 30m", "Closed · opens Mon 09:00"
+export const formatScheduleStatus = ({ state, nextChange }, date, timezone, locale = 'en-US') => {
+  const t = createTranslator(locale);
+  if (!nextChange) return t(state === 'open' ? 'scheduleOpenAllDay' : `scheduleState.${state}`);
+
+  const minutesAway = Math.ceil((nextChange.getTime() - date.getTime()) / MINUTE_MS);
+
+  if (minutesAway < DAY_MINUTES) {
+    return t(`scheduleChangeIn.${state}`, { duration: formatDuration(minutesAway, locale) });
+  }
+
+  const when = new Intl.DateTimeFormat(locale, {
+    timeZone: timezone,
+    weekday: 'short',
+    hour: '2-digit',
+    minute: '2-digit',
+    hourCycle: 'h23'
+  }).format(nextChange);
+  return t(`scheduleChangeAt.${state}`, { when });
+};
@@ -0,0 +1,34 @@
+import { describe, expect, it } from 'vitest';
+import { SCHEDULE_PRESETS, formatScheduleStatus, getScheduleStatus } from './workingHours.js';
+
+const TOKYO = 'Asia/Tokyo';
+const standard = SCHEDULE_PRESETS.standard;
+
+// Monday 15 January 2024 in Tokyo (UTC+9)
+const at = (hour, minute = 0) => new Date(Date.UTC(2024, 0, 15, hour - 9, minute));
+// Friday 19 January, 18:00 in Tokyo
+const FRIDAY_EVENING = new Date('2024-01-19T09:00:00Z');
+
+const statusAt = (schedule, date, locale) =>
+  formatScheduleStatus(getScheduleStatus(schedule, date, TOKYO), date, TOKYO, locale);
+
+describe('formatScheduleStatus', () => {
+  it('counts down to the next change within a day', () => {
+    expect(statusAt(standard, at(13, 45))).toBe('Open · closes in 3h 15m');
+    expect(statusAt({ ...standard, lunch: { start: 720, end: 780 } }, at(12, 30))).toBe('Lunch · back in 30m');
+  });
+
+  it('names the day when the next change is further away', () => {
+    expect(statusAt(standard, FRIDAY_EVENING)).toBe('Closed · opens Mon 09:00');
+  });
+
+  it('describes schedules that never change', () => {
+    expect(statusAt(SCHEDULE_PRESETS.alwaysOpen, at(3))).toBe('Open 24/7');
+    expect(statusAt({ ...standard, workdays: [] }, at(10))).toBe('Closed');
+  });
+
+  it('translates into the UI language', () => {
+    expect(statusAt(standard, at(13, 45), 'de-DE')).toBe('Geöffnet · schließt in 3 Std. 15 Min.');
+    expect(statusAt(standard, FRIDAY_EVENING, 'de-DE')).toBe('Geschlossen · öffnet Mo., 09:00');
+  });
+});
@@ -1,6 +1,50 @@
+import { createHash } from 'node:crypto'
+import { readdirSync, readFileSync } from 'node:fs'
 import { defineConfig } from 'vite'
 import react from '@vitejs/plugin-react'
 
+// Emits src/serviceWorker.js as sw.js with the list of files to precache: every
+// built chunk and asset plus the files copied from public/. The version hashes
+// the contents of all of them, so any changed file makes browsers install the update.
+const serviceWorker = () => {
+  let base = '/'
+  return {
+    name: 'world-clock-service-worker',
+    apply: 'build',
+    configResolved(config) {
+      base = config.base
+    },
+    generateBundle(_, bundle) {
+      let publicFiles = []
+      try {
+        publicFiles = readdirSync('public')
+      } catch {
+        // no public/ directory
+      }
+      const hash = createHash('sha256')
+      for (const [fileName, output] of Object.entries(bundle)) {
+        hash.update(fileName).update(output.type === 'chunk' ? output.code : output.source)
+      }
+      for (const fileName of publicFiles) {
+        hash.update(fileName).update(readFileSync(`public/${fileName}`))
+      }
+      const files = [...Object.keys(bundle), ...publicFiles]
+        .filter(file => !file.endsWith('.map'))
+        .map(file => `${base}${file}`)
+      const shell = `${base}index.html`
+      const version = hash.digest('hex').slice(0, 12)
+      const source = readFileSync('src/serviceWorker.js', 'utf8')
+        .replace('__PRECACHE_MANIFEST__', JSON.stringify({ version, shell, files: [...new Set([shell, ...files])] }))
+      this.emitFile({ type: 'asset', fileName: 'sw.js', source })
+    }
+  }
+}
+
 export default defineConfig({
-  plugins: [react()]
+  plugins: [react(), serviceWorker()],
+  test: {
+    environment: 'jsdom',
+    setupFiles: ['src/test/setup.js'],
+    include: ['src/**/*.test.{js,jsx}']
+  }
 })